@@ -0,0 +1,20 @@
+/**
+ * Authentication Configuration
+ *
+ * Centralizes the settings used to issue and verify session tokens.
+ *
+ * Access tokens are short-lived JWTs sent on every request as
+ * `Authorization: Bearer <token>`. Refresh tokens are long-lived opaque
+ * strings, stored hashed in the database and rotated on every use.
+ *
+ * ENV variables:
+ *  - JWT_ACCESS_SECRET: Secret used to sign access tokens (required)
+ *  - JWT_ACCESS_EXPIRES_IN: Access token lifetime in seconds (default: 900)
+ *  - REFRESH_TOKEN_TTL_DAYS: Refresh token lifetime in days (default: 7)
+ */
+
+module.exports = {
+    accessTokenSecret: process.env.JWT_ACCESS_SECRET,
+    accessTokenExpiresIn: Number(process.env.JWT_ACCESS_EXPIRES_IN) || 900,
+    refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+};
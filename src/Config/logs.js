@@ -0,0 +1,20 @@
+/**
+ * Audit Log Configuration
+ *
+ * Retention policy for the `Logs` table. Entries older than the retention
+ * period are archived to a compressed NDJSON file and then deleted from
+ * MySQL by the log retention job (Jobs/logRetention.job.js).
+ *
+ * ENV variables:
+ *  - LOGS_RETENTION_DAYS: Age in days after which entries are archived
+ *    and pruned (default: 0 = keep forever)
+ *  - LOGS_ARCHIVE_DIR: Directory where archive files are written
+ *    (default: "archive/logs")
+ *  - LOGS_RETENTION_INTERVAL_HOURS: How often the job runs (default: 24)
+ */
+
+module.exports = {
+    retentionDays: Number(process.env.LOGS_RETENTION_DAYS) || 0,
+    archiveDir: process.env.LOGS_ARCHIVE_DIR || "archive/logs",
+    retentionIntervalHours: Number(process.env.LOGS_RETENTION_INTERVAL_HOURS) || 24,
+};
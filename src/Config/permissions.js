@@ -0,0 +1,44 @@
+/**
+ * Permission Names
+ *
+ * Every permission a route can require. Permissions are stored in the
+ * `Permission` table and granted to roles through `RolePermission`, so an
+ * admin can change what a role is allowed to do without a code change.
+ *
+ * Naming convention: "<resource>:<action>".
+ *
+ * "delete" moves content to the trash (and allows restoring it);
+ * "purge" deletes it permanently and is meant for admins only.
+ */
+
+const PERMISSIONS = Object.freeze({
+    ARTICLE_CREATE: "article:create",
+    ARTICLE_UPDATE: "article:update",
+    ARTICLE_DELETE: "article:delete",
+    ARTICLE_PURGE: "article:purge",
+
+    AUTHOR_CREATE: "author:create",
+    AUTHOR_UPDATE: "author:update",
+
+    BOOK_CREATE: "book:create",
+    BOOK_UPDATE: "book:update",
+    BOOK_DELETE: "book:delete",
+    BOOK_PURGE: "book:purge",
+
+    PODCAST_CREATE: "podcast:create",
+    PODCAST_UPDATE: "podcast:update",
+    PODCAST_DELETE: "podcast:delete",
+    PODCAST_PURGE: "podcast:purge",
+
+    CATEGORY_CREATE: "category:create",
+    CATEGORY_UPDATE: "category:update",
+    CATEGORY_DELETE: "category:delete",
+
+    STATUS_MANAGE: "status:manage",
+    ROLE_MANAGE: "role:manage",
+    USER_MANAGE: "user:manage",
+
+    LOGS_READ: "logs:read",
+});
+
+module.exports = PERMISSIONS;
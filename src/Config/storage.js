@@ -0,0 +1,34 @@
+/**
+ * File Storage Configuration
+ *
+ * Selects where uploaded files (images, videos, audio, documents) are
+ * kept. See Storage/index.js for the available drivers.
+ *
+ * ENV variables:
+ *  - STORAGE_DRIVER: "cloudinary" (default) or "local"
+ *  - STORAGE_LOCAL_DIR: Directory used by the local driver (default: "uploads")
+ *  - STORAGE_PUBLIC_URL: Base URL prepended to local file URLs, e.g.
+ *    "https://api.example.com" (default: "", which yields "/media/..." paths)
+ *  - STORAGE_CLOUDINARY_FOLDER: Cloudinary folder the files are uploaded
+ *    to; the reconcile job only looks inside it (default: "tessiture")
+ *  - STORAGE_RECONCILE_INTERVAL_HOURS: How often the media reconcile job
+ *    deletes stored files no row references (default: 0 = only when run
+ *    manually with `npm run media:reconcile`)
+ *  - STORAGE_RECONCILE_GRACE_HOURS: Files younger than this are never
+ *    considered orphaned (default: 24)
+ *  - STORAGE_RECONCILE_DELETE: "true" lets the reconcile job delete the
+ *    orphaned files; otherwise it only reports them (default: false)
+ *  - STORAGE_UPLOAD_CONCURRENCY: Maximum uploads of one request sent to
+ *    the storage at once (default: 3)
+ */
+
+module.exports = {
+    driver: process.env.STORAGE_DRIVER || "cloudinary",
+    localDir: process.env.STORAGE_LOCAL_DIR || "uploads",
+    publicUrl: (process.env.STORAGE_PUBLIC_URL || "").replace(/\/+$/, ""),
+    cloudinaryFolder: (process.env.STORAGE_CLOUDINARY_FOLDER || "tessiture").replace(/^\/+|\/+$/g, ""),
+    reconcileIntervalHours: Number(process.env.STORAGE_RECONCILE_INTERVAL_HOURS) || 0,
+    reconcileGraceHours: Number(process.env.STORAGE_RECONCILE_GRACE_HOURS) || 24,
+    reconcileDelete: process.env.STORAGE_RECONCILE_DELETE === "true",
+    uploadConcurrency: Number(process.env.STORAGE_UPLOAD_CONCURRENCY) || 3,
+};
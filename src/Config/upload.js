@@ -0,0 +1,18 @@
+/**
+ * Upload Configuration
+ *
+ * Where Multer writes incoming files before the Service layer hands them
+ * to the file storage, and how long a leftover temp file may live.
+ *
+ * ENV variables:
+ *  - UPLOAD_TEMP_DIR: Directory for temp files (default: "temp")
+ *  - UPLOAD_TEMP_MAX_AGE_HOURS: Age after which the sweeper deletes a temp
+ *    file that was not cleaned up with its request (default: 6)
+ *  - UPLOAD_TEMP_SWEEP_INTERVAL_HOURS: How often the sweeper runs (default: 1)
+ */
+
+module.exports = {
+    tempDir: process.env.UPLOAD_TEMP_DIR || "temp",
+    tempMaxAgeHours: Number(process.env.UPLOAD_TEMP_MAX_AGE_HOURS) || 6,
+    tempSweepIntervalHours: Number(process.env.UPLOAD_TEMP_SWEEP_INTERVAL_HOURS) || 1,
+};
@@ -1,3 +1,5 @@
+const { setETag, parseIfMatch } = require("../Utils/etag");
+
 /**
  * Controller responsible for handling HTTP requests related to Article resources.
  *
@@ -26,15 +28,16 @@ class ArticleController {
      *  - title: string
      *  - description: string
      *  - categoryId: number
-     *  - userId: number
      *  - statusId: number
      *
      * Expected files:
      *  - primaryImg: image file (optional)
+     *
+     * The article is credited to the authenticated user.
      */
     async create(req, res, next) {
         try {
-            const { title, description, categoryId, userId, statusId } = req.body;
+            const { title, description, categoryId, statusId } = req.body;
 
             const primaryImgFile = req.files?.primaryImg?.[0];
 
@@ -42,11 +45,12 @@ class ArticleController {
                 title,
                 description,
                 categoryId,
-                userId,
+                userId: req.user.id,
                 statusId,
                 primaryImgFile
             });
 
+            setETag(res, created);
             res.status(201).json(created);
 
         } catch (error) {
@@ -55,32 +59,61 @@ class ArticleController {
     }
 
     /**
-     * Retrieve all articles.
+     * Retrieve a page of articles.
      *
      * @route GET /articles
+     *
+     * Query parameters:
+     *  - page, limit: pagination (default 1 and 20, max limit 100)
+     *  - sort: field to sort by, "-" prefix for descending (e.g., "-createdAt")
+     *  - from, to: createdAt range (ISO 8601)
+     *  - statusId, categoryId, userId: exact-match filters
+     *  - include: related resources to embed (category, status, user)
      */
     async getAll(req, res, next) {
         try {
-            const data = await this.articleService.findAll();
+            const data = await this.articleService.findAll(req.query);
             res.status(200).json(data);
         } catch (error) {
             next(error);
         }
     }
 
+    /**
+     * Full-text search over articles (title and description).
+     *
+     * @route GET /articles/search
+     *
+     * Query parameters:
+     *  - q: search text (required, at least 2 characters)
+     *  - page, limit: pagination
+     */
+    async search(req, res, next) {
+        try {
+            const results = await this.articleService.search(req.query);
+            res.status(200).json(results);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Retrieve a single article by its ID.
      *
      * @route GET /articles/:id
+     *
+     * Query parameters:
+     *  - include: related resources to embed (category, status, user)
      */
     async getById(req, res, next) {
         try {
-            const data = await this.articleService.findById(req.params.id);
+            const data = await this.articleService.findById(req.params.id, req.query);
 
             if (!data) {
                 return res.status(404).json({ error: "Article not found" });
             }
 
+            setETag(res, data);
             res.status(200).json(data);
 
         } catch (error) {
@@ -92,44 +125,178 @@ class ArticleController {
      * Update an existing article.
      *
      * @route PUT /articles/:id
+     * @route PATCH /articles/:id
+     *
+     * Only the fields sent are changed; `null` clears a field.
      *
      * Expected body:
      *  - title?: string
-     *  - description?: string
-     *  - categoryId?: number
-     *  - statusId?: number
+     *  - description?: string|null
+     *  - categoryId?: number|null
+     *  - statusId?: number|null
+     *  - primaryImg?: null (removes the current image)
+     *
+     * Expected headers:
+     *  - If-Match?: ETag from a previous read (412 if the article changed since)
      *
      * Expected files:
      *  - primaryImg: image file (optional)
      */
     async updateById(req, res, next) {
         try {
-            const { title, description, categoryId, statusId } = req.body;
+            const { title, description, categoryId, statusId, primaryImg } = req.body;
             const primaryImgFile = req.files?.primaryImg?.[0];
 
-            const updated = await this.articleService.updateById(req.params.id, {
+            const { article, changes } = await this.articleService.updateById(req.params.id, {
                 title,
                 description,
                 categoryId,
                 statusId,
+                primaryImg,
                 primaryImgFile
+            }, {
+                expectedVersions: parseIfMatch(req.get("If-Match")),
+                userId: req.user?.id,
             });
 
-            res.status(200).json(updated);
+            // Picked up by the audit trail middleware
+            res.locals.auditChanges = changes;
+
+            setETag(res, article);
+            res.status(200).json(article);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Retrieve a page of an article's past versions, newest first.
+     *
+     * @route GET /articles/:id/revisions
+     *
+     * Query parameters: page, limit.
+     */
+    async getRevisions(req, res, next) {
+        try {
+            const revisions = await this.articleService.findRevisions(req.params.id, req.query);
+            res.status(200).json(revisions);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Compare two versions of an article.
+     *
+     * @route GET /articles/:id/revisions/diff?from=&to=
+     *
+     * Query parameters:
+     *  - from: revision ID
+     *  - to?: revision ID (defaults to the current article)
+     */
+    async diffRevisions(req, res, next) {
+        try {
+            const diff = await this.articleService.diffRevisions(req.params.id, req.query);
+            res.status(200).json(diff);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Roll an article back to one of its revisions.
+     *
+     * @route POST /articles/:id/revisions/:revisionId/restore
+     *
+     * Expected headers:
+     *  - If-Match?: ETag from a previous read (412 if the article changed since)
+     */
+    async restoreRevision(req, res, next) {
+        try {
+            // Picked up by the audit trail middleware (on success and failure)
+            res.locals.auditAction = "restore_revision";
+
+            const { article, changes } = await this.articleService.restoreRevision(
+                req.params.id,
+                req.params.revisionId,
+                {
+                    expectedVersions: parseIfMatch(req.get("If-Match")),
+                    userId: req.user?.id,
+                }
+            );
 
+            res.locals.auditChanges = changes;
+
+            setETag(res, article);
+            res.status(200).json(article);
         } catch (error) {
             next(error);
         }
     }
 
     /**
-     * Delete an article by ID.
+     * Move an article to the trash (soft delete).
      *
      * @route DELETE /articles/:id
      */
     async deleteById(req, res, next) {
         try {
-            await this.articleService.deleteById(req.params.id);
+            await this.articleService.deleteById(req.params.id, {
+                expectedVersions: parseIfMatch(req.get("If-Match")),
+            });
+            res.sendStatus(204); // No Content
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Retrieve a page of soft-deleted articles.
+     *
+     * @route GET /articles/trash
+     *
+     * Accepts the same query parameters as GET /articles, plus
+     * sorting by "deletedAt" (the default is "-deletedAt").
+     */
+    async getTrash(req, res, next) {
+        try {
+            const trash = await this.articleService.findTrash(req.query);
+            res.status(200).json(trash);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Restore an article from the trash.
+     *
+     * @route POST /articles/:id/restore
+     */
+    async restore(req, res, next) {
+        try {
+            // Picked up by the audit trail middleware (on success and failure)
+            res.locals.auditAction = "restore";
+
+            const article = await this.articleService.restoreById(req.params.id);
+            setETag(res, article);
+            res.status(200).json(article);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Permanently delete an article that is in the trash.
+     *
+     * @route DELETE /articles/:id/purge
+     */
+    async purge(req, res, next) {
+        try {
+            // Picked up by the audit trail middleware (on success and failure)
+            res.locals.auditAction = "purge";
+
+            await this.articleService.purgeById(req.params.id);
             res.sendStatus(204); // No Content
         } catch (error) {
             next(error);
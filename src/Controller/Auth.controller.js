@@ -0,0 +1,75 @@
+/**
+ * Controller responsible for handling HTTP requests related to authentication.
+ *
+ * Exposes login, token refresh and logout. Credential checks, token
+ * signing and rotation are delegated to the AuthService.
+ */
+class AuthController {
+
+    /**
+     * @param {Object} authService - Instance of AuthService.
+     */
+    constructor(authService) {
+        this.authService = authService;
+    }
+
+    /**
+     * Authenticate a user and open a new session.
+     *
+     * @route POST /auth/login
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Error-handling middleware.
+     *
+     * Expected body:
+     *  - email: string
+     *  - password: string
+     */
+    async login(req, res, next) {
+        try {
+            // req.body is undefined when the request has no JSON body
+            const { email, password } = req.body ?? {};
+
+            const session = await this.authService.login({ email, password });
+            res.status(200).json(session);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Rotate a refresh token and issue a new access token.
+     *
+     * @route POST /auth/refresh
+     *
+     * Expected body:
+     *  - refreshToken: string
+     */
+    async refresh(req, res, next) {
+        try {
+            const session = await this.authService.refresh(req.body?.refreshToken);
+            res.status(200).json(session);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke a refresh token.
+     *
+     * @route POST /auth/logout
+     *
+     * Expected body:
+     *  - refreshToken: string
+     */
+    async logout(req, res, next) {
+        try {
+            await this.authService.logout(req.body?.refreshToken);
+            res.sendStatus(204); // No Content
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = AuthController;
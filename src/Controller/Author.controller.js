@@ -1,3 +1,5 @@
+const { setETag, parseIfMatch } = require("../Utils/etag");
+
 /**
  * Controller responsible for handling HTTP requests related to Author resources.
  *
@@ -23,15 +25,16 @@ class AuthorController {
      *  - birthDate: string (YYYY-MM-DD)
      *  - nationality: string
      *  - description: string
-     *  - userId: number
      *
      * Expected files (multipart/form-data):
      *  - primaryImg: File (image)
      *  - gallery: File[] (array of images)
+     *
+     * The author record is credited to the authenticated user.
      */
     async create(req, res, next) {
         try {
-            const { name, birthDate, nationality, description, userId } = req.body;
+            const { name, birthDate, nationality, description } = req.body;
 
             const primaryImgFile = req.files?.primaryImg?.[0];
             const galleryFiles = req.files?.gallery || [];
@@ -41,11 +44,12 @@ class AuthorController {
                 birthDate,
                 nationality,
                 description,
-                userId,
+                userId: req.user.id,
                 primaryImgFile,
                 galleryFiles
             });
 
+            setETag(res, result);
             res.status(201).json(result);
 
         } catch (error) {
@@ -54,19 +58,86 @@ class AuthorController {
     }
 
     /**
-     * Retrieve all authors, each including its gallery images.
+     * Update an existing author. The gallery is left untouched.
+     *
+     * @route PUT /authors/:id
+     * @route PATCH /authors/:id
+     *
+     * Only the fields sent are changed; `null` clears a field.
+     *
+     * Expected body:
+     *  - name?: string
+     *  - birthDate?: string|null (YYYY-MM-DD)
+     *  - nationality?: string|null
+     *  - description?: string|null
+     *  - primaryImg?: null (removes the current image)
+     *
+     * Expected headers:
+     *  - If-Match?: ETag from a previous read (412 if the author changed since)
+     *
+     * Expected files (multipart/form-data):
+     *  - primaryImg: File (optional)
+     */
+    async updateById(req, res, next) {
+        try {
+            const { name, birthDate, nationality, description, primaryImg } = req.body;
+            const primaryImgFile = req.files?.primaryImg?.[0];
+
+            const updated = await this.authorService.updateById(req.params.id, {
+                name,
+                birthDate,
+                nationality,
+                description,
+                primaryImg,
+                primaryImgFile
+            }, { expectedVersions: parseIfMatch(req.get("If-Match")) });
+
+            setETag(res, updated);
+            res.status(200).json(updated);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Retrieve a page of authors, each including its gallery images.
      *
      * @route GET /authors
+     *
+     * Query parameters:
+     *  - page, limit: pagination (default 1 and 20, max limit 100)
+     *  - sort: field to sort by, "-" prefix for descending (e.g., "-createdAt")
+     *  - from, to: createdAt range (ISO 8601)
+     *  - nationality, userId: exact-match filters
      */
     async getAll(req, res, next) {
         try {
-            const authors = await this.authorService.findAll();
+            const authors = await this.authorService.findAll(req.query);
             res.status(200).json(authors);
         } catch (error) {
             next(error);
         }
     }
 
+    /**
+     * Full-text search over authors (name, description and nationality).
+     *
+     * @route GET /authors/search
+     *
+     * Query parameters:
+     *  - q: search text (required, at least 2 characters)
+     *  - page, limit: pagination
+     */
+    async search(req, res, next) {
+        try {
+            const results = await this.authorService.search(req.query);
+            res.status(200).json(results);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Retrieve a single author by ID, including gallery images.
      *
@@ -80,6 +151,7 @@ class AuthorController {
                 return res.status(404).json({ error: "Author not found" });
             }
 
+            setETag(res, author);
             res.status(200).json(author);
 
         } catch (error) {
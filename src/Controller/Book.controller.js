@@ -1,3 +1,5 @@
+const { setETag, parseIfMatch } = require("../Utils/etag");
+
 /**
  * Controller responsible for managing HTTP requests related to Book resources.
  *
@@ -22,15 +24,16 @@ class BookController {
      * Expected body:
      *  - title: string
      *  - authorId: number
-     *  - userId: number
      *
      * Expected files:
      *  - img: image file (cover)
      *  - file: raw document file (PDF, DOCX, etc.)
+     *
+     * The book is credited to the authenticated user.
      */
     async create(req, res, next) {
         try {
-            const { title, authorId, userId } = req.body;
+            const { title, authorId } = req.body;
 
             const imgFile = req.files?.img?.[0];
             const fileFile = req.files?.file?.[0];
@@ -38,11 +41,12 @@ class BookController {
             const book = await this.bookService.createBook({
                 title,
                 authorId,
-                userId,
+                userId: req.user.id,
                 imgFile,
                 fileFile
             });
 
+            setETag(res, book);
             res.status(201).json(book);
 
         } catch (error) {
@@ -51,13 +55,20 @@ class BookController {
     }
 
     /**
-     * Retrieve all books.
+     * Retrieve a page of books.
      *
      * @route GET /books
+     *
+     * Query parameters:
+     *  - page, limit: pagination (default 1 and 20, max limit 100)
+     *  - sort: field to sort by, "-" prefix for descending (e.g., "-createdAt")
+     *  - from, to: createdAt range (ISO 8601)
+     *  - authorId, userId: exact-match filters
+     *  - include: related resources to embed (author, user)
      */
     async getAll(req, res, next) {
         try {
-            const books = await this.bookService.findAll();
+            const books = await this.bookService.findAll(req.query);
             res.status(200).json(books);
 
         } catch (error) {
@@ -65,19 +76,41 @@ class BookController {
         }
     }
 
+    /**
+     * Full-text search over books (title).
+     *
+     * @route GET /books/search
+     *
+     * Query parameters:
+     *  - q: search text (required, at least 2 characters)
+     *  - page, limit: pagination
+     */
+    async search(req, res, next) {
+        try {
+            const results = await this.bookService.search(req.query);
+            res.status(200).json(results);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Retrieve a book by its ID.
      *
      * @route GET /books/:id
+     *
+     * Query parameters:
+     *  - include: related resources to embed (author, user)
      */
     async getById(req, res, next) {
         try {
-            const book = await this.bookService.findById(req.params.id);
+            const book = await this.bookService.findById(req.params.id, req.query);
 
             if (!book) {
                 return res.status(404).json({ error: "Book not found" });
             }
 
+            setETag(res, book);
             res.status(200).json(book);
 
         } catch (error) {
@@ -89,10 +122,17 @@ class BookController {
      * Update a book, including optionally updating image or file.
      *
      * @route PUT /books/:id
+     * @route PATCH /books/:id
+     *
+     * Only the fields sent are changed; `null` clears a field.
      *
      * Expected body:
      *  - title?: string
-     *  - authorId?: number
+     *  - authorId?: number|null
+     *  - img?: null (removes the current cover)
+     *
+     * Expected headers:
+     *  - If-Match?: ETag from a previous read (412 if the book changed since)
      *
      * Expected files:
      *  - img: optional new cover image
@@ -100,19 +140,24 @@ class BookController {
      */
     async updateById(req, res, next) {
         try {
-            const { title, authorId } = req.body;
+            const { title, authorId, img } = req.body;
 
             const imgFile = req.files?.img?.[0];
             const fileFile = req.files?.file?.[0];
 
-            const updated = await this.bookService.updateById(req.params.id, {
+            const { book, changes } = await this.bookService.updateById(req.params.id, {
                 title,
                 authorId,
+                img,
                 imgFile,
                 fileFile
-            });
+            }, { expectedVersions: parseIfMatch(req.get("If-Match")) });
+
+            // Picked up by the audit trail middleware
+            res.locals.auditChanges = changes;
 
-            res.status(200).json(updated);
+            setETag(res, book);
+            res.status(200).json(book);
 
         } catch (error) {
             next(error);
@@ -120,19 +165,73 @@ class BookController {
     }
 
     /**
-     * Delete a book by ID.
+     * Move a book to the trash (soft delete).
      *
      * @route DELETE /books/:id
      */
     async deleteById(req, res, next) {
         try {
-            await this.bookService.deleteById(req.params.id);
+            await this.bookService.deleteById(req.params.id, {
+                expectedVersions: parseIfMatch(req.get("If-Match")),
+            });
             res.sendStatus(204); // No Content
 
         } catch (error) {
             next(error);
         }
     }
+
+    /**
+     * Retrieve a page of soft-deleted books.
+     *
+     * @route GET /books/trash
+     *
+     * Accepts the same query parameters as GET /books, plus
+     * sorting by "deletedAt" (the default is "-deletedAt").
+     */
+    async getTrash(req, res, next) {
+        try {
+            const trash = await this.bookService.findTrash(req.query);
+            res.status(200).json(trash);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Restore a book from the trash.
+     *
+     * @route POST /books/:id/restore
+     */
+    async restore(req, res, next) {
+        try {
+            // Picked up by the audit trail middleware (on success and failure)
+            res.locals.auditAction = "restore";
+
+            const book = await this.bookService.restoreById(req.params.id);
+            setETag(res, book);
+            res.status(200).json(book);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Permanently delete a book that is in the trash.
+     *
+     * @route DELETE /books/:id/purge
+     */
+    async purge(req, res, next) {
+        try {
+            // Picked up by the audit trail middleware (on success and failure)
+            res.locals.auditAction = "purge";
+
+            await this.bookService.purgeById(req.params.id);
+            res.sendStatus(204); // No Content
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = BookController;
@@ -32,13 +32,18 @@ class CategoryController {
     }
 
     /**
-     * Retrieve all categories.
+     * Retrieve a page of categories.
      *
      * @route GET /categories
+     *
+     * Query parameters:
+     *  - page, limit: pagination (default 1 and 20, max limit 100)
+     *  - sort: field to sort by, "-" prefix for descending (e.g., "-createdAt")
+     *  - from, to: createdAt range (ISO 8601)
      */
     async getAll(req, res, next) {
         try {
-            const categories = await this.categoryService.findAll();
+            const categories = await this.categoryService.findAll(req.query);
             res.status(200).json(categories);
         } catch (error) {
             next(error);
@@ -68,6 +73,7 @@ class CategoryController {
      * Update a category by ID.
      *
      * @route PUT /categories/:id
+     * @route PATCH /categories/:id
      */
     async updateById(req, res, next) {
         try {
@@ -84,11 +90,16 @@ class CategoryController {
     /**
      * Delete a category by ID.
      *
-     * @route DELETE /categories/:id
+     * @route DELETE /categories/:id?reassignTo=
+     *
+     * Responds 409 with the usage counts if the category is still in use,
+     * unless `reassignTo` names the category that takes over its dependants.
      */
     async deleteById(req, res, next) {
         try {
-            await this.categoryService.deleteById(req.params.id);
+            await this.categoryService.deleteById(req.params.id, {
+                reassignTo: req.query.reassignTo,
+            });
             res.sendStatus(204); // No content
         } catch (error) {
             next(error);
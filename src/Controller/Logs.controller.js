@@ -1,3 +1,5 @@
+const { pipeline } = require("stream");
+
 /**
  * Controller responsible for handling HTTP requests related to system logs.
  *
@@ -15,23 +17,110 @@ class LogsController {
     }
 
     /**
-     * Retrieve all system logs.
+     * Retrieve system logs, newest first, with filters and cursor pagination.
      *
      * @route GET /logs
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Error-handling middleware
      *
+     * Query parameters (all optional):
+     *  - userId, action, resourceType, resourceId
+     *  - from, to: ISO 8601 date range on createdAt
+     *  - limit: page size (default 50, max 200)
+     *  - cursor: `nextCursor` returned by the previous page
+     *
      * @returns {Promise<void>}
      */
     async getAll(req, res, next) {
         try {
-            const logs = await this.logsService.findAll();
+            const logs = await this.logsService.findAll(req.query);
+            res.status(200).json(logs);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    /**
+     * Stream an export of the logs as a file download.
+     *
+     * @route GET /logs/export
+     *
+     * Query parameters:
+     *  - format: "csv" | "ndjson" (default "ndjson")
+     *  - Same filters as GET /logs (pagination is ignored)
+     */
+    async export(req, res, next) {
+        try {
+            const { rows, formatter, contentType, filename } = this.logsService.createExport(req.query);
+
+            res.status(200);
+            res.setHeader("Content-Type", contentType);
+            res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+            pipeline(rows, formatter, res, (error) => {
+                if (error) {
+                    // Headers are already sent: the only option is to abort the download
+                    console.error("Log export failed:", error);
+                    res.destroy(error);
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Retrieve the actions performed by a user.
+     *
+     * @route GET /logs/users/:id
+     */
+    async getByUser(req, res, next) {
+        try {
+            const logs = await this.logsService.findByUser(req.params.id, req.query);
             res.status(200).json(logs);
         } catch (err) {
             next(err);
         }
     }
+
+    /**
+     * Retrieve the history of a single resource.
+     *
+     * @route GET /logs/resources/:type/:id
+     */
+    async getByResource(req, res, next) {
+        try {
+            const logs = await this.logsService.findByResource(
+                req.params.type,
+                req.params.id,
+                req.query
+            );
+            res.status(200).json(logs);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    /**
+     * Retrieve a single log entry by ID, including the before/after
+     * diff of the changed fields (`changes`).
+     *
+     * @route GET /logs/:id
+     */
+    async getById(req, res, next) {
+        try {
+            const log = await this.logsService.findById(req.params.id);
+
+            if (!log) {
+                return res.status(404).json({ error: "Log not found" });
+            }
+
+            res.status(200).json(log);
+        } catch (err) {
+            next(err);
+        }
+    }
 }
 
 module.exports = LogsController;
@@ -0,0 +1,137 @@
+/**
+ * Controller responsible for handling HTTP requests related to Permissions.
+ *
+ * Serves both the permission catalogue (/permissions) and the grants of
+ * a role (/roles/:id/permissions). All business logic is delegated to
+ * the PermissionService.
+ */
+class PermissionController {
+
+    /**
+     * @param {Object} permissionService - Instance of PermissionService.
+     */
+    constructor(permissionService) {
+        this.permissionService = permissionService;
+    }
+
+    /**
+     * Create a new permission.
+     *
+     * @route POST /permissions
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Function} next - Error middleware
+     *
+     * Expected body:
+     *  - name: string (e.g., "article:create")
+     *  - description?: string
+     */
+    async create(req, res, next) {
+        try {
+            const { name, description } = req.body;
+
+            const permission = await this.permissionService.createPermission({ name, description });
+            res.status(201).json(permission);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get all permissions.
+     *
+     * @route GET /permissions
+     */
+    async getAll(req, res, next) {
+        try {
+            const permissions = await this.permissionService.findAll();
+            res.status(200).json(permissions);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a single permission by ID.
+     *
+     * @route GET /permissions/:id
+     */
+    async getById(req, res, next) {
+        try {
+            const permission = await this.permissionService.findById(req.params.id);
+
+            if (!permission) {
+                return res.status(404).json({ error: "Permission not found" });
+            }
+
+            res.status(200).json(permission);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a permission by ID.
+     *
+     * @route DELETE /permissions/:id
+     */
+    async deleteById(req, res, next) {
+        try {
+            await this.permissionService.deleteById(req.params.id);
+            res.sendStatus(204); // No Content
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the permissions granted to a role.
+     *
+     * @route GET /roles/:id/permissions
+     */
+    async getByRole(req, res, next) {
+        try {
+            const permissions = await this.permissionService.findByRole(req.params.id);
+            res.status(200).json(permissions);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Grant a permission to a role.
+     *
+     * @route POST /roles/:id/permissions
+     *
+     * Expected body:
+     *  - permissionId: number
+     */
+    async grantToRole(req, res, next) {
+        try {
+            const permissions = await this.permissionService.grantToRole(
+                req.params.id,
+                req.body.permissionId
+            );
+
+            res.status(200).json(permissions);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke a permission from a role.
+     *
+     * @route DELETE /roles/:id/permissions/:permissionId
+     */
+    async revokeFromRole(req, res, next) {
+        try {
+            await this.permissionService.revokeFromRole(req.params.id, req.params.permissionId);
+            res.sendStatus(204); // No Content
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = PermissionController;
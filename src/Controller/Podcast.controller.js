@@ -1,3 +1,5 @@
+const { setETag, parseIfMatch } = require("../Utils/etag");
+
 /**
  * Controller responsible for handling HTTP requests related to Podcast resources.
  *
@@ -44,6 +46,7 @@ class PodcastController {
                 imgFile
             });
 
+            setETag(res, newPodcast);
             res.status(201).json(newPodcast);
 
         } catch (error) {
@@ -52,13 +55,20 @@ class PodcastController {
     }
 
     /**
-     * Retrieve all podcasts.
+     * Retrieve a page of podcasts.
      *
      * @route GET /podcasts
+     *
+     * Query parameters:
+     *  - page, limit: pagination (default 1 and 20, max limit 100)
+     *  - sort: field to sort by, "-" prefix for descending (e.g., "-createdAt")
+     *  - from, to: createdAt range (ISO 8601)
+     *  - statusId: exact-match filters
+     *  - include: related resources to embed (status)
      */
     async getAll(req, res, next) {
         try {
-            const podcasts = await this.podcastService.findAll();
+            const podcasts = await this.podcastService.findAll(req.query);
             res.status(200).json(podcasts);
 
         } catch (error) {
@@ -66,19 +76,41 @@ class PodcastController {
         }
     }
 
+    /**
+     * Full-text search over podcasts (title).
+     *
+     * @route GET /podcasts/search
+     *
+     * Query parameters:
+     *  - q: search text (required, at least 2 characters)
+     *  - page, limit: pagination
+     */
+    async search(req, res, next) {
+        try {
+            const results = await this.podcastService.search(req.query);
+            res.status(200).json(results);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Retrieve a podcast by ID.
      *
      * @route GET /podcasts/:id
+     *
+     * Query parameters:
+     *  - include: related resources to embed (status)
      */
     async getById(req, res, next) {
         try {
-            const podcast = await this.podcastService.findById(req.params.id);
+            const podcast = await this.podcastService.findById(req.params.id, req.query);
 
             if (!podcast) {
                 return res.status(404).json({ error: "Podcast not found" });
             }
 
+            setETag(res, podcast);
             res.status(200).json(podcast);
 
         } catch (error) {
@@ -90,23 +122,39 @@ class PodcastController {
      * Update a podcast.
      *
      * @route PUT /podcasts/:id
+     * @route PATCH /podcasts/:id
+     *
+     * Only the fields sent are changed; `null` clears a field.
      *
-     * ⚠️ IMPORTANT:
-     *  This version of the service does NOT support updating files.
-     *  Only text fields (title, statusId, imgUrl, videoUrl, audioUrl) can be updated.
+     * Expected body:
+     *  - title?: string
+     *  - statusId?: number|null
+     *  - img?: null (removes the current image)
+     *
+     * Expected headers:
+     *  - If-Match?: ETag from a previous read (412 if the podcast changed since)
+     *
+     * Expected files:
+     *  - video: optional new video file
+     *  - audio: optional new audio file
+     *  - img: optional new image
+     *
+     * Media URLs cannot be set directly; files are replaced by uploading them.
      */
     async updateById(req, res, next) {
         try {
-            const { title, statusId } = req.body;
+            const { title, statusId, img } = req.body;
 
             const updatedPodcast = await this.podcastService.updateById(req.params.id, {
                 title,
                 statusId,
-                imgUrl: req.body.imgUrl,       // string URL (optional)
-                videoUrl: req.body.videoUrl,   // string URL (optional)
-                audioUrl: req.body.audioUrl    // string URL (optional)
-            });
+                img,
+                imgFile: req.files?.img?.[0],
+                videoFile: req.files?.video?.[0],
+                audioFile: req.files?.audio?.[0],
+            }, { expectedVersions: parseIfMatch(req.get("If-Match")) });
 
+            setETag(res, updatedPodcast);
             res.status(200).json(updatedPodcast);
 
         } catch (error) {
@@ -115,19 +163,73 @@ class PodcastController {
     }
 
     /**
-     * Delete a podcast by ID.
+     * Move a podcast to the trash (soft delete).
      *
      * @route DELETE /podcasts/:id
      */
     async deleteById(req, res, next) {
         try {
-            await this.podcastService.deleteById(req.params.id);
+            await this.podcastService.deleteById(req.params.id, {
+                expectedVersions: parseIfMatch(req.get("If-Match")),
+            });
             res.sendStatus(204); // No Content
 
         } catch (error) {
             next(error);
         }
     }
+
+    /**
+     * Retrieve a page of soft-deleted podcasts.
+     *
+     * @route GET /podcasts/trash
+     *
+     * Accepts the same query parameters as GET /podcasts, plus
+     * sorting by "deletedAt" (the default is "-deletedAt").
+     */
+    async getTrash(req, res, next) {
+        try {
+            const trash = await this.podcastService.findTrash(req.query);
+            res.status(200).json(trash);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Restore a podcast from the trash.
+     *
+     * @route POST /podcasts/:id/restore
+     */
+    async restore(req, res, next) {
+        try {
+            // Picked up by the audit trail middleware (on success and failure)
+            res.locals.auditAction = "restore";
+
+            const podcast = await this.podcastService.restoreById(req.params.id);
+            setETag(res, podcast);
+            res.status(200).json(podcast);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Permanently delete a podcast that is in the trash.
+     *
+     * @route DELETE /podcasts/:id/purge
+     */
+    async purge(req, res, next) {
+        try {
+            // Picked up by the audit trail middleware (on success and failure)
+            res.locals.auditAction = "purge";
+
+            await this.podcastService.purgeById(req.params.id);
+            res.sendStatus(204); // No Content
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = PodcastController;
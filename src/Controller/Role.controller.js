@@ -67,6 +67,7 @@ class RoleController {
      * Update a role by ID.
      *
      * @route PUT /roles/:id
+     * @route PATCH /roles/:id
      */
     async updateById(req, res, next) {
         try {
@@ -84,11 +85,16 @@ class RoleController {
     /**
      * Delete a role by ID.
      *
-     * @route DELETE /roles/:id
+     * @route DELETE /roles/:id?reassignTo=
+     *
+     * Responds 409 with the usage counts if the role is still in use,
+     * unless `reassignTo` names the role that takes over its dependants.
      */
     async deleteById(req, res, next) {
         try {
-            await this.roleService.deleteById(req.params.id);
+            await this.roleService.deleteById(req.params.id, {
+                reassignTo: req.query.reassignTo,
+            });
             res.sendStatus(204); // No Content
         } catch (error) {
             next(error);
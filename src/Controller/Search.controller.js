@@ -0,0 +1,35 @@
+/**
+ * Controller responsible for the global content search.
+ *
+ * All business logic is delegated to the SearchService.
+ */
+class SearchController {
+
+    /**
+     * @param {Object} searchService - Instance of SearchService.
+     */
+    constructor(searchService) {
+        this.searchService = searchService;
+    }
+
+    /**
+     * Search articles, books, podcasts and authors at once.
+     *
+     * @route GET /search
+     *
+     * Query parameters:
+     *  - q: search text (required, at least 2 characters)
+     *  - type: comma-separated subset of "article,book,podcast,author"
+     *  - limit: maximum number of results (default 20, max 50)
+     */
+    async search(req, res, next) {
+        try {
+            const results = await this.searchService.search(req.query);
+            res.status(200).json(results);
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = SearchController;
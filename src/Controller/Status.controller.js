@@ -68,6 +68,7 @@ class StatusController {
      * Update an existing status by ID.
      *
      * @route PUT /statuses/:id
+     * @route PATCH /statuses/:id
      */
     async updateById(req, res, next) {
         try {
@@ -86,11 +87,16 @@ class StatusController {
     /**
      * Delete a status by ID.
      *
-     * @route DELETE /statuses/:id
+     * @route DELETE /statuses/:id?reassignTo=
+     *
+     * Responds 409 with the usage counts if the status is still in use,
+     * unless `reassignTo` names the status that takes over its dependants.
      */
     async deleteById(req, res, next) {
         try {
-            await this.statusService.deleteById(req.params.id);
+            await this.statusService.deleteById(req.params.id, {
+                reassignTo: req.query.reassignTo,
+            });
             res.sendStatus(204); // No content
         } catch (error) {
             next(error);
@@ -36,13 +36,19 @@ class UserController {
     }
 
     /**
-     * Retrieve all users.
+     * Retrieve a page of users.
      *
      * @route GET /users
+     *
+     * Query parameters:
+     *  - page, limit: pagination (default 1 and 20, max limit 100)
+     *  - sort: field to sort by, "-" prefix for descending (e.g., "-createdAt")
+     *  - from, to: createdAt range (ISO 8601)
+     *  - rolId: exact-match filters
      */
     async getAll(req, res, next) {
         try {
-            const users = await this.userService.findAll();
+            const users = await this.userService.findAll(req.query);
             res.status(200).json(users);
         } catch (error) {
             next(error);
@@ -73,6 +79,7 @@ class UserController {
      * Update a user by ID.
      *
      * @route PUT /users/:id
+     * @route PATCH /users/:id
      *
      * Expected body may contain:
      *  - email?: string
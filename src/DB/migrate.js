@@ -0,0 +1,196 @@
+/**
+ * Schema Migration Runner
+ *
+ * Applies or rolls back the versioned migrations in DB/migrations using
+ * the application's MySQL pool. Applied versions are tracked in the
+ * `SchemaMigrations` table, so running it twice is a no-op.
+ *
+ * Migration files:
+ *  - Named `NNN_description.js` and applied in filename order
+ *  - Export `{ up: string[], down: string[] }`: SQL statements executed
+ *    in order. `down` must undo `up`.
+ *
+ * Usage:
+ *  - npm run migrate                       → Apply every pending migration
+ *  - npm run migrate:rollback              → Roll back the last migration
+ *  - npm run migrate:rollback -- --steps=3 → Roll back the last 3 migrations
+ *
+ * Note: MySQL commits DDL statements implicitly, so a migration that
+ * fails halfway is not rolled back automatically. The version is only
+ * recorded once every statement of the migration has succeeded.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("./connection");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Prevents two processes (e.g., two deploys) from migrating at once
+const LOCK_NAME = "schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 10;
+
+/**
+ * Loads every migration file, sorted by version.
+ *
+ * @returns {{ version: string, name: string, up: string[], down: string[] }[]}
+ */
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter((file) => /^\d+_.+\.js$/.test(file))
+        .sort()
+        .map((file) => {
+            const [version] = file.split("_");
+            const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+
+            if (!Array.isArray(up) || !Array.isArray(down)) {
+                throw new Error(`Migration ${file} must export "up" and "down" arrays`);
+            }
+
+            return { version, name: path.basename(file, ".js"), up, down };
+        });
+};
+
+/**
+ * Creates the tracking table if needed.
+ *
+ * @param {import("mysql2/promise").PoolConnection} conn
+ */
+const ensureMigrationsTable = async (conn) => {
+    await conn.query(
+        `CREATE TABLE IF NOT EXISTS SchemaMigrations (
+            version VARCHAR(20) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            appliedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (version)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+};
+
+/**
+ * Returns the versions already applied, oldest first.
+ *
+ * @param {import("mysql2/promise").PoolConnection} conn
+ * @returns {Promise<string[]>}
+ */
+const getAppliedVersions = async (conn) => {
+    const [rows] = await conn.query(`SELECT version FROM SchemaMigrations ORDER BY version`);
+    return rows.map((row) => row.version);
+};
+
+/**
+ * Applies every pending migration, in order.
+ *
+ * @param {import("mysql2/promise").PoolConnection} conn
+ * @returns {Promise<string[]>} Names of the applied migrations.
+ */
+const migrateUp = async (conn) => {
+    const applied = new Set(await getAppliedVersions(conn));
+    const pending = loadMigrations().filter((migration) => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        for (const statement of migration.up) {
+            await conn.query(statement);
+        }
+
+        await conn.query(
+            `INSERT INTO SchemaMigrations (version, name) VALUES (?, ?)`,
+            [migration.version, migration.name]
+        );
+
+        console.log(`Applied ${migration.name}`);
+    }
+
+    return pending.map((migration) => migration.name);
+};
+
+/**
+ * Rolls back the most recently applied migrations.
+ *
+ * @param {import("mysql2/promise").PoolConnection} conn
+ * @param {number} steps - Number of migrations to roll back.
+ * @returns {Promise<string[]>} Names of the rolled back migrations.
+ */
+const migrateDown = async (conn, steps) => {
+    const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+    const versions = (await getAppliedVersions(conn)).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const version of versions) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`Migration file for applied version ${version} not found`);
+        }
+
+        for (const statement of migration.down) {
+            await conn.query(statement);
+        }
+
+        await conn.query(`DELETE FROM SchemaMigrations WHERE version = ?`, [version]);
+
+        console.log(`Rolled back ${migration.name}`);
+        rolledBack.push(migration.name);
+    }
+
+    return rolledBack;
+};
+
+/**
+ * Runs the migrations on a dedicated connection, holding a named lock.
+ *
+ * @param {"up"|"down"} direction - Apply or roll back.
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - Migrations to roll back (down only).
+ * @returns {Promise<string[]>} Names of the migrations that were run.
+ */
+const runMigrations = async (direction, { steps = 1 } = {}) => {
+    const conn = await pool.getConnection();
+
+    try {
+        const [[{ locked }]] = await conn.query(
+            `SELECT GET_LOCK(?, ?) AS locked`,
+            [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+        );
+
+        if (locked !== 1) {
+            throw new Error("Another migration is already running");
+        }
+
+        try {
+            await ensureMigrationsTable(conn);
+
+            return direction === "down"
+                ? await migrateDown(conn, steps)
+                : await migrateUp(conn);
+        } finally {
+            await conn.query(`SELECT RELEASE_LOCK(?)`, [LOCK_NAME]);
+        }
+    } finally {
+        conn.release();
+    }
+};
+
+// Command line entry point
+if (require.main === module) {
+    const direction = process.argv[2] === "down" ? "down" : "up";
+    const stepsArg = process.argv.find((arg) => arg.startsWith("--steps="));
+    const steps = stepsArg ? Number(stepsArg.split("=")[1]) : 1;
+
+    if (!Number.isInteger(steps) || steps < 1) {
+        console.error("--steps must be a positive integer");
+        process.exit(1);
+    }
+
+    runMigrations(direction, { steps })
+        .then((names) => {
+            if (!names.length) console.log("Nothing to migrate");
+            return pool.end();
+        })
+        .catch(async (error) => {
+            console.error("Migration failed:", error.message);
+            await pool.end();
+            process.exit(1);
+        });
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,146 @@
+/**
+ * Migration 001 — Base schema
+ *
+ * Creates the tables the application was originally built on: lookup
+ * tables (Rol, Status, Category), users, content (Article, Author,
+ * AuthorImages, Book, Podcast) and the action log.
+ */
+
+module.exports = {
+    up: [
+        `CREATE TABLE Rol (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            name VARCHAR(100) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY uq_rol_name (name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE Status (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            name VARCHAR(100) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY uq_status_name (name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE Category (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            name VARCHAR(100) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY uq_category_name (name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE User (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            email VARCHAR(255) NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            rolId INT UNSIGNED NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY uq_user_email (email),
+            CONSTRAINT fk_user_rol FOREIGN KEY (rolId) REFERENCES Rol (id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE Author (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            name VARCHAR(255) NOT NULL,
+            birthDate DATE NULL,
+            nationality VARCHAR(100) NULL,
+            description TEXT NULL,
+            primaryImg VARCHAR(500) NULL,
+            userId INT UNSIGNED NULL,
+            slug VARCHAR(255) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY idx_author_slug (slug),
+            CONSTRAINT fk_author_user FOREIGN KEY (userId) REFERENCES User (id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE AuthorImages (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            authorId INT UNSIGNED NOT NULL,
+            img VARCHAR(500) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            CONSTRAINT fk_author_images_author FOREIGN KEY (authorId) REFERENCES Author (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE Article (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            title VARCHAR(255) NOT NULL,
+            description MEDIUMTEXT NULL,
+            categoryId INT UNSIGNED NULL,
+            userId INT UNSIGNED NULL,
+            primaryImg VARCHAR(500) NULL,
+            statusId INT UNSIGNED NULL,
+            slug VARCHAR(255) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY idx_article_slug (slug),
+            CONSTRAINT fk_article_category FOREIGN KEY (categoryId) REFERENCES Category (id),
+            CONSTRAINT fk_article_user FOREIGN KEY (userId) REFERENCES User (id) ON DELETE SET NULL,
+            CONSTRAINT fk_article_status FOREIGN KEY (statusId) REFERENCES Status (id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE Book (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            title VARCHAR(255) NOT NULL,
+            img VARCHAR(500) NULL,
+            authorId INT UNSIGNED NULL,
+            userId INT UNSIGNED NULL,
+            file VARCHAR(500) NULL,
+            slug VARCHAR(255) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY idx_book_slug (slug),
+            CONSTRAINT fk_book_author FOREIGN KEY (authorId) REFERENCES Author (id),
+            CONSTRAINT fk_book_user FOREIGN KEY (userId) REFERENCES User (id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE Podcast (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            title VARCHAR(255) NOT NULL,
+            img VARCHAR(500) NULL,
+            video VARCHAR(500) NOT NULL,
+            audio VARCHAR(500) NOT NULL,
+            statusId INT UNSIGNED NULL,
+            slug VARCHAR(255) NOT NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY idx_podcast_slug (slug),
+            CONSTRAINT fk_podcast_status FOREIGN KEY (statusId) REFERENCES Status (id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE Logs (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            action VARCHAR(100) NOT NULL,
+            userId INT UNSIGNED NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    ],
+
+    // Reverse dependency order
+    down: [
+        `DROP TABLE IF EXISTS Logs`,
+        `DROP TABLE IF EXISTS Podcast`,
+        `DROP TABLE IF EXISTS Book`,
+        `DROP TABLE IF EXISTS Article`,
+        `DROP TABLE IF EXISTS AuthorImages`,
+        `DROP TABLE IF EXISTS Author`,
+        `DROP TABLE IF EXISTS User`,
+        `DROP TABLE IF EXISTS Category`,
+        `DROP TABLE IF EXISTS Status`,
+        `DROP TABLE IF EXISTS Rol`,
+    ],
+};
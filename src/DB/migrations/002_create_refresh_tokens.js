@@ -0,0 +1,28 @@
+/**
+ * Migration 002 — Refresh tokens
+ *
+ * Stores the hashed refresh tokens issued at login. Rotated tokens are
+ * kept (revoked) so that the reuse of an old token can be detected.
+ */
+
+module.exports = {
+    up: [
+        `CREATE TABLE RefreshToken (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            userId INT UNSIGNED NOT NULL,
+            tokenHash CHAR(64) NOT NULL,
+            expiresAt DATETIME NOT NULL,
+            revokedAt DATETIME NULL,
+            replacedByHash CHAR(64) NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY uq_refresh_token_hash (tokenHash),
+            KEY idx_refresh_token_user (userId),
+            CONSTRAINT fk_refresh_token_user FOREIGN KEY (userId) REFERENCES User (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS RefreshToken`,
+    ],
+};
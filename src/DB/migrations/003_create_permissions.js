@@ -0,0 +1,32 @@
+/**
+ * Migration 003 — Permissions
+ *
+ * Permission catalogue and the role → permission grants checked by the
+ * authorization middleware.
+ */
+
+module.exports = {
+    up: [
+        `CREATE TABLE Permission (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            name VARCHAR(100) NOT NULL,
+            description VARCHAR(255) NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY uq_permission_name (name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE RolePermission (
+            rolId INT UNSIGNED NOT NULL,
+            permissionId INT UNSIGNED NOT NULL,
+            PRIMARY KEY (rolId, permissionId),
+            CONSTRAINT fk_role_permission_rol FOREIGN KEY (rolId) REFERENCES Rol (id) ON DELETE CASCADE,
+            CONSTRAINT fk_role_permission_permission FOREIGN KEY (permissionId) REFERENCES Permission (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS RolePermission`,
+        `DROP TABLE IF EXISTS Permission`,
+    ],
+};
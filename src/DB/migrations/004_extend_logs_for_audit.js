@@ -0,0 +1,37 @@
+/**
+ * Migration 004 — Audit trail
+ *
+ * Extends `Logs` with the request context recorded by the audit trail
+ * middleware, the before/after diff of updates, and the indexes used by
+ * the /logs filters and the retention job.
+ */
+
+module.exports = {
+    up: [
+        `ALTER TABLE Logs
+            ADD COLUMN method VARCHAR(10) NULL AFTER userId,
+            ADD COLUMN resourceType VARCHAR(50) NULL AFTER method,
+            ADD COLUMN resourceId INT UNSIGNED NULL AFTER resourceType,
+            ADD COLUMN ip VARCHAR(45) NULL AFTER resourceId,
+            ADD COLUMN outcome ENUM('success', 'failure') NULL AFTER ip,
+            ADD COLUMN statusCode SMALLINT UNSIGNED NULL AFTER outcome,
+            ADD COLUMN changes JSON NULL AFTER statusCode,
+            ADD KEY idx_logs_user (userId),
+            ADD KEY idx_logs_resource (resourceType, resourceId),
+            ADD KEY idx_logs_created_at (createdAt)`,
+    ],
+
+    down: [
+        `ALTER TABLE Logs
+            DROP KEY idx_logs_created_at,
+            DROP KEY idx_logs_resource,
+            DROP KEY idx_logs_user,
+            DROP COLUMN changes,
+            DROP COLUMN statusCode,
+            DROP COLUMN outcome,
+            DROP COLUMN ip,
+            DROP COLUMN resourceId,
+            DROP COLUMN resourceType,
+            DROP COLUMN method`,
+    ],
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 005 — Full-text search
+ *
+ * FULLTEXT indexes used by the search endpoints. The column list of each
+ * index must match the MATCH(...) clause of the corresponding query in
+ * the repositories exactly.
+ */
+
+module.exports = {
+    up: [
+        `ALTER TABLE Article ADD FULLTEXT INDEX ft_article_search (title, description)`,
+        `ALTER TABLE Book ADD FULLTEXT INDEX ft_book_search (title)`,
+        `ALTER TABLE Podcast ADD FULLTEXT INDEX ft_podcast_search (title)`,
+        `ALTER TABLE Author ADD FULLTEXT INDEX ft_author_search (name, description, nationality)`,
+    ],
+
+    down: [
+        `ALTER TABLE Author DROP INDEX ft_author_search`,
+        `ALTER TABLE Podcast DROP INDEX ft_podcast_search`,
+        `ALTER TABLE Book DROP INDEX ft_book_search`,
+        `ALTER TABLE Article DROP INDEX ft_article_search`,
+    ],
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 006 — Soft delete
+ *
+ * Adds `deletedAt` to the content tables. Deleting an article, book or
+ * podcast sets it (the row moves to the trash); every regular read
+ * filters on `deletedAt IS NULL`.
+ */
+
+module.exports = {
+    up: [
+        `ALTER TABLE Article ADD COLUMN deletedAt DATETIME NULL, ADD KEY idx_article_deleted_at (deletedAt)`,
+        `ALTER TABLE Book ADD COLUMN deletedAt DATETIME NULL, ADD KEY idx_book_deleted_at (deletedAt)`,
+        `ALTER TABLE Podcast ADD COLUMN deletedAt DATETIME NULL, ADD KEY idx_podcast_deleted_at (deletedAt)`,
+    ],
+
+    down: [
+        `ALTER TABLE Podcast DROP KEY idx_podcast_deleted_at, DROP COLUMN deletedAt`,
+        `ALTER TABLE Book DROP KEY idx_book_deleted_at, DROP COLUMN deletedAt`,
+        `ALTER TABLE Article DROP KEY idx_article_deleted_at, DROP COLUMN deletedAt`,
+    ],
+};
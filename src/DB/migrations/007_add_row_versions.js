@@ -0,0 +1,22 @@
+/**
+ * Migration 007 — Row versions
+ *
+ * Adds the `version` column used for optimistic concurrency (ETag /
+ * If-Match) on the content tables. Every write increments it.
+ */
+
+module.exports = {
+    up: [
+        `ALTER TABLE Article ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1`,
+        `ALTER TABLE Book ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1`,
+        `ALTER TABLE Podcast ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1`,
+        `ALTER TABLE Author ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1`,
+    ],
+
+    down: [
+        `ALTER TABLE Author DROP COLUMN version`,
+        `ALTER TABLE Podcast DROP COLUMN version`,
+        `ALTER TABLE Book DROP COLUMN version`,
+        `ALTER TABLE Article DROP COLUMN version`,
+    ],
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration 008 — Article revisions
+ *
+ * Keeps a snapshot of an article's editable fields every time it is
+ * updated, so editors can browse, compare and roll back to older
+ * versions. Category and status are stored without foreign keys: a
+ * revision is a historical record and must not block deleting them.
+ */
+
+module.exports = {
+    up: [
+        `CREATE TABLE ArticleRevision (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            articleId INT UNSIGNED NOT NULL,
+            version INT UNSIGNED NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            description MEDIUMTEXT NULL,
+            categoryId INT UNSIGNED NULL,
+            primaryImg VARCHAR(500) NULL,
+            statusId INT UNSIGNED NULL,
+            userId INT UNSIGNED NULL,
+            createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY idx_article_revision_article (articleId, id),
+            CONSTRAINT fk_article_revision_article FOREIGN KEY (articleId) REFERENCES Article (id) ON DELETE CASCADE,
+            CONSTRAINT fk_article_revision_user FOREIGN KEY (userId) REFERENCES User (id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS ArticleRevision`,
+    ],
+};
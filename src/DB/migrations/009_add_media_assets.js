@@ -0,0 +1,34 @@
+/**
+ * Migration 009 — Media assets
+ *
+ * Stores, next to every media URL, the storage asset it points to as JSON:
+ * `{ provider, key, type }` (for Cloudinary, `key` is the public_id and
+ * `type` maps to its resource_type). It is what lets the API delete the
+ * file when it is replaced or purged. NULL for external URLs and rows
+ * created before this migration.
+ */
+
+module.exports = {
+    up: [
+        `ALTER TABLE Article ADD COLUMN primaryImgAsset JSON NULL AFTER primaryImg`,
+        `ALTER TABLE ArticleRevision ADD COLUMN primaryImgAsset JSON NULL AFTER primaryImg`,
+        `ALTER TABLE Author ADD COLUMN primaryImgAsset JSON NULL AFTER primaryImg`,
+        `ALTER TABLE AuthorImages ADD COLUMN imgAsset JSON NULL AFTER img`,
+        `ALTER TABLE Book
+            ADD COLUMN imgAsset JSON NULL AFTER img,
+            ADD COLUMN fileAsset JSON NULL AFTER file`,
+        `ALTER TABLE Podcast
+            ADD COLUMN imgAsset JSON NULL AFTER img,
+            ADD COLUMN videoAsset JSON NULL AFTER video,
+            ADD COLUMN audioAsset JSON NULL AFTER audio`,
+    ],
+
+    down: [
+        `ALTER TABLE Podcast DROP COLUMN audioAsset, DROP COLUMN videoAsset, DROP COLUMN imgAsset`,
+        `ALTER TABLE Book DROP COLUMN fileAsset, DROP COLUMN imgAsset`,
+        `ALTER TABLE AuthorImages DROP COLUMN imgAsset`,
+        `ALTER TABLE Author DROP COLUMN primaryImgAsset`,
+        `ALTER TABLE ArticleRevision DROP COLUMN primaryImgAsset`,
+        `ALTER TABLE Article DROP COLUMN primaryImgAsset`,
+    ],
+};
@@ -0,0 +1,263 @@
+/**
+ * Database Seeder
+ *
+ * Inserts the reference data the application needs to work (roles,
+ * workflow statuses, starter categories, permissions and their grants)
+ * and an initial admin user. Optionally adds a small demo dataset of
+ * authors, books, articles and podcasts with placeholder media.
+ *
+ * The seeder is idempotent: rows are matched on their unique name (or
+ * email / slug) and never duplicated, so it can be run after every
+ * migration or deploy. Existing rows are left untouched.
+ *
+ * Usage:
+ *  - npm run seed             → Reference data + admin user
+ *  - npm run seed -- --demo   → Same, plus demo content
+ *
+ * ENV variables:
+ *  - SEED_ADMIN_EMAIL: Email of the initial admin user
+ *  - SEED_ADMIN_PASSWORD: Its password (the user is skipped if either is missing)
+ */
+
+const bcryptjs = require("bcryptjs");
+const { pool } = require("./connection");
+const PERMISSIONS = require("../Config/permissions");
+
+/**
+ * Default roles and the permissions granted to each.
+ * Admins receive every permission in Config/permissions.js.
+ */
+const ROLES = {
+    admin: Object.values(PERMISSIONS),
+    editor: [
+        PERMISSIONS.ARTICLE_CREATE, PERMISSIONS.ARTICLE_UPDATE, PERMISSIONS.ARTICLE_DELETE,
+        PERMISSIONS.AUTHOR_CREATE, PERMISSIONS.AUTHOR_UPDATE,
+        PERMISSIONS.BOOK_CREATE, PERMISSIONS.BOOK_UPDATE, PERMISSIONS.BOOK_DELETE,
+        PERMISSIONS.PODCAST_CREATE, PERMISSIONS.PODCAST_UPDATE, PERMISSIONS.PODCAST_DELETE,
+        PERMISSIONS.CATEGORY_CREATE, PERMISSIONS.CATEGORY_UPDATE,
+    ],
+    viewer: [],
+};
+
+/**
+ * Content workflow statuses.
+ */
+const STATUSES = ["draft", "review", "published", "archived"];
+
+/**
+ * Starter article categories.
+ */
+const CATEGORIES = ["Literatura", "Poesía", "Ensayo", "Entrevistas", "Noticias"];
+
+/**
+ * Placeholder media used by the demo dataset.
+ */
+const PLACEHOLDER = {
+    img: (text) => `https://placehold.co/800x600?text=${encodeURIComponent(text)}`,
+    video: "https://example.com/demo/video.mp4",
+    audio: "https://example.com/demo/audio.mp3",
+    file: "https://example.com/demo/book.pdf",
+};
+
+/**
+ * Generates a URL-friendly slug (same rules as the services).
+ *
+ * @param {string} text - Title or name.
+ * @returns {string} Slug.
+ */
+const toSlug = (text) => text
+    .toLowerCase()
+    .trim()
+    .replace(/ /g, "-")
+    .replace(/[^\w-]+/g, "");
+
+/**
+ * Inserts each name into a lookup table unless it already exists.
+ *
+ * @param {string} table - Table with a unique `name` column.
+ * @param {string[]} names - Names to insert.
+ * @returns {Promise<Map<string, number>>} Name → ID of every seeded row.
+ */
+const seedNames = async (table, names) => {
+    for (const name of names) {
+        await pool.query(`INSERT IGNORE INTO ${table} (name) VALUES (?)`, [name]);
+    }
+
+    const [rows] = await pool.query(`SELECT id, name FROM ${table} WHERE name IN (?)`, [names]);
+    return new Map(rows.map((row) => [row.name, row.id]));
+};
+
+/**
+ * Seeds every permission and grants the default roles their permissions.
+ * Grants added later by an admin are kept.
+ *
+ * @param {Map<string, number>} roleIds - Role name → ID.
+ */
+const seedPermissions = async (roleIds) => {
+    const permissionIds = await seedNames("Permission", Object.values(PERMISSIONS));
+
+    for (const [role, permissions] of Object.entries(ROLES)) {
+        for (const permission of permissions) {
+            await pool.query(
+                `INSERT IGNORE INTO RolePermission (rolId, permissionId) VALUES (?, ?)`,
+                [roleIds.get(role), permissionIds.get(permission)]
+            );
+        }
+    }
+};
+
+/**
+ * Creates the initial admin user from SEED_ADMIN_EMAIL / SEED_ADMIN_PASSWORD.
+ *
+ * @param {number} adminRoleId - ID of the admin role.
+ * @returns {Promise<number|null>} ID of the admin user, or null if not configured.
+ */
+const seedAdminUser = async (adminRoleId) => {
+    const email = process.env.SEED_ADMIN_EMAIL?.toLowerCase();
+    const password = process.env.SEED_ADMIN_PASSWORD;
+
+    if (!email || !password) {
+        console.warn("SEED_ADMIN_EMAIL / SEED_ADMIN_PASSWORD not set: skipping admin user");
+        return null;
+    }
+
+    const [existing] = await pool.query(`SELECT id FROM User WHERE email = ?`, [email]);
+    if (existing.length) return existing[0].id;
+
+    const hashedPassword = await bcryptjs.hash(password, 10);
+    const [result] = await pool.query(
+        `INSERT INTO User (email, password, rolId) VALUES (?, ?, ?)`,
+        [email, hashedPassword, adminRoleId]
+    );
+
+    console.log(`Created admin user ${email}`);
+    return result.insertId;
+};
+
+/**
+ * Inserts a content row unless a row with the same slug exists.
+ *
+ * @param {string} table - Content table (Author, Book, Article, Podcast).
+ * @param {Object} row - Column → value, including `slug`.
+ * @returns {Promise<number>} ID of the existing or inserted row.
+ */
+const insertBySlug = async (table, row) => {
+    const [existing] = await pool.query(`SELECT id FROM ${table} WHERE slug = ?`, [row.slug]);
+    if (existing.length) return existing[0].id;
+
+    const [result] = await pool.query(`INSERT INTO ${table} SET ?`, [row]);
+    return result.insertId;
+};
+
+/**
+ * Seeds the demo dataset: two authors with a gallery, a book each,
+ * a few articles and a podcast episode.
+ *
+ * @param {Object} refs - IDs of the reference data.
+ * @param {Map<string, number>} refs.statusIds - Status name → ID.
+ * @param {Map<string, number>} refs.categoryIds - Category name → ID.
+ * @param {number|null} refs.userId - Owner of the demo content.
+ */
+const seedDemoContent = async ({ statusIds, categoryIds, userId }) => {
+    const authors = [
+        { name: "Gabriela Mistral", birthDate: "1889-04-07", nationality: "Chilena" },
+        { name: "Rubén Darío", birthDate: "1867-01-18", nationality: "Nicaragüense" },
+    ];
+
+    for (const author of authors) {
+        const slug = toSlug(author.name);
+        const [existing] = await pool.query(`SELECT id FROM Author WHERE slug = ?`, [slug]);
+
+        const authorId = await insertBySlug("Author", {
+            ...author,
+            description: `Autor de demostración: ${author.name}.`,
+            primaryImg: PLACEHOLDER.img(author.name),
+            userId,
+            slug,
+        });
+
+        // Only add the gallery when the author was just created
+        if (!existing.length) {
+            for (const n of [1, 2]) {
+                await pool.query(
+                    `INSERT INTO AuthorImages (authorId, img) VALUES (?, ?)`,
+                    [authorId, PLACEHOLDER.img(`${author.name} ${n}`)]
+                );
+            }
+        }
+
+        const title = `Obras escogidas de ${author.name}`;
+        await insertBySlug("Book", {
+            title,
+            img: PLACEHOLDER.img(title),
+            authorId,
+            userId,
+            file: PLACEHOLDER.file,
+            slug: toSlug(title),
+        });
+    }
+
+    const articles = [
+        { title: "Bienvenidos a Tessiture", category: "Noticias", status: "published" },
+        { title: "Cinco poemas para empezar", category: "Poesía", status: "published" },
+        { title: "Notas sobre el modernismo", category: "Ensayo", status: "draft" },
+    ];
+
+    for (const article of articles) {
+        await insertBySlug("Article", {
+            title: article.title,
+            description: `Contenido de demostración para "${article.title}".`,
+            categoryId: categoryIds.get(article.category),
+            userId,
+            primaryImg: PLACEHOLDER.img(article.title),
+            statusId: statusIds.get(article.status),
+            slug: toSlug(article.title),
+        });
+    }
+
+    const podcastTitle = "Episodio piloto";
+    await insertBySlug("Podcast", {
+        title: podcastTitle,
+        img: PLACEHOLDER.img(podcastTitle),
+        video: PLACEHOLDER.video,
+        audio: PLACEHOLDER.audio,
+        statusId: statusIds.get("published"),
+        slug: toSlug(podcastTitle),
+    });
+
+    console.log("Seeded demo content");
+};
+
+/**
+ * Runs the seeder.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.demo=false] - Also seed the demo dataset.
+ */
+const seed = async ({ demo = false } = {}) => {
+    const roleIds = await seedNames("Rol", Object.keys(ROLES));
+    const statusIds = await seedNames("Status", STATUSES);
+    const categoryIds = await seedNames("Category", CATEGORIES);
+    await seedPermissions(roleIds);
+
+    console.log("Seeded roles, statuses, categories and permissions");
+
+    const userId = await seedAdminUser(roleIds.get("admin"));
+
+    if (demo) {
+        await seedDemoContent({ statusIds, categoryIds, userId });
+    }
+};
+
+// Command line entry point
+if (require.main === module) {
+    seed({ demo: process.argv.includes("--demo") })
+        .then(() => pool.end())
+        .catch(async (error) => {
+            console.error("Seeding failed:", error.message);
+            await pool.end();
+            process.exit(1);
+        });
+}
+
+module.exports = { seed };
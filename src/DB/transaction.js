@@ -0,0 +1,51 @@
+/**
+ * Transaction Helper (unit of work)
+ *
+ * Runs a set of queries on a single pooled connection inside a MySQL
+ * transaction. Everything done through the connection is committed
+ * together, or rolled back together if the callback throws.
+ *
+ * Repositories accept that connection as an optional last argument
+ * (`db`, defaulting to the pool), so the same methods work inside and
+ * outside a transaction:
+ *
+ *   const author = await withTransaction(async (conn) => {
+ *       const author = await authorRepository.createAuthor(data, conn);
+ *       await authorImagesRepository.addImage(author.id, image, conn);
+ *       return author;
+ *   });
+ *
+ * Keep slow work (e.g., uploads to Cloudinary) outside the callback so
+ * the transaction holds its locks as briefly as possible.
+ */
+
+const { pool } = require("./connection");
+
+/**
+ * Executes a callback inside a transaction.
+ *
+ * @template T
+ * @param {(conn: import("mysql2/promise").PoolConnection) => Promise<T>} work -
+ *        Callback receiving the transaction's connection.
+ * @returns {Promise<T>} The callback's result, once committed.
+ * @throws {Error} Whatever the callback threw, after rolling back.
+ */
+const withTransaction = async (work) => {
+    const conn = await pool.getConnection();
+
+    try {
+        await conn.beginTransaction();
+
+        const result = await work(conn);
+
+        await conn.commit();
+        return result;
+    } catch (error) {
+        await conn.rollback();
+        throw error;
+    } finally {
+        conn.release();
+    }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,76 @@
+/**
+ * Log Retention Job
+ *
+ * Periodically archives and prunes audit log entries older than
+ * LOGS_RETENTION_DAYS (see Config/logs.js). Each run writes the expired
+ * entries to a gzip-compressed NDJSON file in LOGS_ARCHIVE_DIR before
+ * deleting them from the `Logs` table.
+ *
+ * Usage:
+ *  - Started by server.js with startLogRetentionJob()
+ *  - Run once manually with `npm run logs:prune`
+ *
+ * The job is disabled when LOGS_RETENTION_DAYS is 0 (the default).
+ */
+
+const LogsRepository = require("../Repository/Logs.repository");
+const LogsService = require("../Service/Logs.service");
+const logsConfig = require("../Config/logs");
+
+const logsService = new LogsService(new LogsRepository());
+
+/**
+ * Archives and prunes the expired log entries once.
+ *
+ * @returns {Promise<{ archived: number, deleted: number, file: string|null }|null>}
+ *          Summary of the run, or null when retention is disabled.
+ */
+const runLogRetention = async () => {
+    if (logsConfig.retentionDays <= 0) return null;
+
+    const result = await logsService.pruneOlderThan(
+        logsConfig.retentionDays,
+        logsConfig.archiveDir
+    );
+
+    if (result.file) {
+        console.log(
+            `Log retention: archived ${result.archived} and deleted ${result.deleted} entries (${result.file})`
+        );
+    }
+
+    return result;
+};
+
+/**
+ * Schedules the retention job every LOGS_RETENTION_INTERVAL_HOURS.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * Failed runs are reported and retried on the next tick.
+ */
+const startLogRetentionJob = () => {
+    if (logsConfig.retentionDays <= 0) return;
+
+    const run = () => runLogRetention().catch((error) => {
+        console.error("Log retention failed:", error);
+    });
+
+    setInterval(run, logsConfig.retentionIntervalHours * 60 * 60 * 1000).unref();
+    run();
+};
+
+// Allow running a single pass from the command line
+if (require.main === module) {
+    runLogRetention()
+        .then((result) => {
+            if (!result) console.log("Log retention is disabled (LOGS_RETENTION_DAYS=0)");
+            else if (!result.file) console.log("Log retention: nothing to prune");
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error("Log retention failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runLogRetention, startLogRetentionJob };
@@ -0,0 +1,94 @@
+/**
+ * Media Reconcile Job
+ *
+ * Finds stored files (Cloudinary folder or local disk) that no database
+ * row references anymore: files whose cleanup failed when their content
+ * was replaced or purged, and uploads whose request failed before the row
+ * was written. Files younger than STORAGE_RECONCILE_GRACE_HOURS are kept.
+ *
+ * The job only reports the orphans unless deleting is enabled with
+ * STORAGE_RECONCILE_DELETE=true (or `--delete` on the command line): the
+ * storage location must be dedicated to this API, since any file in it
+ * that no row references is considered orphaned.
+ *
+ * Usage:
+ *  - Started by server.js with startMediaReconcileJob() when
+ *    STORAGE_RECONCILE_INTERVAL_HOURS is set
+ *  - Run once manually with `npm run media:reconcile`
+ *    (`-- --delete` deletes the orphans, `-- --dry-run` never does)
+ */
+
+const storage = require("../Storage");
+const MediaRepository = require("../Repository/Media.repository");
+const MediaService = require("../Service/Media.service");
+const storageConfig = require("../Config/storage");
+
+const mediaService = new MediaService(new MediaRepository(), storage);
+
+/**
+ * Reconciles the storage with the database once.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report the orphaned files
+ *        (default: unless STORAGE_RECONCILE_DELETE is "true").
+ * @returns {Promise<{ scanned: number, orphaned: string[], deleted: number }>}
+ *          Summary of the run.
+ */
+const runMediaReconcile = async ({ dryRun = !storageConfig.reconcileDelete } = {}) => {
+    const result = await mediaService.reconcile({
+        graceHours: storageConfig.reconcileGraceHours,
+        dryRun,
+    });
+
+    if (result.deleted) {
+        console.log(
+            `Media reconcile: deleted ${result.deleted} orphaned files out of ${result.scanned}`
+        );
+    } else if (dryRun && result.orphaned.length) {
+        console.log(
+            `Media reconcile (dry run): ${result.orphaned.length} orphaned files out of ${result.scanned}`
+        );
+    }
+
+    return result;
+};
+
+/**
+ * Schedules the reconcile job every STORAGE_RECONCILE_INTERVAL_HOURS.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * Failed runs are reported and retried on the next tick.
+ */
+const startMediaReconcileJob = () => {
+    if (storageConfig.reconcileIntervalHours <= 0) return;
+
+    const run = () => runMediaReconcile().catch((error) => {
+        console.error("Media reconcile failed:", error);
+    });
+
+    setInterval(run, storageConfig.reconcileIntervalHours * 60 * 60 * 1000).unref();
+    run();
+};
+
+// Allow running a single pass from the command line
+if (require.main === module) {
+    const dryRun = process.argv.includes("--dry-run")
+        || !(storageConfig.reconcileDelete || process.argv.includes("--delete"));
+
+    runMediaReconcile({ dryRun })
+        .then((result) => {
+            if (dryRun) {
+                result.orphaned.forEach((key) => console.log(key));
+            }
+            if (!result.orphaned.length) {
+                console.log("Media reconcile: nothing to delete");
+            }
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error("Media reconcile failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runMediaReconcile, startMediaReconcileJob };
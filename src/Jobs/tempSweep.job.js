@@ -0,0 +1,88 @@
+/**
+ * Temp Upload Sweep Job
+ *
+ * Periodically deletes files in UPLOAD_TEMP_DIR older than
+ * UPLOAD_TEMP_MAX_AGE_HOURS (see Config/upload.js). Temp files are
+ * normally removed when their request finishes (upload.middleware.js);
+ * this catches the ones left behind by a crash or a failed delete.
+ *
+ * Usage:
+ *  - Started by server.js with startTempSweepJob()
+ *  - Run once manually with `npm run temp:sweep`
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const uploadConfig = require("../Config/upload");
+
+/**
+ * Deletes the stale temp files once.
+ *
+ * @returns {Promise<{ deleted: number }>} Number of files deleted.
+ */
+const runTempSweep = async () => {
+    const cutoff = Date.now() - uploadConfig.tempMaxAgeHours * 60 * 60 * 1000;
+
+    let entries;
+    try {
+        entries = await fs.readdir(uploadConfig.tempDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === "ENOENT") return { deleted: 0 };
+        throw error;
+    }
+
+    let deleted = 0;
+
+    for (const entry of entries) {
+        if (!entry.isFile()) continue;
+
+        const filePath = path.join(uploadConfig.tempDir, entry.name);
+
+        try {
+            const { mtimeMs } = await fs.stat(filePath);
+            if (mtimeMs > cutoff) continue;
+
+            await fs.unlink(filePath);
+            deleted++;
+        } catch (error) {
+            // Removed by its request in the meantime
+            if (error.code !== "ENOENT") throw error;
+        }
+    }
+
+    if (deleted) {
+        console.log(`Temp sweep: deleted ${deleted} stale upload files`);
+    }
+
+    return { deleted };
+};
+
+/**
+ * Schedules the sweep every UPLOAD_TEMP_SWEEP_INTERVAL_HOURS.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * Failed runs are reported and retried on the next tick.
+ */
+const startTempSweepJob = () => {
+    const run = () => runTempSweep().catch((error) => {
+        console.error("Temp sweep failed:", error);
+    });
+
+    setInterval(run, uploadConfig.tempSweepIntervalHours * 60 * 60 * 1000).unref();
+    run();
+};
+
+// Allow running a single pass from the command line
+if (require.main === module) {
+    runTempSweep()
+        .then((result) => {
+            if (!result.deleted) console.log("Temp sweep: nothing to delete");
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error("Temp sweep failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runTempSweep, startTempSweepJob };
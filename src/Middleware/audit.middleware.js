@@ -0,0 +1,99 @@
+/**
+ * Audit Trail Middleware
+ *
+ * Records every create, update and delete request of a router in the
+ * `Logs` table once the response has been sent, whether it succeeded or not.
+ *
+ * Each entry captures:
+ *  - The acting user (req.user, when authenticated)
+ *  - HTTP method and derived action (create / update / delete)
+ *  - Resource type and resource ID
+ *  - Client IP
+ *  - Outcome ("success" or "failure") and status code
+ *  - Field-level diff, when the controller provides one in
+ *    `res.locals.auditChanges`
+ *
+ * Usage (once per router, before the route definitions):
+ *   router.use(auditTrail("article"));
+ *
+ * Writing the log never blocks or fails the request: errors are only
+ * reported to the console.
+ */
+
+const LogsRepository = require("../Repository/Logs.repository");
+const LogsService = require("../Service/Logs.service");
+
+const logsService = new LogsService(new LogsRepository());
+
+/**
+ * Maps mutating HTTP methods to the action stored in the log.
+ * Other methods (GET, HEAD, OPTIONS) are not audited.
+ */
+const ACTIONS = {
+    POST: "create",
+    PUT: "update",
+    PATCH: "update",
+    DELETE: "delete",
+};
+
+/**
+ * Parses a path segment as a numeric resource ID.
+ *
+ * @param {string|undefined} segment - Path segment.
+ * @returns {number|null} The ID, or null if the segment is not numeric.
+ */
+const toResourceId = (segment) => (/^\d+$/.test(segment ?? "") ? Number(segment) : null);
+
+/**
+ * Builds a middleware that audits mutations on a resource type.
+ *
+ * The resource ID is read from the first path segment (`/:id/...`) or,
+ * for creations, from the `id` of the JSON response. Nested paths such as
+ * `/:id/permissions` are recorded with the sub-resource in the action
+ * (e.g., "create_permissions"). Controllers may override the action by
+ * setting `res.locals.auditAction`.
+ *
+ * @param {string} resourceType - Name of the audited resource (e.g., "article").
+ * @returns {import("express").RequestHandler} Express middleware.
+ */
+const auditTrail = (resourceType) => {
+    return (req, res, next) => {
+        const verb = ACTIONS[req.method];
+        if (!verb) return next();
+
+        // req.params is not populated yet at router level, so parse the path
+        const [idSegment, subResource] = req.path.split("/").filter(Boolean);
+        let resourceId = toResourceId(idSegment);
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (resourceId === null && body && body.id !== undefined) {
+                resourceId = toResourceId(String(body.id));
+            }
+            return json(body);
+        };
+
+        res.on("finish", () => {
+            const action = res.locals.auditAction
+                ?? (subResource ? `${verb}_${subResource}` : verb);
+
+            logsService.createLog({
+                action,
+                userId: req.user?.id ?? null,
+                method: req.method,
+                resourceType,
+                resourceId,
+                ip: req.ip,
+                outcome: res.statusCode < 400 ? "success" : "failure",
+                statusCode: res.statusCode,
+                changes: res.locals.auditChanges ?? null,
+            }).catch((error) => {
+                console.error("Failed to write audit log:", error);
+            });
+        });
+
+        next();
+    };
+};
+
+module.exports = { auditTrail };
@@ -0,0 +1,58 @@
+/**
+ * Authentication Middleware
+ *
+ * Verifies the JWT access token sent in the Authorization header and
+ * attaches the authenticated identity to the request as `req.user`.
+ *
+ * Expected header:
+ *   Authorization: Bearer <accessToken>
+ *
+ * Requests without a valid token are rejected with 401 through the
+ * global error handler.
+ *
+ * The user's role is read from the database on every request rather than
+ * from the token, so a role change or a deleted account takes effect
+ * immediately instead of when the access token expires.
+ */
+
+const jwt = require("jsonwebtoken");
+
+const authConfig = require("../Config/auth");
+const AppError = require("../Utils/AppError");
+const UserRepository = require("../Repository/User.repository");
+
+const userRepository = new UserRepository();
+
+/**
+ * @param {import("express").Request} req - Incoming request object
+ * @param {import("express").Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+        return next(new AppError(401, "Authentication required"));
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, authConfig.accessTokenSecret);
+    } catch (error) {
+        return next(new AppError(401, "Invalid or expired access token"));
+    }
+
+    try {
+        const user = await userRepository.findById(Number(payload.sub));
+        if (!user) {
+            return next(new AppError(401, "Account no longer exists"));
+        }
+
+        req.user = { id: user.id, rolId: user.rolId };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { authenticate };
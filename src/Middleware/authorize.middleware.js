@@ -0,0 +1,52 @@
+/**
+ * Permission-Based Authorization Middleware
+ *
+ * Restricts an endpoint to users whose role holds a given permission.
+ * Permissions are granted to roles through the `RolePermission` table,
+ * so what a role may do can be changed without touching the routes.
+ * Must be placed after `authenticate`.
+ *
+ * Example:
+ *   router.delete("/:id", authenticate, requirePermission(PERMISSIONS.PODCAST_DELETE), controller.deleteById);
+ *
+ * Responses:
+ *  - 401 if the request is not authenticated
+ *  - 403 if the user's role does not hold the permission
+ */
+
+const PermissionRepository = require("../Repository/Permission.repository");
+const RoleRepository = require("../Repository/Role.repository");
+const PermissionService = require("../Service/Permission.service");
+const AppError = require("../Utils/AppError");
+
+const permissionService = new PermissionService(
+    new PermissionRepository(),
+    new RoleRepository()
+);
+
+/**
+ * Builds a middleware that only lets through users holding a permission.
+ *
+ * @param {string} permission - Permission name (see Config/permissions.js).
+ * @returns {import("express").RequestHandler} Express middleware.
+ */
+const requirePermission = (permission) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                throw new AppError(401, "Authentication required");
+            }
+
+            const allowed = await permissionService.roleHasPermission(req.user.rolId, permission);
+            if (!allowed) {
+                throw new AppError(403, "You do not have permission to perform this action");
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = { requirePermission };
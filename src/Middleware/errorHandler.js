@@ -32,7 +32,8 @@ const errorHandler = (err, req, res, next) => {
     if (err.statusCode) {
         return res.status(err.statusCode).json({
             status: "error",
-            message: err.message
+            message: err.message,
+            ...(err.details && { details: err.details })
         });
     }
 
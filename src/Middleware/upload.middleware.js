@@ -2,57 +2,298 @@
  * Multer Upload Middleware (Temporary Storage)
  *
  * This module configures Multer to store uploaded files temporarily on disk.
- * These files are later processed and uploaded to Cloudinary by the Service layer.
+ * These files are later processed and uploaded to the file storage
+ * (Storage/: Cloudinary or local disk) by the Service layer.
  *
  * Why temporary storage?
- *  - Multer writes files to disk so they can be passed to Cloudinary uploader.
- *  - After Cloudinary upload succeeds, the temp file SHOULD be deleted manually
- *    (optional but highly recommended for production).
+ *  - Multer writes files to disk so they can be passed to the storage driver.
+ *  - The temp files of a request are deleted as soon as its response is
+ *    finished (or the connection is closed), whether it succeeded or not.
+ *    Anything left behind (e.g., after a crash) is removed by the temp
+ *    sweep job (Jobs/tempSweep.job.js).
  *
- * Supported Uploads:
- *  - Images
- *  - Videos
- *  - Audio files
- *  - Raw documents (PDF, Word, etc.)
+ * The temp directory (UPLOAD_TEMP_DIR, see Config/upload.js) is created
+ * when this module is loaded, at boot.
+ *
+ * Validation:
+ *  Each route declares, per field, how many files it takes, which types
+ *  it accepts and how large they may be. A file's type is identified
+ *  from its magic bytes (Utils/fileType.js), and its extension must match
+ *  that type. Violations are rejected before the controller runs:
+ *   - 400 for an unexpected field, too many files, or a wrong type
+ *   - 413 for a file over the field's size limit
+ *
+ * Usage:
+ *   router.post("/", upload.fields([
+ *       { name: "img", maxCount: 1, accept: FILE_TYPES.image, maxSize: 10 * MB },
+ *   ]), handler);
  */
 
-const multer = require("multer");
+const fs = require("fs");
 const path = require("path");
+const { randomUUID } = require("crypto");
+const { Transform } = require("stream");
+const multer = require("multer");
+const uploadConfig = require("../Config/upload");
+const AppError = require("../Utils/AppError");
+const { detectFileTypeFromPath, extensionsOf } = require("../Utils/fileType");
+
+fs.mkdirSync(uploadConfig.tempDir, { recursive: true });
+
+/**
+ * Lists the files Multer attached to a request (`req.file` for single(),
+ * an array for array()/any(), or an object of arrays for fields()).
+ *
+ * @param {import("express").Request} req
+ * @returns {Express.Multer.File[]}
+ */
+const requestFiles = (req) => {
+    const files = req.files
+        ? (Array.isArray(req.files) ? req.files : Object.values(req.files).flat())
+        : [];
+
+    return req.file ? [req.file, ...files] : files;
+};
+
+/**
+ * Deletes the temp files of a request. Files already gone are ignored;
+ * other failures are only logged (the sweeper retries later).
+ *
+ * Entries without a path are files Multer was still writing when it
+ * failed; it removes those itself.
+ *
+ * @param {import("express").Request} req
+ */
+const removeTempFiles = (req) => {
+    for (const file of requestFiles(req)) {
+        if (!file.path) continue;
+
+        fs.promises.unlink(file.path).catch((error) => {
+            if (error.code !== "ENOENT") {
+                console.error(`Failed to delete temp upload ${file.path}:`, error);
+            }
+        });
+    }
+};
 
 /**
- * Configure Multer disk storage.
+ * Wraps an upload middleware so the request's temp files are deleted once
+ * the response is done. The listener is attached before Multer runs, so
+ * it also covers requests that fail while parsing or in a later handler.
  *
- * destination: Directory where files will be temporarily stored.
- * filename: Ensures unique filenames by adding a timestamp prefix.
+ * @param {Function} middleware - Middleware parsing the multipart body.
+ * @returns {Function} Express middleware.
  */
-const storage = multer.diskStorage({
+const withCleanup = (middleware) => (req, res, next) => {
+    let cleaned = false;
+    const cleanup = () => {
+        if (cleaned) return;
+        cleaned = true;
+        removeTempFiles(req);
+    };
+
+    res.once("finish", cleanup);
+    res.once("close", cleanup);
+
+    middleware(req, res, next);
+};
+
+/**
+ * Formats a byte count for error messages (e.g., "10 MB").
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+/**
+ * Error for a file over its field's size limit.
+ *
+ * @param {string} field - Field name.
+ * @param {number} maxSize - Limit in bytes.
+ * @returns {AppError} 413.
+ */
+const tooLarge = (field, maxSize) =>
+    new AppError(413, `File "${field}" exceeds the maximum size of ${formatSize(maxSize)}`);
+
+/**
+ * Multer storage engine writing to the temp directory under a random UUID
+ * name (so concurrent uploads never collide), and enforcing each field's
+ * size limit while the file streams in: the upload is rejected as soon as
+ * the limit is passed, and the partial file is deleted.
+ *
+ * @param {Map<string, Object>} rules - Field name → rule.
+ * @returns {Object} Storage engine (see Multer's StorageEngine).
+ */
+const limitedDiskStorage = (rules) => ({
     /**
-     * @param {import("express").Request} req - Incoming request object
-     * @param {Express.Multer.File} file - File object from Multer
-     * @param {Function} cb - Callback to finalize the path
+     * @param {import("express").Request} req
+     * @param {Express.Multer.File} file - File being uploaded (`file.stream`).
+     * @param {Function} cb - Receives the stored file info, or an error.
      */
-    destination: (req, file, cb) => {
-        cb(null, "temp/"); // Temporary folder (must exist)
+    _handleFile(req, file, cb) {
+        const maxSize = rules.get(file.fieldname)?.maxSize ?? Infinity;
+        const filename = randomUUID() + path.extname(file.originalname).toLowerCase();
+        const filePath = path.join(uploadConfig.tempDir, filename);
+
+        const out = fs.createWriteStream(filePath);
+        let size = 0;
+
+        const limiter = new Transform({
+            transform(chunk, encoding, done) {
+                size += chunk.length;
+                done(size > maxSize ? tooLarge(file.fieldname, maxSize) : null, chunk);
+            },
+        });
+
+        const fail = (error) => {
+            // Keep reading the part so the rest of the request can be parsed
+            file.stream.unpipe(limiter);
+            file.stream.resume();
+            out.destroy();
+
+            fs.unlink(filePath, () => cb(error));
+        };
+
+        limiter.once("error", fail);
+        out.once("error", fail);
+        out.once("finish", () => {
+            cb(null, {
+                destination: uploadConfig.tempDir,
+                filename,
+                path: filePath,
+                size: out.bytesWritten,
+            });
+        });
+
+        file.stream.pipe(limiter).pipe(out);
     },
 
     /**
+     * Deletes a stored file when Multer aborts the request.
+     *
      * @param {import("express").Request} req
      * @param {Express.Multer.File} file
-     * @param {Function} cb - Sets the final filename used in the temp folder
+     * @param {Function} cb
      */
-    filename: (req, file, cb) => {
-        const uniqueName = Date.now() + path.extname(file.originalname);
-        cb(null, uniqueName);
-    }
+    _removeFile(req, file, cb) {
+        const filePath = file.path;
+        delete file.path;
+
+        fs.unlink(filePath, cb);
+    },
 });
 
 /**
- * Multer instance using disk storage.
+ * Error for a file whose type the field does not accept.
+ *
+ * @param {string} field - Field name.
+ * @param {string[]} accept - Accepted MIME types.
+ * @returns {AppError} 400 listing the accepted extensions.
+ */
+const unsupportedType = (field, accept) =>
+    new AppError(400, `File "${field}" must be one of: ${extensionsOf(accept).join(", ")}`);
+
+/**
+ * Converts a Multer error into a client error.
+ *
+ * @param {Error} error - Error raised while parsing the upload.
+ * @param {Map<string, Object>} rules - Field name → rule.
+ * @returns {Error} AppError for Multer errors, the error itself otherwise.
+ */
+const toUploadError = (error, rules) => {
+    if (!(error instanceof multer.MulterError)) return error;
+
+    switch (error.code) {
+        case "LIMIT_FILE_SIZE":
+            return tooLarge(error.field, rules.get(error.field).maxSize);
+        case "LIMIT_UNEXPECTED_FILE":
+            return rules.has(error.field)
+                ? new AppError(400, `Too many files for "${error.field}" (maximum ${rules.get(error.field).maxCount})`)
+                : new AppError(400, `Unexpected file field "${error.field}"`);
+        default:
+            return new AppError(400, error.message);
+    }
+};
+
+/**
+ * Checks an uploaded file against its field's rule: size, and type
+ * detected from its content, with an extension matching that type.
  *
- * Notes:
- *  - Does NOT validate file types (this should be done with a custom filter if needed).
- *  - Does NOT limit file sizes yet (can be configured via multer options).
+ * @param {Express.Multer.File} file - Uploaded file (on disk).
+ * @param {Object} rule - Field rule.
+ * @throws {AppError} 413 if the file is too large, 400 if its type is not accepted.
  */
-const upload = multer({ storage });
+const validateFile = async (file, rule) => {
+    if (rule.maxSize && file.size > rule.maxSize) {
+        throw tooLarge(file.fieldname, rule.maxSize);
+    }
+
+    if (!rule.accept) return;
+
+    const detected = await detectFileTypeFromPath(file.path);
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (!detected || !rule.accept.includes(detected.mime) || !detected.extensions.includes(extension)) {
+        throw unsupportedType(file.fieldname, rule.accept);
+    }
+
+    // Trust the detected type over the one sent by the client
+    file.mimetype = detected.mime;
+};
+
+/**
+ * Builds the upload middleware of a route.
+ *
+ * Multer enforces the field names and counts, and the storage engine each
+ * field's size limit, while streaming (so an oversized file is cut off as
+ * soon as it passes its limit); the file types are checked once the files
+ * are on disk.
+ *
+ * @param {Object[]} fieldRules - One rule per file field.
+ * @param {string} fieldRules[].name - Field name.
+ * @param {number} [fieldRules[].maxCount=1] - Maximum number of files.
+ * @param {string[]} [fieldRules[].accept] - Accepted MIME types (see FILE_TYPES in
+ *                                           Utils/fileType.js); any type if omitted.
+ * @param {number} [fieldRules[].maxSize] - Maximum size of each file, in bytes.
+ *
+ * @returns {Function} Express middleware filling `req.files` (field → files).
+ */
+const fields = (fieldRules) => {
+    const rules = new Map(fieldRules.map((rule) => [rule.name, { maxCount: 1, ...rule }]));
+    const sizes = fieldRules.map(({ maxSize }) => maxSize ?? Infinity);
+
+    const parse = multer({
+        storage: limitedDiskStorage(rules),
+        // Backstop for the per-field limits of the storage engine
+        limits: { fileSize: Math.max(...sizes) },
+        fileFilter: (req, file, cb) => {
+            // Cheap early check; the content is verified after the upload
+            const { accept } = rules.get(file.fieldname);
+            const extension = path.extname(file.originalname).toLowerCase();
+
+            if (accept && !extensionsOf(accept).includes(extension)) {
+                return cb(unsupportedType(file.fieldname, accept));
+            }
+
+            cb(null, true);
+        },
+    }).fields([...rules.values()].map(({ name, maxCount }) => ({ name, maxCount })));
+
+    return withCleanup((req, res, next) => {
+        parse(req, res, async (error) => {
+            if (error) return next(toUploadError(error, rules));
+
+            try {
+                for (const file of requestFiles(req)) {
+                    await validateFile(file, rules.get(file.fieldname));
+                }
+                next();
+            } catch (validationError) {
+                next(validationError);
+            }
+        });
+    });
+};
 
-module.exports = upload;
+module.exports = { fields };
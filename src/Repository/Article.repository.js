@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { buildSetClause, buildListClause, toJSONColumn } = require("../Utils/sql");
 
 /**
  * Repository responsible for handling all database operations related to Articles.
@@ -17,19 +18,20 @@ class ArticleRepository {
      * @param {string} params.description - The body or summary of the article.
      * @param {number} params.categoryId - ID of the category associated with the article.
      * @param {number} params.userId - ID of the user who created the article.
-     * @param {string|null} params.primaryImg - URL of the main article image (uploaded via Cloudinary).
+     * @param {string|null} params.primaryImg - URL of the main article image (from the file storage).
+     * @param {Object|null} [params.primaryImgAsset] - Stored asset of that image (see Media.service.js).
      * @param {number} params.statusId - Status identifier (e.g., published, draft).
      * @param {string} params.slug - SEO-friendly slug generated from the title.
      * 
      * @returns {Promise<Object>} The created article record.
      * @throws {Error} If the insertion fails.
      */
-    async createArticle({ title, description, categoryId, userId, primaryImg, statusId, slug }) {
+    async createArticle({ title, description, categoryId, userId, primaryImg, primaryImgAsset = null, statusId, slug }) {
 
         const [result] = await pool.query(
-            `INSERT INTO Article (title, description, categoryId, userId, primaryImg, statusId, slug)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [title, description, categoryId, userId, primaryImg, statusId, slug]
+            `INSERT INTO Article (title, description, categoryId, userId, primaryImg, primaryImgAsset, statusId, slug)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [title, description, categoryId, userId, primaryImg, toJSONColumn(primaryImgAsset), statusId, slug]
         );
 
         if (result.affectedRows === 0) {
@@ -40,38 +42,157 @@ class ArticleRepository {
     }
 
     /**
-     * Retrieves all articles from the database.
-     * 
-     * @returns {Promise<Object[]|null>} Array of articles or null if none exist.
+     * Retrieves a page of articles.
+     *
+     * @param {Object} options - Parsed list options (see Utils/pagination.js).
+     * @param {Object} [options.filters] - Column → value equality filters.
+     * @param {Date} [options.from] - Inclusive lower bound on createdAt.
+     * @param {Date} [options.to] - Inclusive upper bound on createdAt.
+     * @param {{ field: string, direction: string }} options.sort - Sort order.
+     * @param {number} options.limit - Page size.
+     * @param {number} options.offset - Rows to skip.
+     *
+     * @param {Object} [scope]
+     * @param {boolean} [scope.trashed=false] - List soft-deleted articles (the trash)
+     *                                          instead of live ones.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} The page (possibly
+     *          empty) and the number of articles matching the filters.
      */
-    async findAll() {
-        const [rows] = await pool.query("SELECT * FROM Article");
-        return rows.length ? rows : null;
+    async findAll(options, { trashed = false } = {}) {
+        const { where, orderBy, values } = buildListClause(options, {
+            conditions: [trashed ? "deletedAt IS NOT NULL" : "deletedAt IS NULL"],
+        });
+
+        const [rows] = await pool.query(
+            `SELECT * FROM Article ${where} ${orderBy} LIMIT ? OFFSET ?`,
+            [...values, options.limit, options.offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Article ${where}`,
+            values
+        );
+
+        return { rows, total };
+    }
+
+    /**
+     * Full-text search over title, description (FULLTEXT index ft_article_search).
+     *
+     * @param {string} booleanQuery - AGAINST expression in BOOLEAN MODE (see Utils/search.js).
+     * @param {Object} page - Page to return.
+     * @param {number} page.limit - Page size.
+     * @param {number} page.offset - Rows to skip.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} Matching articles, most
+     *          relevant first (each with a `score`), and the number of matches.
+     *          Soft-deleted rows are excluded.
+     */
+    async search(booleanQuery, { limit, offset }) {
+        const match = "MATCH(title, description) AGAINST (? IN BOOLEAN MODE)";
+
+        const [rows] = await pool.query(
+            `SELECT *, ${match} AS score FROM Article WHERE ${match} AND deletedAt IS NULL
+             ORDER BY score DESC, id DESC LIMIT ? OFFSET ?`,
+            [booleanQuery, booleanQuery, limit, offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Article WHERE ${match} AND deletedAt IS NULL`,
+            [booleanQuery]
+        );
+
+        return { rows, total };
     }
 
     /**
      * Retrieves a specific article by its ID.
      * 
      * @param {number} id - The article ID.
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
      * @returns {Promise<Object|null>} The matching article or null if not found.
      */
-    async findById(id) {
+    async findById(id, db = pool) {
+        const [rows] = await db.query(
+            "SELECT * FROM Article WHERE id = ? AND deletedAt IS NULL",
+            [id]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Retrieves an article and locks its row until the transaction ends,
+     * so no other write can change it in the meantime.
+     *
+     * @param {number} id - The article ID.
+     * @param {Object} conn - Transaction connection.
+     * @returns {Promise<Object|null>} The article, or null if not found.
+     */
+    async lockById(id, conn) {
+        const [rows] = await conn.query(
+            "SELECT * FROM Article WHERE id = ? AND deletedAt IS NULL FOR UPDATE",
+            [id]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Retrieves a soft-deleted article (in the trash) by its ID.
+     *
+     * @param {number} id - The article ID.
+     * @returns {Promise<Object|null>} The article, or null if it is not in the trash.
+     */
+    async findDeletedById(id) {
         const [rows] = await pool.query(
-            "SELECT * FROM Article WHERE id = ?",
+            `SELECT * FROM Article WHERE id = ? AND deletedAt IS NOT NULL`,
             [id]
         );
         return rows.length ? rows[0] : null;
     }
 
     /**
-     * Deletes an article by its ID.
-     * 
+     * Moves an article to the trash by setting `deletedAt`. Its revisions
+     * are kept, so restoring it brings back the full history.
+     *
+     * @param {number} id - The article ID.
+     * @param {number[]} [expectedVersions] - Only delete if the row still has one
+     *                                        of these versions (If-Match).
+     * @returns {Promise<boolean>} True if the article was moved to the trash.
+     */
+    async deleteById(id, expectedVersions) {
+        const [result] = await pool.query(
+            `UPDATE Article SET deletedAt = NOW(), version = version + 1
+             WHERE id = ? AND deletedAt IS NULL${expectedVersions ? " AND version IN (?)" : ""}`,
+            [id, ...(expectedVersions ? [expectedVersions] : [])]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Restores a soft-deleted article from the trash.
+     *
      * @param {number} id - The article ID.
-     * @returns {Promise<boolean>} True if deletion succeeded, false otherwise.
+     * @returns {Promise<boolean>} True if the article was restored.
      */
-    async deleteById(id) {
+    async restoreById(id) {
         const [result] = await pool.query(
-            "DELETE FROM Article WHERE id = ?",
+            `UPDATE Article SET deletedAt = NULL, version = version + 1
+             WHERE id = ? AND deletedAt IS NOT NULL`,
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Permanently deletes an article from the trash; its revisions are
+     * removed with it (ON DELETE CASCADE). Articles not in the trash are
+     * left untouched.
+     *
+     * @param {number} id - The article ID.
+     * @returns {Promise<boolean>} True if the article was purged.
+     */
+    async purgeById(id) {
+        const [result] = await pool.query(
+            `DELETE FROM Article WHERE id = ? AND deletedAt IS NOT NULL`,
             [id]
         );
         return result.affectedRows > 0;
@@ -79,33 +200,52 @@ class ArticleRepository {
 
     /**
      * Updates an article's data.
+     * Only the provided fields are changed; `null` clears a field.
      * 
      * @param {number} id - The article ID.
      * @param {Object} params - Fields to update.
-     * @param {string} params.title - Updated title.
-     * @param {string} params.description - Updated description.
-     * @param {number} params.categoryId - Updated category.
-     * @param {string|null} params.primaryImg - Updated main image URL.
-     * @param {number} params.statusId - Updated status.
-     * @param {string} params.slug - Updated slug.
+     * @param {string} [params.title] - Updated title.
+     * @param {string|null} [params.description] - Updated description.
+     * @param {number|null} [params.categoryId] - Updated category.
+     * @param {string|null} [params.primaryImg] - Updated main image URL.
+     * @param {Object|null} [params.primaryImgAsset] - Stored asset of the new image.
+     * @param {number|null} [params.statusId] - Updated status.
+     * @param {string} [params.slug] - Updated slug.
+     * @param {number[]} [expectedVersions] - Only update if the row still has one
+     *                                        of these versions (If-Match).
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * 
-     * @returns {Promise<Object>} The updated article record.
+     * @returns {Promise<Object|null>} The updated article record, or null if its
+     *          version no longer matches `expectedVersions`.
      * @throws {Error} If no rows were updated.
      */
-    async updateById(id, { title, description, categoryId, primaryImg, statusId, slug }) {
+    async updateById(id, { title, description, categoryId, primaryImg, primaryImgAsset, statusId, slug }, expectedVersions, db = pool) {
+        const { clause, values } = buildSetClause({
+            title,
+            description,
+            categoryId,
+            primaryImg,
+            primaryImgAsset: toJSONColumn(primaryImgAsset),
+            statusId,
+            slug,
+        });
 
-        const [result] = await pool.query(
-            `UPDATE Article 
-             SET title = ?, description = ?, categoryId = ?, primaryImg = ?, statusId = ?, slug = ?
-             WHERE id = ?`,
-            [title, description, categoryId, primaryImg, statusId, slug, id]
+        if (!clause) {
+            return this.findById(id, db);
+        }
+
+        const [result] = await db.query(
+            `UPDATE Article SET ${clause}, version = version + 1
+             WHERE id = ? AND deletedAt IS NULL${expectedVersions ? " AND version IN (?)" : ""}`,
+            [...values, id, ...(expectedVersions ? [expectedVersions] : [])]
         );
 
         if (result.affectedRows === 0) {
+            if (expectedVersions) return null;
             throw new Error("Failed to update article");
         }
 
-        return this.findById(id);
+        return this.findById(id, db);
     }
 }
 
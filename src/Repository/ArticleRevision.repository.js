@@ -0,0 +1,92 @@
+const { pool } = require("../DB/connection");
+const { toJSONColumn } = require("../Utils/sql");
+
+/**
+ * Repository responsible for handling all database operations
+ * related to ArticleRevisions (past versions of an article).
+ *
+ * A revision is a snapshot of the article as it was right before an
+ * update replaced it. Revisions are never modified; they are removed
+ * together with their article when it is purged.
+ */
+class ArticleRevisionRepository {
+
+    /**
+     * Saves a snapshot of an article.
+     *
+     * @param {Object} article - Article row being replaced.
+     * @param {number|null} userId - User making the change that replaces it.
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
+     *
+     * @returns {Promise<number>} ID of the new revision.
+     */
+    async create({ id, version, title, description, categoryId, primaryImg, primaryImgAsset, statusId }, userId, db = pool) {
+        const [result] = await db.query(
+            `INSERT INTO ArticleRevision
+                (articleId, version, title, description, categoryId, primaryImg, primaryImgAsset, statusId, userId)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, version, title, description, categoryId, primaryImg, toJSONColumn(primaryImgAsset), statusId, userId]
+        );
+
+        return result.insertId;
+    }
+
+    /**
+     * Retrieves a page of an article's revisions, newest first.
+     *
+     * @param {number} articleId - The article ID.
+     * @param {Object} page - Page to return.
+     * @param {number} page.limit - Page size.
+     * @param {number} page.offset - Rows to skip.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} The page and the
+     *          number of revisions of the article.
+     */
+    async findByArticleId(articleId, { limit, offset }) {
+        const [rows] = await pool.query(
+            `SELECT * FROM ArticleRevision WHERE articleId = ?
+             ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [articleId, limit, offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM ArticleRevision WHERE articleId = ?`,
+            [articleId]
+        );
+
+        return { rows, total };
+    }
+
+    /**
+     * Retrieves one revision of an article.
+     *
+     * @param {number} articleId - The article ID.
+     * @param {number} revisionId - The revision ID.
+     * @returns {Promise<Object|null>} The revision, or null if it does not
+     *          exist or belongs to another article.
+     */
+    async findById(articleId, revisionId) {
+        const [rows] = await pool.query(
+            `SELECT * FROM ArticleRevision WHERE id = ? AND articleId = ?`,
+            [revisionId, articleId]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Retrieves the stored image assets referenced by an article's revisions.
+     *
+     * @param {number} articleId - The article ID.
+     * @returns {Promise<Object[]>} Distinct assets (may be empty).
+     */
+    async findAssetsByArticleId(articleId) {
+        const [rows] = await pool.query(
+            `SELECT DISTINCT primaryImgAsset FROM ArticleRevision
+             WHERE articleId = ? AND primaryImgAsset IS NOT NULL`,
+            [articleId]
+        );
+
+        return rows.map((row) => row.primaryImgAsset);
+    }
+}
+
+module.exports = ArticleRevisionRepository;
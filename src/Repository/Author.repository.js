@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { buildSetClause, buildListClause, toJSONColumn } = require("../Utils/sql");
 
 /**
  * Repository responsible for managing all database operations related to Authors.
@@ -16,30 +17,33 @@ class AuthorRepository {
      * @param {string} params.birthDate - Author's birth date (YYYY-MM-DD).
      * @param {string} params.nationality - Nationality of the author.
      * @param {string} params.description - Biography or descriptive text.
-     * @param {string|null} params.primaryImg - URL of the author's main image (Cloudinary).
+     * @param {string|null} params.primaryImg - URL of the author's main image (file storage).
+     * @param {Object|null} [params.primaryImgAsset] - Stored asset of that image (see Media.service.js).
      * @param {number} params.userId - ID of the user who created the author.
      * @param {string} params.slug - SEO-friendly identifier generated from the name.
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
      * 
      * @returns {Promise<Object>} The newly created author.
      */
-    async createAuthor({ name, birthDate, nationality, description, primaryImg, userId, slug }) {
-        const [result] = await pool.query(
-            `INSERT INTO Author (name, birthDate, nationality, description, primaryImg, userId, slug)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [name, birthDate, nationality, description, primaryImg, userId, slug]
+    async createAuthor({ name, birthDate, nationality, description, primaryImg, primaryImgAsset = null, userId, slug }, db = pool) {
+        const [result] = await db.query(
+            `INSERT INTO Author (name, birthDate, nationality, description, primaryImg, primaryImgAsset, userId, slug)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, birthDate, nationality, description, primaryImg, toJSONColumn(primaryImgAsset), userId, slug]
         );
 
-        return this.findById(result.insertId);
+        return this.findById(result.insertId, db);
     }
 
     /**
      * Retrieves a single author by its ID.
      * 
      * @param {number} id - Author's primary key.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * @returns {Promise<Object|null>} The matching author or null if not found.
      */
-    async findById(id) {
-        const [rows] = await pool.query(
+    async findById(id, db = pool) {
+        const [rows] = await db.query(
             `SELECT * FROM Author WHERE id = ?`,
             [id]
         );
@@ -47,48 +51,130 @@ class AuthorRepository {
     }
 
     /**
-     * Retrieves all authors stored in the database.
-     * 
-     * @returns {Promise<Object[]|null>} An array of authors or null if empty.
+     * Retrieves several authors by ID in a single query (used to embed
+     * related resources, see Utils/include.js).
+     *
+     * @param {number[]} ids - Author IDs (must not be empty).
+     * @returns {Promise<Object[]>} The authors found, in no particular order.
+     */
+    async findByIds(ids) {
+        const [rows] = await pool.query(
+            `SELECT * FROM Author WHERE id IN (?)`,
+            [ids]
+        );
+
+        return rows;
+    }
+
+    /**
+     * Retrieves a page of authors.
+     *
+     * @param {Object} options - Parsed list options (see Utils/pagination.js).
+     * @param {Object} [options.filters] - Column → value equality filters.
+     * @param {Date} [options.from] - Inclusive lower bound on createdAt.
+     * @param {Date} [options.to] - Inclusive upper bound on createdAt.
+     * @param {{ field: string, direction: string }} options.sort - Sort order.
+     * @param {number} options.limit - Page size.
+     * @param {number} options.offset - Rows to skip.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} The page (possibly
+     *          empty) and the number of authors matching the filters.
+     */
+    async findAll(options) {
+        const { where, orderBy, values } = buildListClause(options);
+
+        const [rows] = await pool.query(
+            `SELECT * FROM Author ${where} ${orderBy} LIMIT ? OFFSET ?`,
+            [...values, options.limit, options.offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Author ${where}`,
+            values
+        );
+
+        return { rows, total };
+    }
+
+    /**
+     * Full-text search over name, description, nationality (FULLTEXT index ft_author_search).
+     *
+     * @param {string} booleanQuery - AGAINST expression in BOOLEAN MODE (see Utils/search.js).
+     * @param {Object} page - Page to return.
+     * @param {number} page.limit - Page size.
+     * @param {number} page.offset - Rows to skip.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} Matching authors, most
+     *          relevant first (each with a `score`), and the number of matches.
      */
-    async findAll() {
-        const [rows] = await pool.query(`SELECT * FROM Author`);
-        return rows.length ? rows : null;
+    async search(booleanQuery, { limit, offset }) {
+        const match = "MATCH(name, description, nationality) AGAINST (? IN BOOLEAN MODE)";
+
+        const [rows] = await pool.query(
+            `SELECT *, ${match} AS score FROM Author WHERE ${match}
+             ORDER BY score DESC, id DESC LIMIT ? OFFSET ?`,
+            [booleanQuery, booleanQuery, limit, offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Author WHERE ${match}`,
+            [booleanQuery]
+        );
+
+        return { rows, total };
     }
 
     /**
      * Updates an existing author record by ID.
+     * Only the provided fields are changed; `null` clears a field.
      * 
      * @param {number} id - The author's ID.
      * @param {Object} params - Fields to update.
-     * @param {string} params.name - Updated name.
-     * @param {string} params.birthDate - Updated birth date.
-     * @param {string} params.nationality - Updated nationality.
-     * @param {string} params.description - Updated biography.
-     * @param {string|null} params.primaryImg - Updated main image URL.
-     * @param {string} params.slug - Updated slug for SEO-friendly URLs.
+     * @param {string} [params.name] - Updated name.
+     * @param {string|null} [params.birthDate] - Updated birth date.
+     * @param {string|null} [params.nationality] - Updated nationality.
+     * @param {string|null} [params.description] - Updated biography.
+     * @param {string|null} [params.primaryImg] - Updated main image URL.
+     * @param {Object|null} [params.primaryImgAsset] - Stored asset of the new image.
+     * @param {string} [params.slug] - Updated slug for SEO-friendly URLs.
+     * @param {number[]} [expectedVersions] - Only update if the row still has one
+     *                                        of these versions (If-Match).
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * 
-     * @returns {Promise<Object>} The updated author data.
+     * @returns {Promise<Object|null>} The updated author data, or null if its
+     *          version no longer matches `expectedVersions`.
      */
-    async updateById(id, { name, birthDate, nationality, description, primaryImg, slug }) {
-        const [result] = await pool.query(
-            `UPDATE Author 
-             SET name = ?, birthDate = ?, nationality = ?, description = ?, primaryImg = ?, slug = ?
-             WHERE id = ?`,
-            [name, birthDate, nationality, description, primaryImg, slug, id]
-        );
+    async updateById(id, { name, birthDate, nationality, description, primaryImg, primaryImgAsset, slug }, expectedVersions, db = pool) {
+        const { clause, values } = buildSetClause({
+            name,
+            birthDate,
+            nationality,
+            description,
+            primaryImg,
+            primaryImgAsset: toJSONColumn(primaryImgAsset),
+            slug,
+        });
+
+        if (clause) {
+            const [result] = await db.query(
+                `UPDATE Author SET ${clause}, version = version + 1
+                 WHERE id = ?${expectedVersions ? " AND version IN (?)" : ""}`,
+                [...values, id, ...(expectedVersions ? [expectedVersions] : [])]
+            );
+
+            if (result.affectedRows === 0 && expectedVersions) return null;
+        }
 
-        return this.findById(id);
+        return this.findById(id, db);
     }
 
     /**
      * Deletes an author from the database.
      * 
      * @param {number} id - The author's ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * @returns {Promise<boolean>} True if deleted, false otherwise.
      */
-    async deleteById(id) {
-        const [result] = await pool.query(
+    async deleteById(id, db = pool) {
+        const [result] = await db.query(
             `DELETE FROM Author WHERE id = ?`,
             [id]
         );
@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { toJSONColumn } = require("../Utils/sql");
 
 /**
  * Repository responsible for handling all database operations
@@ -15,14 +16,17 @@ class AuthorImagesRepository {
      * Inserts a new image into the AuthorImages table.
      *
      * @param {number} authorId - ID of the author to whom the image belongs.
-     * @param {string} url - Public URL of the uploaded image (Cloudinary).
+     * @param {Object} image - Uploaded image.
+     * @param {string} image.url - Public URL of the image (file storage).
+     * @param {Object|null} [image.asset] - Stored asset of the image (see Media.service.js).
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
      * 
      * @returns {Promise<Object>} Object containing the new image ID and URL.
      */
-    async addImage(authorId, url) {
-        const [result] = await pool.query(
-            `INSERT INTO AuthorImages (authorId, img) VALUES (?, ?)`,
-            [authorId, url]
+    async addImage(authorId, { url, asset = null }, db = pool) {
+        const [result] = await db.query(
+            `INSERT INTO AuthorImages (authorId, img, imgAsset) VALUES (?, ?, ?)`,
+            [authorId, url, toJSONColumn(asset)]
         );
 
         return { id: result.insertId, url };
@@ -32,11 +36,12 @@ class AuthorImagesRepository {
      * Retrieves all images associated with a specific author.
      *
      * @param {number} authorId - The author's ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * 
      * @returns {Promise<Object[]>} Array of image records (may be empty).
      */
-    async findByAuthorId(authorId) {
-        const [rows] = await pool.query(
+    async findByAuthorId(authorId, db = pool) {
+        const [rows] = await db.query(
             `SELECT * FROM AuthorImages WHERE authorId = ?`,
             [authorId]
         );
@@ -44,15 +49,42 @@ class AuthorImagesRepository {
         return rows.length ? rows : [];
     }
 
+    /**
+     * Retrieves the galleries of several authors in a single query.
+     *
+     * @param {number[]} authorIds - IDs of the authors (e.g., one page of a list).
+     * @param {Object} [db=pool] - Pool or transaction connection.
+     *
+     * @returns {Promise<Map<number, Object[]>>} Author ID → its image records.
+     *          Authors without images are absent from the map.
+     */
+    async findByAuthorIds(authorIds, db = pool) {
+        const galleries = new Map();
+        if (!authorIds.length) return galleries;
+
+        const [rows] = await db.query(
+            `SELECT * FROM AuthorImages WHERE authorId IN (?) ORDER BY authorId, id`,
+            [authorIds]
+        );
+
+        for (const row of rows) {
+            if (!galleries.has(row.authorId)) galleries.set(row.authorId, []);
+            galleries.get(row.authorId).push(row);
+        }
+
+        return galleries;
+    }
+
     /**
      * Deletes an image record by its ID.
      *
      * @param {number} id - ID of the image to be deleted.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * 
      * @returns {Promise<boolean>} True if deletion succeeded, false otherwise.
      */
-    async deleteImage(id) {
-        const [result] = await pool.query(
+    async deleteImage(id, db = pool) {
+        const [result] = await db.query(
             `DELETE FROM AuthorImages WHERE id = ?`,
             [id]
         );
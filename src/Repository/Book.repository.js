@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { buildSetClause, buildListClause, toJSONColumn } = require("../Utils/sql");
 
 /**
  * Repository responsible for all database operations related to Books.
@@ -19,18 +20,20 @@ class BookRepository {
      * @param {Object} params - Book data.
      * @param {string} params.title - Title of the book.
      * @param {string} params.img - URL of the book's cover image.
+     * @param {Object|null} [params.imgAsset] - Stored asset of the cover (see Media.service.js).
      * @param {number} params.authorId - ID of the related author.
      * @param {number} params.userId - ID of the user who uploaded the book.
      * @param {string} params.file - URL of the book file (PDF, DOCX, etc.).
+     * @param {Object|null} [params.fileAsset] - Stored asset of the book file.
      * @param {string} params.slug - SEO-friendly slug generated from the title.
      * 
      * @returns {Promise<Object|null>} The created book record.
      */
-    async createBook({ title, img, authorId, userId, file, slug }) {
+    async createBook({ title, img, imgAsset = null, authorId, userId, file, fileAsset = null, slug }) {
         const [result] = await pool.query(
-            `INSERT INTO Book (title, img, authorId, userId, file, slug)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [title, img, authorId, userId, file, slug]
+            `INSERT INTO Book (title, img, imgAsset, authorId, userId, file, fileAsset, slug)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [title, img, toJSONColumn(imgAsset), authorId, userId, file, toJSONColumn(fileAsset), slug]
         );
 
         return this.findById(result.insertId);
@@ -40,59 +43,196 @@ class BookRepository {
      * Retrieves a book record by its ID.
      *
      * @param {number} id - The book's ID.
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
      * @returns {Promise<Object|null>} The book data or null if not found.
      */
-    async findById(id) {
-        const [rows] = await pool.query(
-            "SELECT * FROM Book WHERE id = ?",
+    async findById(id, db = pool) {
+        const [rows] = await db.query(
+            "SELECT * FROM Book WHERE id = ? AND deletedAt IS NULL",
+            [id]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Retrieves a book and locks its row until the transaction ends, so the
+     * values read are exactly the ones the following update replaces.
+     *
+     * @param {number} id - The book's ID.
+     * @param {Object} conn - Transaction connection.
+     * @returns {Promise<Object|null>} The book, or null if not found.
+     */
+    async lockById(id, conn) {
+        const [rows] = await conn.query(
+            "SELECT * FROM Book WHERE id = ? AND deletedAt IS NULL FOR UPDATE",
             [id]
         );
         return rows.length ? rows[0] : null;
     }
 
     /**
-     * Retrieves all books stored in the database.
+     * Retrieves a page of books.
+     *
+     * @param {Object} options - Parsed list options (see Utils/pagination.js).
+     * @param {Object} [options.filters] - Column → value equality filters.
+     * @param {Date} [options.from] - Inclusive lower bound on createdAt.
+     * @param {Date} [options.to] - Inclusive upper bound on createdAt.
+     * @param {{ field: string, direction: string }} options.sort - Sort order.
+     * @param {number} options.limit - Page size.
+     * @param {number} options.offset - Rows to skip.
+     *
+     * @param {Object} [scope]
+     * @param {boolean} [scope.trashed=false] - List soft-deleted books (the trash)
+     *                                          instead of live ones.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} The page (possibly
+     *          empty) and the number of books matching the filters.
+     */
+    async findAll(options, { trashed = false } = {}) {
+        const { where, orderBy, values } = buildListClause(options, {
+            conditions: [trashed ? "deletedAt IS NOT NULL" : "deletedAt IS NULL"],
+        });
+
+        const [rows] = await pool.query(
+            `SELECT * FROM Book ${where} ${orderBy} LIMIT ? OFFSET ?`,
+            [...values, options.limit, options.offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Book ${where}`,
+            values
+        );
+
+        return { rows, total };
+    }
+
+    /**
+     * Full-text search over title (FULLTEXT index ft_book_search).
+     *
+     * @param {string} booleanQuery - AGAINST expression in BOOLEAN MODE (see Utils/search.js).
+     * @param {Object} page - Page to return.
+     * @param {number} page.limit - Page size.
+     * @param {number} page.offset - Rows to skip.
      *
-     * @returns {Promise<Object[]|null>} Array of books or null if none exist.
+     * @returns {Promise<{ rows: Object[], total: number }>} Matching books, most
+     *          relevant first (each with a `score`), and the number of matches.
+     *          Soft-deleted rows are excluded.
      */
-    async findAll() {
-        const [rows] = await pool.query("SELECT * FROM Book");
-        return rows.length ? rows : null;
+    async search(booleanQuery, { limit, offset }) {
+        const match = "MATCH(title) AGAINST (? IN BOOLEAN MODE)";
+
+        const [rows] = await pool.query(
+            `SELECT *, ${match} AS score FROM Book WHERE ${match} AND deletedAt IS NULL
+             ORDER BY score DESC, id DESC LIMIT ? OFFSET ?`,
+            [booleanQuery, booleanQuery, limit, offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Book WHERE ${match} AND deletedAt IS NULL`,
+            [booleanQuery]
+        );
+
+        return { rows, total };
     }
 
     /**
      * Updates an existing book record.
+     * Only the provided fields are changed; `null` clears a field.
      *
      * @param {number} id - The book's ID.
      * @param {Object} params - Updated fields.
-     * @param {string} params.title - Updated title.
-     * @param {string} params.img - Updated cover image URL.
-     * @param {string} params.file - Updated file URL.
-     * @param {number} params.authorId - Updated author ID.
-     * @param {string} params.slug - Updated slug for SEO-friendly URLs.
+     * @param {string} [params.title] - Updated title.
+     * @param {string|null} [params.img] - Updated cover image URL.
+     * @param {Object|null} [params.imgAsset] - Stored asset of the new cover.
+     * @param {string} [params.file] - Updated file URL.
+     * @param {Object|null} [params.fileAsset] - Stored asset of the new file.
+     * @param {number|null} [params.authorId] - Updated author ID.
+     * @param {string} [params.slug] - Updated slug for SEO-friendly URLs.
      * 
-     * @returns {Promise<Object|null>} The updated book record.
+     * @param {number[]} [expectedVersions] - Only update if the row still has one
+     *                                        of these versions (If-Match).
+     * @param {Object} [db=pool] - Pool or transaction connection.
+     * @returns {Promise<Object|null>} The updated book record, or null if its
+     *          version no longer matches `expectedVersions`.
      */
-    async updateById(id, { title, img, file, authorId, slug }) {
+    async updateById(id, { title, img, imgAsset, file, fileAsset, authorId, slug }, expectedVersions, db = pool) {
+        const { clause, values } = buildSetClause({
+            title,
+            img,
+            imgAsset: toJSONColumn(imgAsset),
+            file,
+            fileAsset: toJSONColumn(fileAsset),
+            authorId,
+            slug,
+        });
+
+        if (clause) {
+            const [result] = await db.query(
+                `UPDATE Book SET ${clause}, version = version + 1
+                 WHERE id = ? AND deletedAt IS NULL${expectedVersions ? " AND version IN (?)" : ""}`,
+                [...values, id, ...(expectedVersions ? [expectedVersions] : [])]
+            );
+
+            if (result.affectedRows === 0 && expectedVersions) return null;
+        }
+
+        return this.findById(id, db);
+    }
+
+    /**
+     * Retrieves a soft-deleted book (in the trash) by its ID.
+     *
+     * @param {number} id - The book ID.
+     * @returns {Promise<Object|null>} The book, or null if it is not in the trash.
+     */
+    async findDeletedById(id) {
+        const [rows] = await pool.query(
+            `SELECT * FROM Book WHERE id = ? AND deletedAt IS NOT NULL`,
+            [id]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Soft-deletes a book: it is moved to the trash by setting `deletedAt`
+     * and disappears from every read until restored.
+     *
+     * @param {number} id - The book ID.
+     * @param {number[]} [expectedVersions] - Only delete if the row still has one
+     *                                        of these versions (If-Match).
+     * @returns {Promise<boolean>} True if the book was moved to the trash.
+     */
+    async deleteById(id, expectedVersions) {
         const [result] = await pool.query(
-            `UPDATE Book 
-             SET title = ?, img = ?, file = ?, authorId = ?, slug = ?
-             WHERE id = ?`,
-            [title, img, file, authorId, slug, id]
+            `UPDATE Book SET deletedAt = NOW(), version = version + 1
+             WHERE id = ? AND deletedAt IS NULL${expectedVersions ? " AND version IN (?)" : ""}`,
+            [id, ...(expectedVersions ? [expectedVersions] : [])]
         );
+        return result.affectedRows > 0;
+    }
 
-        return this.findById(id);
+    /**
+     * Restores a soft-deleted book from the trash.
+     *
+     * @param {number} id - The book ID.
+     * @returns {Promise<boolean>} True if the book was restored.
+     */
+    async restoreById(id) {
+        const [result] = await pool.query(
+            `UPDATE Book SET deletedAt = NULL, version = version + 1
+             WHERE id = ? AND deletedAt IS NOT NULL`,
+            [id]
+        );
+        return result.affectedRows > 0;
     }
 
     /**
-     * Deletes a book record from the database.
+     * Permanently deletes a book. Only rows already in the trash can be purged.
      *
-     * @param {number} id - The book's ID.
-     * @returns {Promise<boolean>} True if the deletion was successful, false otherwise.
+     * @param {number} id - The book ID.
+     * @returns {Promise<boolean>} True if the book was purged.
      */
-    async deleteById(id) {
+    async purgeById(id) {
         const [result] = await pool.query(
-            "DELETE FROM Book WHERE id = ?",
+            `DELETE FROM Book WHERE id = ? AND deletedAt IS NOT NULL`,
             [id]
         );
         return result.affectedRows > 0;
@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { buildSetClause, buildListClause } = require("../Utils/sql");
 
 /**
  * Repository responsible for all database operations related to Categories.
@@ -32,26 +33,46 @@ class CategoryRepository {
     }
 
     /**
-     * Retrieves all categories from the database.
+     * Retrieves a page of categories.
      *
-     * @returns {Promise<Object[]|null>} Array of categories or null if none exist.
+     * @param {Object} options - Parsed list options (see Utils/pagination.js).
+     * @param {Object} [options.filters] - Column → value equality filters.
+     * @param {Date} [options.from] - Inclusive lower bound on createdAt.
+     * @param {Date} [options.to] - Inclusive upper bound on createdAt.
+     * @param {{ field: string, direction: string }} options.sort - Sort order.
+     * @param {number} options.limit - Page size.
+     * @param {number} options.offset - Rows to skip.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} The page (possibly
+     *          empty) and the number of categories matching the filters.
      */
-    async findAll() {
-        const [rows] = await pool.query(`SELECT * FROM Category`);
-        return rows.length ? rows : null;
+    async findAll(options) {
+        const { where, orderBy, values } = buildListClause(options);
+
+        const [rows] = await pool.query(
+            `SELECT * FROM Category ${where} ${orderBy} LIMIT ? OFFSET ?`,
+            [...values, options.limit, options.offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Category ${where}`,
+            values
+        );
+
+        return { rows, total };
     }
 
     /**
      * Retrieves a category by its ID.
      *
      * @param {number} id - The category's ID.
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
      * @returns {Promise<Object|null>} The category or null if not found.
      * @throws {Error} If ID is invalid.
      */
-    async findById(id) {
+    async findById(id, db = pool) {
         if (!id) throw new Error("Invalid ID");
 
-        const [rows] = await pool.query(
+        const [rows] = await db.query(
             `SELECT * FROM Category WHERE id = ?`,
             [id]
         );
@@ -59,20 +80,37 @@ class CategoryRepository {
         return rows.length ? rows[0] : null;
     }
 
+    /**
+     * Retrieves several categories by ID in a single query (used to embed
+     * related resources, see Utils/include.js).
+     *
+     * @param {number[]} ids - Category IDs (must not be empty).
+     * @returns {Promise<Object[]>} The categories found, in no particular order.
+     */
+    async findByIds(ids) {
+        const [rows] = await pool.query(
+            `SELECT * FROM Category WHERE id IN (?)`,
+            [ids]
+        );
+
+        return rows;
+    }
+
     /**
      * Deletes a category by its ID.
      *
      * @param {number} id - The category's ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * @returns {Promise<boolean>} True if deletion succeeded.
      * @throws {Error} If the category does not exist or deletion fails.
      */
-    async deleteById(id) {
-        const category = await this.findById(id);
+    async deleteById(id, db = pool) {
+        const category = await this.findById(id, db);
         if (!category) {
             throw new Error("Category not found");
         }
 
-        const [result] = await pool.query(
+        const [result] = await db.query(
             `DELETE FROM Category WHERE id = ?`,
             [id]
         );
@@ -84,12 +122,59 @@ class CategoryRepository {
         return true;
     }
 
+    /**
+     * Retrieves a category and locks its row until the transaction ends, so no
+     * new row can reference it in the meantime.
+     *
+     * @param {number} id - The category ID.
+     * @param {Object} conn - Transaction connection.
+     * @returns {Promise<Object|null>} The category, or null if not found.
+     */
+    async lockById(id, conn) {
+        const [rows] = await conn.query(
+            `SELECT * FROM Category WHERE id = ? FOR UPDATE`,
+            [id]
+        );
+
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Counts the rows that reference a category (including trashed content).
+     *
+     * @param {number} id - The category ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
+     * @returns {Promise<{ articles: number }>} Number of dependants by type.
+     */
+    async countUsages(id, db = pool) {
+        const [[usages]] = await db.query(
+            `SELECT COUNT(*) AS articles FROM Article WHERE categoryId = ?`,
+            [id]
+        );
+
+        return usages;
+    }
+
+    /**
+     * Moves every Article row from one category to another.
+     *
+     * @param {number} fromId - Category being removed.
+     * @param {number} toId - Replacement category.
+     * @param {Object} conn - Transaction connection.
+     */
+    async reassignUsages(fromId, toId, conn) {
+        await conn.query(
+            `UPDATE Article SET categoryId = ?, version = version + 1 WHERE categoryId = ?`,
+            [toId, fromId]
+        );
+    }
+
     /**
      * Updates a category's name.
      *
      * @param {number} id - The category's ID.
      * @param {Object} params - Updated data.
-     * @param {string} params.categoryName - New name for the category.
+     * @param {string} [params.categoryName] - New name for the category.
      * 
      * @returns {Promise<Object>} The updated category record.
      * @throws {Error} If the category does not exist or update fails.
@@ -100,9 +185,14 @@ class CategoryRepository {
             throw new Error("Category not found");
         }
 
+        const { clause, values } = buildSetClause({ name: categoryName });
+        if (!clause) {
+            return category;
+        }
+
         const [result] = await pool.query(
-            `UPDATE Category SET name = ? WHERE id = ?`,
-            [categoryName, id]
+            `UPDATE Category SET ${clause} WHERE id = ?`,
+            [...values, id]
         );
 
         if (result.affectedRows === 0) {
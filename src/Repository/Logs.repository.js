@@ -1,5 +1,53 @@
 const { pool } = require("../DB/connection");
 
+/**
+ * Builds the WHERE clause shared by every filtered log query.
+ *
+ * @param {Object} filters - Normalized filters (see LogsService.parseFilters).
+ * @param {number} [filters.userId] - Acting user.
+ * @param {string} [filters.action] - Action name (e.g., "update").
+ * @param {string} [filters.resourceType] - Resource type (e.g., "article").
+ * @param {number} [filters.resourceId] - Resource ID.
+ * @param {Date} [filters.from] - Inclusive lower bound on createdAt.
+ * @param {Date} [filters.to] - Inclusive upper bound on createdAt.
+ *
+ * @returns {{ where: string, values: any[] }} WHERE clause (or empty string) and bound values.
+ */
+const buildFilterClause = ({ userId, action, resourceType, resourceId, from, to }) => {
+    const conditions = [];
+    const values = [];
+
+    if (userId !== undefined) {
+        conditions.push("userId = ?");
+        values.push(userId);
+    }
+    if (action !== undefined) {
+        conditions.push("action = ?");
+        values.push(action);
+    }
+    if (resourceType !== undefined) {
+        conditions.push("resourceType = ?");
+        values.push(resourceType);
+    }
+    if (resourceId !== undefined) {
+        conditions.push("resourceId = ?");
+        values.push(resourceId);
+    }
+    if (from !== undefined) {
+        conditions.push("createdAt >= ?");
+        values.push(from);
+    }
+    if (to !== undefined) {
+        conditions.push("createdAt <= ?");
+        values.push(to);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+        values,
+    };
+};
+
 /**
  * Repository responsible for managing system logs.
  *
@@ -12,32 +60,137 @@ class LogsRepository {
      * Creates a new log entry in the database.
      *
      * @param {Object} params - Log data.
-     * @param {string} params.action - Description of the action performed.
-     * @param {number} params.userId - ID of the user who performed the action.
+     * @param {string} params.action - Description of the action performed (e.g., "create").
+     * @param {number|null} params.userId - ID of the user who performed the action.
+     * @param {string|null} [params.method] - HTTP method of the request.
+     * @param {string|null} [params.resourceType] - Type of the affected resource (e.g., "article").
+     * @param {number|null} [params.resourceId] - ID of the affected resource.
+     * @param {string|null} [params.ip] - IP address of the client.
+     * @param {string|null} [params.outcome] - "success" or "failure".
+     * @param {number|null} [params.statusCode] - HTTP status code of the response.
+     * @param {Object|null} [params.changes] - Field-level diff ({ field: { from, to } }).
      * 
      * @returns {Promise<number>} The ID of the newly created log entry.
      */
-    async createLog({ action, userId }) {
+    async createLog({
+        action,
+        userId,
+        method = null,
+        resourceType = null,
+        resourceId = null,
+        ip = null,
+        outcome = null,
+        statusCode = null,
+        changes = null,
+    }) {
         const [result] = await pool.query(
-            `INSERT INTO Logs (action, userId) VALUES (?, ?)`,
-            [action, userId]
+            `INSERT INTO Logs (action, userId, method, resourceType, resourceId, ip, outcome, statusCode, changes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                action, userId, method, resourceType, resourceId, ip, outcome, statusCode,
+                changes ? JSON.stringify(changes) : null,
+            ]
         );
 
         return result.insertId;
     }
 
     /**
-     * Retrieves all log entries, ordered from newest to oldest.
+     * Retrieves one page of log entries, newest first.
+     *
+     * Uses keyset (cursor) pagination on the primary key: the next page
+     * starts right after the last ID of the previous one, so the cost of a
+     * page does not grow with the size of the table.
+     *
+     * @param {Object} [filters] - Filters (see buildFilterClause).
+     * @param {Object} [page] - Page options.
+     * @param {number} [page.limit=50] - Maximum number of entries.
+     * @param {number} [page.cursor] - Only return entries with an ID lower than this.
      *
      * @returns {Promise<Object[]>} Array of log records.
      */
-    async findAll() {
+    async findAll(filters = {}, { limit = 50, cursor } = {}) {
+        const { where, values } = buildFilterClause(filters);
+
+        const conditions = where ? [where] : [];
+        if (cursor !== undefined) {
+            conditions.push(where ? "AND id < ?" : "WHERE id < ?");
+            values.push(cursor);
+        }
+
         const [rows] = await pool.query(
-            `SELECT * FROM Logs ORDER BY createdAt DESC`
+            `SELECT * FROM Logs ${conditions.join(" ")} ORDER BY id DESC LIMIT ?`,
+            [...values, limit]
         );
 
         return rows;
     }
+
+    /**
+     * Streams every log entry matching the filters, newest first.
+     *
+     * Rows are read from MySQL one at a time (with backpressure), so
+     * exports never load the whole table into memory. Uses the underlying
+     * callback pool because the promise API does not expose query streams.
+     *
+     * @param {Object} [filters] - Filters (see buildFilterClause).
+     * @param {Object} [options] - Stream options.
+     * @param {"ASC"|"DESC"} [options.order="DESC"] - Order by ID.
+     *
+     * @returns {import("stream").Readable} Object stream of log records.
+     */
+    streamAll(filters = {}, { order = "DESC" } = {}) {
+        const { where, values } = buildFilterClause(filters);
+        const direction = order === "ASC" ? "ASC" : "DESC";
+
+        return pool.pool
+            .query(`SELECT * FROM Logs ${where} ORDER BY id ${direction}`, values)
+            .stream();
+    }
+
+    /**
+     * Deletes log entries created up to a given date, in batches so the
+     * table is never locked for long.
+     *
+     * @param {Date} cutoff - Delete entries with createdAt <= cutoff.
+     * @param {number} maxId - Never delete entries with a higher ID
+     *                         (protects rows that were not archived).
+     * @param {number} [batchSize=5000] - Rows deleted per statement.
+     *
+     * @returns {Promise<number>} Total number of deleted entries.
+     */
+    async deleteUpTo(cutoff, maxId, batchSize = 5000) {
+        let deleted = 0;
+        let affected;
+
+        do {
+            const [result] = await pool.query(
+                `DELETE FROM Logs WHERE createdAt <= ? AND id <= ? LIMIT ?`,
+                [cutoff, maxId, batchSize]
+            );
+
+            affected = result.affectedRows;
+            deleted += affected;
+        } while (affected === batchSize);
+
+        return deleted;
+    }
+
+    /**
+     * Retrieves a single log entry by its ID.
+     * The `changes` JSON column is returned already parsed.
+     *
+     * @param {number} id - Log ID.
+     * @returns {Promise<Object|null>} The log entry or null if not found.
+     */
+    async findById(id) {
+        const [rows] = await pool.query(
+            `SELECT * FROM Logs WHERE id = ?`,
+            [id]
+        );
+
+        return rows.length ? rows[0] : null;
+    }
 }
 
 module.exports = LogsRepository;
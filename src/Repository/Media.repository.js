@@ -0,0 +1,87 @@
+const { pool } = require("../DB/connection");
+
+/**
+ * Every column holding a media URL. Its asset (`{ provider, key, type }`,
+ * see migration 009) is stored in the column of the same name suffixed
+ * with "Asset".
+ */
+const MEDIA_COLUMNS = [
+    { table: "Article", column: "primaryImg" },
+    { table: "ArticleRevision", column: "primaryImg" },
+    { table: "Author", column: "primaryImg" },
+    { table: "AuthorImages", column: "img" },
+    { table: "Book", column: "img" },
+    { table: "Book", column: "file" },
+    { table: "Podcast", column: "img" },
+    { table: "Podcast", column: "video" },
+    { table: "Podcast", column: "audio" },
+];
+
+/**
+ * Repository answering "is this stored file still used?" across every
+ * table that references media.
+ *
+ * Soft-deleted rows and article revisions count as references: they can
+ * be restored, so their files must be kept.
+ */
+class MediaRepository {
+
+    /**
+     * Returns which of the given assets are still referenced by a row.
+     *
+     * @param {string} provider - Storage driver name (e.g., "cloudinary").
+     * @param {string[]} keys - Asset keys to check.
+     *
+     * @returns {Promise<Set<string>>} The subset of `keys` still in use.
+     */
+    async findReferencedKeys(provider, keys) {
+        if (!keys.length) return new Set();
+
+        const queries = MEDIA_COLUMNS.map(({ table, column }) =>
+            `SELECT ${column}Asset->>'$.key' AS assetKey FROM ${table}
+             WHERE ${column}Asset->>'$.provider' = ? AND ${column}Asset->>'$.key' IN (?)`
+        );
+
+        const [rows] = await pool.query(
+            queries.join(" UNION "),
+            MEDIA_COLUMNS.flatMap(() => [provider, keys])
+        );
+
+        return new Set(rows.map((row) => row.assetKey));
+    }
+
+    /**
+     * Collects every media reference in the database.
+     *
+     * URLs are returned as well as asset keys so that rows created before
+     * assets were recorded still protect their files.
+     *
+     * @param {string} provider - Storage driver name.
+     * @returns {Promise<{ keys: Set<string>, urls: Set<string> }>} Referenced
+     *          asset keys of that provider and every referenced URL.
+     */
+    async findAllReferences(provider) {
+        const queries = MEDIA_COLUMNS.map(({ table, column }) =>
+            `SELECT ${column} AS url,
+                    IF(${column}Asset->>'$.provider' = ?, ${column}Asset->>'$.key', NULL) AS assetKey
+             FROM ${table} WHERE ${column} IS NOT NULL`
+        );
+
+        const [rows] = await pool.query(
+            queries.join(" UNION ALL "),
+            MEDIA_COLUMNS.map(() => provider)
+        );
+
+        const keys = new Set();
+        const urls = new Set();
+
+        for (const { url, assetKey } of rows) {
+            urls.add(url);
+            if (assetKey) keys.add(assetKey);
+        }
+
+        return { keys, urls };
+    }
+}
+
+module.exports = MediaRepository;
@@ -0,0 +1,152 @@
+const { pool } = require("../DB/connection");
+
+/**
+ * Repository responsible for all database operations related to Permissions.
+ *
+ * This includes:
+ * - CRUD operations on the Permission table
+ * - Granting and revoking permissions to roles (RolePermission join table)
+ * - Resolving the permissions held by a role
+ */
+class PermissionRepository {
+
+    /**
+     * Creates a new permission.
+     *
+     * @param {Object} params - Permission data.
+     * @param {string} params.name - Unique permission name (e.g., "article:create").
+     * @param {string|null} [params.description] - Human-readable description.
+     *
+     * @returns {Promise<Object>} The created permission record.
+     * @throws {Error} If the insertion fails.
+     */
+    async createPermission({ name, description = null }) {
+        const [result] = await pool.query(
+            `INSERT INTO Permission (name, description) VALUES (?, ?)`,
+            [name, description]
+        );
+
+        if (result.affectedRows === 0) {
+            throw new Error("Failed to create permission");
+        }
+
+        return this.findById(result.insertId);
+    }
+
+    /**
+     * Retrieves all permissions ordered by name.
+     *
+     * @returns {Promise<Object[]>} Array of permissions (may be empty).
+     */
+    async findAll() {
+        const [rows] = await pool.query(`SELECT * FROM Permission ORDER BY name`);
+        return rows;
+    }
+
+    /**
+     * Retrieves a permission by its ID.
+     *
+     * @param {number} id - Permission ID.
+     * @returns {Promise<Object|null>} The permission or null if not found.
+     * @throws {Error} If ID is invalid.
+     */
+    async findById(id) {
+        if (!id) throw new Error("Invalid ID");
+
+        const [rows] = await pool.query(
+            `SELECT * FROM Permission WHERE id = ?`,
+            [id]
+        );
+
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Deletes a permission by its ID.
+     * Grants of this permission are removed by the RolePermission foreign key.
+     *
+     * @param {number} id - Permission ID.
+     * @returns {Promise<boolean>} True if deletion succeeded.
+     */
+    async deleteById(id) {
+        const [result] = await pool.query(
+            `DELETE FROM Permission WHERE id = ?`,
+            [id]
+        );
+
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Retrieves all permissions granted to a role.
+     *
+     * @param {number} rolId - Role ID.
+     * @returns {Promise<Object[]>} Array of permissions (may be empty).
+     */
+    async findByRoleId(rolId) {
+        const [rows] = await pool.query(
+            `SELECT p.*
+             FROM Permission p
+             INNER JOIN RolePermission rp ON rp.permissionId = p.id
+             WHERE rp.rolId = ?
+             ORDER BY p.name`,
+            [rolId]
+        );
+
+        return rows;
+    }
+
+    /**
+     * Grants a permission to a role. Granting twice has no effect.
+     *
+     * @param {number} rolId - Role ID.
+     * @param {number} permissionId - Permission ID.
+     * @returns {Promise<boolean>} True if a new grant was created.
+     */
+    async grantToRole(rolId, permissionId) {
+        const [result] = await pool.query(
+            `INSERT IGNORE INTO RolePermission (rolId, permissionId) VALUES (?, ?)`,
+            [rolId, permissionId]
+        );
+
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Revokes a permission from a role.
+     *
+     * @param {number} rolId - Role ID.
+     * @param {number} permissionId - Permission ID.
+     * @returns {Promise<boolean>} True if a grant was removed.
+     */
+    async revokeFromRole(rolId, permissionId) {
+        const [result] = await pool.query(
+            `DELETE FROM RolePermission WHERE rolId = ? AND permissionId = ?`,
+            [rolId, permissionId]
+        );
+
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Checks whether a role holds a permission, by permission name.
+     *
+     * @param {number} rolId - Role ID.
+     * @param {string} name - Permission name.
+     * @returns {Promise<boolean>} True if the role holds the permission.
+     */
+    async roleHasPermission(rolId, name) {
+        const [rows] = await pool.query(
+            `SELECT 1
+             FROM RolePermission rp
+             INNER JOIN Permission p ON p.id = rp.permissionId
+             WHERE rp.rolId = ? AND p.name = ?
+             LIMIT 1`,
+            [rolId, name]
+        );
+
+        return rows.length > 0;
+    }
+}
+
+module.exports = PermissionRepository;
@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { buildSetClause, buildListClause, toJSONColumn } = require("../Utils/sql");
 
 /**
  * Repository responsible for handling all database operations related to Podcasts.
@@ -19,20 +20,30 @@ class PodcastRepository {
      *
      * @param {Object} params - Podcast data.
      * @param {string} params.title - Title of the podcast.
-     * @param {string|null} params.imgUrl - URL of the podcast thumbnail (Cloudinary).
+     * @param {string|null} params.imgUrl - URL of the podcast thumbnail (file storage).
      * @param {string} params.videoUrl - URL of the uploaded video file.
      * @param {string} params.audioUrl - URL of the uploaded audio file.
+     * @param {Object|null} [params.imgAsset] - Stored asset of the thumbnail (see Media.service.js).
+     * @param {Object|null} [params.videoAsset] - Stored asset of the video.
+     * @param {Object|null} [params.audioAsset] - Stored asset of the audio.
      * @param {number} params.statusId - Podcast status (published, draft, etc.).
      * @param {string} params.slug - SEO-friendly identifier generated from the title.
      *
      * @returns {Promise<Object>} The newly created podcast record.
      * @throws {Error} If the insert operation fails.
      */
-    async createPodcast({ title, imgUrl, videoUrl, audioUrl, statusId, slug }) {
+    async createPodcast({ title, imgUrl, videoUrl, audioUrl, imgAsset = null, videoAsset = null, audioAsset = null, statusId, slug }) {
         const [result] = await pool.query(
-            `INSERT INTO Podcast (title, img, video, audio, statusId, slug)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [title, imgUrl, videoUrl, audioUrl, statusId, slug]
+            `INSERT INTO Podcast (title, img, imgAsset, video, videoAsset, audio, audioAsset, statusId, slug)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                title,
+                imgUrl, toJSONColumn(imgAsset),
+                videoUrl, toJSONColumn(videoAsset),
+                audioUrl, toJSONColumn(audioAsset),
+                statusId,
+                slug,
+            ]
         );
 
         if (result.affectedRows === 0) {
@@ -43,13 +54,66 @@ class PodcastRepository {
     }
 
     /**
-     * Retrieves all podcast entries from the database.
+     * Retrieves a page of podcasts.
      *
-     * @returns {Promise<Object[]|null>} Array of podcast records or null if empty.
+     * @param {Object} options - Parsed list options (see Utils/pagination.js).
+     * @param {Object} [options.filters] - Column → value equality filters.
+     * @param {Date} [options.from] - Inclusive lower bound on createdAt.
+     * @param {Date} [options.to] - Inclusive upper bound on createdAt.
+     * @param {{ field: string, direction: string }} options.sort - Sort order.
+     * @param {number} options.limit - Page size.
+     * @param {number} options.offset - Rows to skip.
+     *
+     * @param {Object} [scope]
+     * @param {boolean} [scope.trashed=false] - List soft-deleted podcasts (the trash)
+     *                                          instead of live ones.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} The page (possibly
+     *          empty) and the number of podcasts matching the filters.
      */
-    async findAll() {
-        const [rows] = await pool.query("SELECT * FROM Podcast");
-        return rows.length ? rows : null;
+    async findAll(options, { trashed = false } = {}) {
+        const { where, orderBy, values } = buildListClause(options, {
+            conditions: [trashed ? "deletedAt IS NOT NULL" : "deletedAt IS NULL"],
+        });
+
+        const [rows] = await pool.query(
+            `SELECT * FROM Podcast ${where} ${orderBy} LIMIT ? OFFSET ?`,
+            [...values, options.limit, options.offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Podcast ${where}`,
+            values
+        );
+
+        return { rows, total };
+    }
+
+    /**
+     * Full-text search over title (FULLTEXT index ft_podcast_search).
+     *
+     * @param {string} booleanQuery - AGAINST expression in BOOLEAN MODE (see Utils/search.js).
+     * @param {Object} page - Page to return.
+     * @param {number} page.limit - Page size.
+     * @param {number} page.offset - Rows to skip.
+     *
+     * @returns {Promise<{ rows: Object[], total: number }>} Matching podcasts, most
+     *          relevant first (each with a `score`), and the number of matches.
+     *          Soft-deleted rows are excluded.
+     */
+    async search(booleanQuery, { limit, offset }) {
+        const match = "MATCH(title) AGAINST (? IN BOOLEAN MODE)";
+
+        const [rows] = await pool.query(
+            `SELECT *, ${match} AS score FROM Podcast WHERE ${match} AND deletedAt IS NULL
+             ORDER BY score DESC, id DESC LIMIT ? OFFSET ?`,
+            [booleanQuery, booleanQuery, limit, offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM Podcast WHERE ${match} AND deletedAt IS NULL`,
+            [booleanQuery]
+        );
+
+        return { rows, total };
     }
 
     /**
@@ -63,7 +127,7 @@ class PodcastRepository {
         if (!id) throw new Error("Invalid ID");
 
         const [rows] = await pool.query(
-            `SELECT * FROM Podcast WHERE id = ?`,
+            `SELECT * FROM Podcast WHERE id = ? AND deletedAt IS NULL`,
             [id]
         );
 
@@ -71,60 +135,109 @@ class PodcastRepository {
     }
 
     /**
-     * Deletes a podcast by its ID.
+     * Retrieves a soft-deleted podcast (in the trash) by its ID.
      *
-     * @param {number} id - The ID of the podcast to delete.
-     * @returns {Promise<boolean>} True if deletion succeeded.
-     * @throws {Error} If the podcast does not exist or deletion fails.
+     * @param {number} id - The podcast ID.
+     * @returns {Promise<Object|null>} The podcast, or null if it is not in the trash.
      */
-    async deleteById(id) {
-        const exists = await this.findById(id);
-        if (!exists) {
-            throw new Error("Podcast not found");
-        }
+    async findDeletedById(id) {
+        const [rows] = await pool.query(
+            `SELECT * FROM Podcast WHERE id = ? AND deletedAt IS NOT NULL`,
+            [id]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Soft-deletes a podcast: it is moved to the trash by setting `deletedAt`
+     * and disappears from every read until restored.
+     *
+     * @param {number} id - The podcast ID.
+     * @param {number[]} [expectedVersions] - Only delete if the row still has one
+     *                                        of these versions (If-Match).
+     * @returns {Promise<boolean>} True if the podcast was moved to the trash, false
+     *          if it does not exist or its version no longer matches `expectedVersions`.
+     */
+    async deleteById(id, expectedVersions) {
+        const [result] = await pool.query(
+            `UPDATE Podcast SET deletedAt = NOW(), version = version + 1
+             WHERE id = ? AND deletedAt IS NULL${expectedVersions ? " AND version IN (?)" : ""}`,
+            [id, ...(expectedVersions ? [expectedVersions] : [])]
+        );
+        return result.affectedRows > 0;
+    }
 
+    /**
+     * Restores a soft-deleted podcast from the trash.
+     *
+     * @param {number} id - The podcast ID.
+     * @returns {Promise<boolean>} True if the podcast was restored.
+     */
+    async restoreById(id) {
         const [result] = await pool.query(
-            `DELETE FROM Podcast WHERE id = ?`,
+            `UPDATE Podcast SET deletedAt = NULL, version = version + 1
+             WHERE id = ? AND deletedAt IS NOT NULL`,
             [id]
         );
+        return result.affectedRows > 0;
+    }
 
-        if (result.affectedRows === 0) {
-            throw new Error("Failed to delete podcast");
-        }
-
-        return true;
+    /**
+     * Permanently deletes a podcast. Only rows already in the trash can be purged.
+     *
+     * @param {number} id - The podcast ID.
+     * @returns {Promise<boolean>} True if the podcast was purged.
+     */
+    async purgeById(id) {
+        const [result] = await pool.query(
+            `DELETE FROM Podcast WHERE id = ? AND deletedAt IS NOT NULL`,
+            [id]
+        );
+        return result.affectedRows > 0;
     }
 
     /**
      * Updates a podcast's information by ID.
+     * Only the provided fields are changed; `null` clears a field.
      *
      * @param {number} id - The podcast's ID.
      * @param {Object} params - Updated podcast fields.
-     * @param {string} params.title - Updated title.
-     * @param {string|null} params.imgUrl - Updated thumbnail URL.
-     * @param {string|null} params.videoUrl - Updated video URL.
-     * @param {string|null} params.audioUrl - Updated audio URL.
-     * @param {number} params.statusId - Updated status.
-     * @param {string} params.slug - Updated slug.
+     * @param {string} [params.title] - Updated title.
+     * @param {string|null} [params.imgUrl] - Updated thumbnail URL.
+     * @param {string} [params.videoUrl] - Updated video URL.
+     * @param {string} [params.audioUrl] - Updated audio URL.
+     * @param {Object|null} [params.imgAsset] - Stored asset behind the thumbnail URL.
+     * @param {Object|null} [params.videoAsset] - Stored asset behind the video URL.
+     * @param {Object|null} [params.audioAsset] - Stored asset behind the audio URL.
+     * @param {number|null} [params.statusId] - Updated status.
+     * @param {string} [params.slug] - Updated slug.
+     * @param {number[]} [expectedVersions] - Only update if the row still has one
+     *                                        of these versions (If-Match).
      *
-     * @returns {Promise<Object>} The updated podcast record.
-     * @throws {Error} If the podcast does not exist or update fails.
+     * @returns {Promise<Object|null>} The updated podcast record, or null if it
+     *          no longer exists or its version no longer matches `expectedVersions`.
      */
-    async updateById(id, { title, imgUrl, videoUrl, audioUrl, statusId, slug }) {
-        const exists = await this.findById(id);
-        if (!exists) {
-            throw new Error("Podcast not found");
-        }
-
-        const [result] = await pool.query(
-            `UPDATE Podcast
-             SET title = ?, img = ?, video = ?, audio = ?, statusId = ?, slug = ?
-             WHERE id = ?`,
-            [title, imgUrl, videoUrl, audioUrl, statusId, slug, id]
-        );
-
-        if (result.affectedRows === 0) {
-            throw new Error("Failed to update podcast");
+    async updateById(id, { title, imgUrl, videoUrl, audioUrl, imgAsset, videoAsset, audioAsset, statusId, slug }, expectedVersions) {
+        const { clause, values } = buildSetClause({
+            title,
+            img: imgUrl,
+            imgAsset: toJSONColumn(imgAsset),
+            video: videoUrl,
+            videoAsset: toJSONColumn(videoAsset),
+            audio: audioUrl,
+            audioAsset: toJSONColumn(audioAsset),
+            statusId,
+            slug,
+        });
+
+        if (clause) {
+            const [result] = await pool.query(
+                `UPDATE Podcast SET ${clause}, version = version + 1
+                 WHERE id = ? AND deletedAt IS NULL${expectedVersions ? " AND version IN (?)" : ""}`,
+                [...values, id, ...(expectedVersions ? [expectedVersions] : [])]
+            );
+
+            if (result.affectedRows === 0) return null;
         }
 
         return this.findById(id);
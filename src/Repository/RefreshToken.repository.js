@@ -0,0 +1,84 @@
+const { pool } = require("../DB/connection");
+
+/**
+ * Repository responsible for persisting refresh tokens.
+ *
+ * Only a SHA-256 hash of each token is stored, so a leaked database dump
+ * cannot be replayed against the API. Tokens are never deleted on use;
+ * they are revoked and linked to the token that replaced them, which
+ * allows detecting the reuse of an already rotated token.
+ */
+class RefreshTokenRepository {
+
+    /**
+     * Stores a new refresh token.
+     *
+     * @param {Object} params - Token data.
+     * @param {number} params.userId - Owner of the token.
+     * @param {string} params.tokenHash - SHA-256 hash of the raw token.
+     * @param {Date} params.expiresAt - Expiration date.
+     *
+     * @returns {Promise<number>} The ID of the stored token.
+     */
+    async createToken({ userId, tokenHash, expiresAt }) {
+        const [result] = await pool.query(
+            `INSERT INTO RefreshToken (userId, tokenHash, expiresAt) VALUES (?, ?, ?)`,
+            [userId, tokenHash, expiresAt]
+        );
+
+        return result.insertId;
+    }
+
+    /**
+     * Retrieves a refresh token by its hash.
+     *
+     * @param {string} tokenHash - SHA-256 hash of the raw token.
+     * @returns {Promise<Object|null>} The token record or null if not found.
+     */
+    async findByHash(tokenHash) {
+        const [rows] = await pool.query(
+            `SELECT * FROM RefreshToken WHERE tokenHash = ?`,
+            [tokenHash]
+        );
+
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Revokes a single token, optionally recording the token that replaced it.
+     *
+     * @param {number} id - Token ID.
+     * @param {string|null} [replacedByHash] - Hash of the rotated token.
+     *
+     * @returns {Promise<boolean>} True if a still-active token was revoked.
+     */
+    async revokeById(id, replacedByHash = null) {
+        const [result] = await pool.query(
+            `UPDATE RefreshToken
+             SET revokedAt = NOW(), replacedByHash = ?
+             WHERE id = ? AND revokedAt IS NULL`,
+            [replacedByHash, id]
+        );
+
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Revokes every active token that belongs to a user.
+     *
+     * @param {number} userId - User ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
+     * @returns {Promise<number>} Number of revoked tokens.
+     */
+    async revokeAllForUser(userId, db = pool) {
+        const [result] = await db.query(
+            `UPDATE RefreshToken SET revokedAt = NOW()
+             WHERE userId = ? AND revokedAt IS NULL`,
+            [userId]
+        );
+
+        return result.affectedRows;
+    }
+}
+
+module.exports = RefreshTokenRepository;
@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { buildSetClause } = require("../Utils/sql");
 
 /**
  * Repository responsible for managing all database operations related to Roles.
@@ -50,15 +51,16 @@ class RoleRepository {
      * Retrieves a single role by its ID.
      *
      * @param {number} id - The role's ID.
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
      * @returns {Promise<Object|null>} The matching role or null if not found.
      * @throws {Error} If ID is invalid.
      */
-    async findById(id) {
+    async findById(id, db = pool) {
         if (!id) {
             throw new Error("Invalid ID");
         }
 
-        const [rows] = await pool.query(
+        const [rows] = await db.query(
             `SELECT * FROM Rol WHERE id = ?`,
             [id]
         );
@@ -70,16 +72,17 @@ class RoleRepository {
      * Deletes a role by its ID.
      *
      * @param {number} id - The role's ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      * @returns {Promise<boolean>} True if deletion succeeded.
      * @throws {Error} If the role does not exist or deletion fails.
      */
-    async deleteById(id) {
-        const role = await this.findById(id);
+    async deleteById(id, db = pool) {
+        const role = await this.findById(id, db);
         if (!role) {
             throw new Error("Role not found");
         }
 
-        const [result] = await pool.query(
+        const [result] = await db.query(
             `DELETE FROM Rol WHERE id = ?`,
             [id]
         );
@@ -91,12 +94,59 @@ class RoleRepository {
         return true;
     }
 
+    /**
+     * Retrieves a role and locks its row until the transaction ends, so no
+     * new row can reference it in the meantime.
+     *
+     * @param {number} id - The role ID.
+     * @param {Object} conn - Transaction connection.
+     * @returns {Promise<Object|null>} The role, or null if not found.
+     */
+    async lockById(id, conn) {
+        const [rows] = await conn.query(
+            `SELECT * FROM Rol WHERE id = ? FOR UPDATE`,
+            [id]
+        );
+
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Counts the rows that reference a role.
+     *
+     * @param {number} id - The role ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
+     * @returns {Promise<{ users: number }>} Number of dependants by type.
+     */
+    async countUsages(id, db = pool) {
+        const [[usages]] = await db.query(
+            `SELECT COUNT(*) AS users FROM User WHERE rolId = ?`,
+            [id]
+        );
+
+        return usages;
+    }
+
+    /**
+     * Moves every User row from one role to another.
+     *
+     * @param {number} fromId - Role being removed.
+     * @param {number} toId - Replacement role.
+     * @param {Object} conn - Transaction connection.
+     */
+    async reassignUsages(fromId, toId, conn) {
+        await conn.query(
+            `UPDATE User SET rolId = ? WHERE rolId = ?`,
+            [toId, fromId]
+        );
+    }
+
     /**
      * Updates a role's name.
      *
      * @param {number} id - The role's ID.
      * @param {Object} params - Updated role data.
-     * @param {string} params.roleName - New role name.
+     * @param {string} [params.roleName] - New role name.
      *
      * @returns {Promise<Object>} The updated role record.
      * @throws {Error} If the role does not exist or update fails.
@@ -107,9 +157,14 @@ class RoleRepository {
             throw new Error("Role not found");
         }
 
+        const { clause, values } = buildSetClause({ name: roleName });
+        if (!clause) {
+            return role;
+        }
+
         const [result] = await pool.query(
-            `UPDATE Rol SET name = ? WHERE id = ?`,
-            [roleName, id]
+            `UPDATE Rol SET ${clause} WHERE id = ?`,
+            [...values, id]
         );
 
         if (result.affectedRows === 0) {
@@ -1,4 +1,5 @@
 const { pool } = require("../DB/connection");
+const { buildSetClause } = require("../Utils/sql");
 
 /**
  * Repository responsible for managing all database operations related to Status entries.
@@ -47,16 +48,17 @@ class StatusRepository {
      * Retrieves a status by its ID.
      *
      * @param {number} id - The status ID.
+     * @param {Object} [db=pool] - Pool or transaction connection (see DB/transaction.js).
      *
      * @returns {Promise<Object|null>} The matching status or null if not found.
      * @throws {Error} If the ID is invalid.
      */
-    async findById(id) {
+    async findById(id, db = pool) {
         if (!id) {
             throw new Error("Invalid ID");
         }
 
-        const [rows] = await pool.query(
+        const [rows] = await db.query(
             `SELECT * FROM Status WHERE id = ?`,
             [id]
         );
@@ -64,22 +66,39 @@ class StatusRepository {
         return rows.length ? rows[0] : null;
     }
 
+    /**
+     * Retrieves several statuses by ID in a single query (used to embed
+     * related resources, see Utils/include.js).
+     *
+     * @param {number[]} ids - Status IDs (must not be empty).
+     * @returns {Promise<Object[]>} The statuses found, in no particular order.
+     */
+    async findByIds(ids) {
+        const [rows] = await pool.query(
+            `SELECT * FROM Status WHERE id IN (?)`,
+            [ids]
+        );
+
+        return rows;
+    }
+
     /**
      * Deletes a status by its ID.
      *
      * @param {number} id - The status ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      *
      * @returns {Promise<boolean>} True if deletion succeeded.
      * @throws {Error} If status does not exist or deletion fails.
      */
-    async deleteById(id) {
-        const status = await this.findById(id);
+    async deleteById(id, db = pool) {
+        const status = await this.findById(id, db);
 
         if (!status) {
             throw new Error("Status not found");
         }
 
-        const [result] = await pool.query(
+        const [result] = await db.query(
             `DELETE FROM Status WHERE id = ?`,
             [id]
         );
@@ -91,12 +110,65 @@ class StatusRepository {
         return true;
     }
 
+    /**
+     * Retrieves a status and locks its row until the transaction ends, so no
+     * new row can reference it in the meantime.
+     *
+     * @param {number} id - The status ID.
+     * @param {Object} conn - Transaction connection.
+     * @returns {Promise<Object|null>} The status, or null if not found.
+     */
+    async lockById(id, conn) {
+        const [rows] = await conn.query(
+            `SELECT * FROM Status WHERE id = ? FOR UPDATE`,
+            [id]
+        );
+
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Counts the rows that reference a status (including trashed content).
+     *
+     * @param {number} id - The status ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
+     * @returns {Promise<{ articles: number, podcasts: number }>} Number of dependants by type.
+     */
+    async countUsages(id, db = pool) {
+        const [[usages]] = await db.query(
+            `SELECT
+                (SELECT COUNT(*) FROM Article WHERE statusId = ?) AS articles,
+                (SELECT COUNT(*) FROM Podcast WHERE statusId = ?) AS podcasts`,
+            [id, id]
+        );
+
+        return usages;
+    }
+
+    /**
+     * Moves every Article and Podcast row from one status to another.
+     *
+     * @param {number} fromId - Status being removed.
+     * @param {number} toId - Replacement status.
+     * @param {Object} conn - Transaction connection.
+     */
+    async reassignUsages(fromId, toId, conn) {
+        await conn.query(
+            `UPDATE Article SET statusId = ?, version = version + 1 WHERE statusId = ?`,
+            [toId, fromId]
+        );
+        await conn.query(
+            `UPDATE Podcast SET statusId = ?, version = version + 1 WHERE statusId = ?`,
+            [toId, fromId]
+        );
+    }
+
     /**
      * Updates an existing status entry.
      *
      * @param {number} id - The status ID.
      * @param {Object} params - Updated status data.
-     * @param {string} params.statusName - Updated name for the status.
+     * @param {string} [params.statusName] - Updated name for the status.
      *
      * @returns {Promise<Object>} The updated status.
      * @throws {Error} If the status does not exist or update fails.
@@ -108,9 +180,14 @@ class StatusRepository {
             throw new Error("Status not found");
         }
 
+        const { clause, values } = buildSetClause({ name: statusName });
+        if (!clause) {
+            return status;
+        }
+
         const [result] = await pool.query(
-            `UPDATE Status SET name = ? WHERE id = ?`,
-            [statusName, id]
+            `UPDATE Status SET ${clause} WHERE id = ?`,
+            [...values, id]
         );
 
         if (result.affectedRows === 0) {
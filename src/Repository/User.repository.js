@@ -1,5 +1,16 @@
 const { pool } = require("../DB/connection");
 const bcryptjs = require("bcryptjs");
+const { buildSetClause, buildListClause } = require("../Utils/sql");
+
+/**
+ * Base SELECT for user reads. Joins the role name from `Rol`.
+ * Rows include the password hash; serialize them (Serializer/User.serializer)
+ * before sending them to a client.
+ */
+const SELECT_USER = `
+    SELECT u.*, r.name AS roleName
+    FROM User u
+    LEFT JOIN Rol r ON r.id = u.rolId`;
 
 /**
  * Repository responsible for all database operations related to Users.
@@ -50,34 +61,70 @@ class UserRepository {
     }
 
     /**
-     * Retrieves all users from the database.
+     * Retrieves a page of users.
+     *
+     * @param {Object} options - Parsed list options (see Utils/pagination.js).
+     * @param {Object} [options.filters] - Column → value equality filters.
+     * @param {Date} [options.from] - Inclusive lower bound on createdAt.
+     * @param {Date} [options.to] - Inclusive upper bound on createdAt.
+     * @param {{ field: string, direction: string }} options.sort - Sort order.
+     * @param {number} options.limit - Page size.
+     * @param {number} options.offset - Rows to skip.
      *
-     * @returns {Promise<Object[]|null>} Array of users or null if none exist.
+     * @returns {Promise<{ rows: Object[], total: number }>} The page of users (with role
+     *          name, possibly empty) and the number matching the filters.
      */
-    async findAll() {
-        const [rows] = await pool.query(`SELECT * FROM User`);
-        return rows.length ? rows : null;
+    async findAll(options) {
+        const { where, orderBy, values } = buildListClause(options, { alias: "u" });
+
+        const [rows] = await pool.query(
+            `${SELECT_USER} ${where} ${orderBy} LIMIT ? OFFSET ?`,
+            [...values, options.limit, options.offset]
+        );
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM User u ${where}`,
+            values
+        );
+
+        return { rows, total };
     }
 
     /**
      * Retrieves a single user by ID.
      *
      * @param {number} id - User ID.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      *
-     * @returns {Promise<Object|null>} The user data or null if not found.
+     * @returns {Promise<Object|null>} The user data (with role name) or null if not found.
      * @throws {Error} If ID is invalid.
      */
-    async findById(id) {
+    async findById(id, db = pool) {
         if (!id) throw new Error("Invalid ID");
 
-        const [rows] = await pool.query(
-            `SELECT * FROM User WHERE id = ?`,
+        const [rows] = await db.query(
+            `${SELECT_USER} WHERE u.id = ?`,
             [id]
         );
 
         return rows.length ? rows[0] : null;
     }
 
+    /**
+     * Retrieves several users by ID in a single query (used to embed
+     * related resources, see Utils/include.js). Rows include the password hash.
+     *
+     * @param {number[]} ids - User IDs (must not be empty).
+     * @returns {Promise<Object[]>} The users found, in no particular order.
+     */
+    async findByIds(ids) {
+        const [rows] = await pool.query(
+            `${SELECT_USER} WHERE u.id IN (?)`,
+            [ids]
+        );
+
+        return rows;
+    }
+
     /**
      * Deletes a user by its ID.
      *
@@ -106,35 +153,51 @@ class UserRepository {
 
     /**
      * Updates user data (email and/or password).
-     * Password should be provided raw; it will be hashed internally.
+     * Only the provided fields are changed. Password should be provided raw;
+     * it is re-hashed only when it differs from the current one.
      *
      * @param {number} id - User ID.
      * @param {Object} params - Fields to update.
-     * @param {string} params.email - Updated email.
-     * @param {string} params.password - Updated raw password.
+     * @param {string} [params.email] - Updated email.
+     * @param {string} [params.password] - Updated raw password.
+     * @param {Object} [db=pool] - Pool or transaction connection.
      *
      * @returns {Promise<Object>} The updated user record.
      * @throws {Error} If the user does not exist or update fails.
      */
-    async updateById(id, { email, password }) {
-        const user = await this.findById(id);
+    async updateById(id, { email, password }, db = pool) {
+        const user = await this.findById(id, db);
         if (!user) {
             throw new Error("User not found");
         }
 
-        const emailToLower = email.toLowerCase();
-        const hashedPassword = await bcryptjs.hash(password, 10);
+        const emailToLower = email !== undefined ? email.toLowerCase() : undefined;
 
-        const [result] = await pool.query(
-            `UPDATE User SET email = ?, password = ? WHERE id = ?`,
-            [emailToLower, hashedPassword, id]
+        // Skip the (slow) hash when the password did not actually change
+        let hashedPassword;
+        if (password !== undefined && !(await bcryptjs.compare(password, user.password))) {
+            hashedPassword = await bcryptjs.hash(password, 10);
+        }
+
+        const { clause, values } = buildSetClause({
+            email: emailToLower,
+            password: hashedPassword,
+        });
+
+        if (!clause) {
+            return user;
+        }
+
+        const [result] = await db.query(
+            `UPDATE User SET ${clause} WHERE id = ?`,
+            [...values, id]
         );
 
         if (result.affectedRows === 0) {
             throw new Error("Failed to update user");
         }
 
-        return this.findById(id);
+        return this.findById(id, db);
     }
 
     /**
@@ -142,7 +205,7 @@ class UserRepository {
      *
      * @param {string} email - User email.
      *
-     * @returns {Promise<Object|null>} The user or null if not found.
+     * @returns {Promise<Object|null>} The user (with role name) or null if not found.
      * @throws {Error} If email is invalid.
      */
     async findByEmail(email) {
@@ -151,7 +214,7 @@ class UserRepository {
         }
 
         const [rows] = await pool.query(
-            `SELECT * FROM User WHERE email = ?`,
+            `${SELECT_USER} WHERE u.email = ?`,
             [email.toLowerCase()]
         );
 
@@ -8,12 +8,28 @@
  *  - Controller (request/response handling)
  *
  * Multer is used to handle optional image uploads for articles.
+ *
+ * Access: Reads are public; writes require the matching
+ * "article:create|update|delete" permission (delete also covers the trash and
+ * restoring). Purging requires "article:purge" (admins). Revisions are
+ * only visible to users who can update articles.
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
 const upload = require("../Middleware/upload.middleware");
+const { FILE_TYPES, MB } = require("../Utils/fileType");
+const storage = require("../Storage");
 
 const ArticleRepository = require("../Repository/Article.repository");
+const ArticleRevisionRepository = require("../Repository/ArticleRevision.repository");
+const CategoryRepository = require("../Repository/Category.repository");
+const StatusRepository = require("../Repository/Status.repository");
+const MediaRepository = require("../Repository/Media.repository");
+const MediaService = require("../Service/Media.service");
 const ArticleService = require("../Service/Article.service");
 const ArticleController = require("../Controller/Article.controller");
 
@@ -29,9 +45,31 @@ const router = Router();
  *  - Easy to replace (e.g., mock repository in tests)
  */
 const articleRepository = new ArticleRepository();
-const articleService = new ArticleService(articleRepository);
+const articleRevisionRepository = new ArticleRevisionRepository();
+const mediaService = new MediaService(new MediaRepository(), storage);
+const articleService = new ArticleService(articleRepository, articleRevisionRepository, mediaService, {
+    categoryRepository: new CategoryRepository(),
+    statusRepository: new StatusRepository(),
+});
 const articleController = new ArticleController(articleService);
 
+/**
+ * Upload Rules
+ *
+ * Article image (`primaryImg`): JPEG, PNG, GIF or WebP, up to 10 MB.
+ * The type is checked against the file content (see upload.middleware.js).
+ */
+const articleUpload = upload.fields([
+    { name: "primaryImg", maxCount: 1, accept: FILE_TYPES.image, maxSize: 10 * MB },
+]);
+
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("article"));
+
 /**
  * Create Article
  *
@@ -43,9 +81,9 @@ const articleController = new ArticleController(articleService);
  */
 router.post(
     "/",
-    upload.fields([
-        { name: "primaryImg", maxCount: 1 }
-    ]),
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_CREATE),
+    articleUpload,
     articleController.create.bind(articleController)
 );
 
@@ -57,9 +95,23 @@ router.post(
  */
 router.put(
     "/:id",
-    upload.fields([
-        { name: "primaryImg", maxCount: 1 }
-    ]),
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_UPDATE),
+    articleUpload,
+    articleController.updateById.bind(articleController)
+);
+
+/**
+ * Partially Update Article
+ *
+ * @route PATCH /articles/:id
+ * @description Changes only the fields sent. `null` clears a field.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_UPDATE),
+    articleUpload,
     articleController.updateById.bind(articleController)
 );
 
@@ -73,6 +125,31 @@ router.get(
     articleController.getAll.bind(articleController)
 );
 
+/**
+ * Article Trash
+ *
+ * @route GET /articles/trash
+ * @description Lists soft-deleted articles. Must stay above "/:id".
+ */
+router.get(
+    "/trash",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_DELETE),
+    articleController.getTrash.bind(articleController)
+);
+
+/**
+ * Search Articles
+ *
+ * @route GET /articles/search?q=
+ * @description Full-text search over title and description, with highlighted
+ * snippets. Must stay above "/:id".
+ */
+router.get(
+    "/search",
+    articleController.search.bind(articleController)
+);
+
 /**
  * Retrieve a single article by ID.
  *
@@ -83,14 +160,84 @@ router.get(
     articleController.getById.bind(articleController)
 );
 
+/**
+ * Article Revisions
+ *
+ * @route GET /articles/:id/revisions
+ * @description Lists the previous versions of an article, newest first.
+ */
+router.get(
+    "/:id/revisions",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_UPDATE),
+    articleController.getRevisions.bind(articleController)
+);
+
+/**
+ * Compare Article Revisions
+ *
+ * @route GET /articles/:id/revisions/diff?from=&to=
+ * @description Field-level diff between two revisions, or between a revision
+ * and the current article when "to" is omitted.
+ */
+router.get(
+    "/:id/revisions/diff",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_UPDATE),
+    articleController.diffRevisions.bind(articleController)
+);
+
+/**
+ * Restore Article Revision
+ *
+ * @route POST /articles/:id/revisions/:revisionId/restore
+ * @description Rolls the article back to a revision. The version it replaces
+ * is kept as a new revision.
+ */
+router.post(
+    "/:id/revisions/:revisionId/restore",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_UPDATE),
+    articleController.restoreRevision.bind(articleController)
+);
+
 /**
  * Delete an article by ID.
  *
  * @route DELETE /articles/:id
+ * @description Moves the article to the trash. It can be restored until purged.
  */
 router.delete(
     "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_DELETE),
     articleController.deleteById.bind(articleController)
 );
 
+/**
+ * Restore Article
+ *
+ * @route POST /articles/:id/restore
+ * @description Brings a soft-deleted article back from the trash.
+ */
+router.post(
+    "/:id/restore",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_DELETE),
+    articleController.restore.bind(articleController)
+);
+
+/**
+ * Purge Article
+ *
+ * @route DELETE /articles/:id/purge
+ * @description Permanently deletes an article that is already in the trash.
+ */
+router.delete(
+    "/:id/purge",
+    authenticate,
+    requirePermission(PERMISSIONS.ARTICLE_PURGE),
+    articleController.purge.bind(articleController)
+);
+
 module.exports = router;
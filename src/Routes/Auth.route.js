@@ -0,0 +1,58 @@
+/**
+ * Auth Routes
+ *
+ * This module defines the HTTP endpoints used to open, renew and close
+ * user sessions. Credentials are checked against the User table and
+ * sessions are tracked through rotating refresh tokens.
+ *
+ * Endpoints:
+ *  - POST /auth/login    → Exchange email + password for a token pair
+ *  - POST /auth/refresh  → Rotate a refresh token for a new token pair
+ *  - POST /auth/logout   → Revoke a refresh token
+ */
+
+const { Router } = require("express");
+
+const UserRepository = require("../Repository/User.repository");
+const RefreshTokenRepository = require("../Repository/RefreshToken.repository");
+const AuthService = require("../Service/Auth.service");
+const AuthController = require("../Controller/Auth.controller");
+
+const router = Router();
+
+/**
+ * Dependency Injection Setup
+ *
+ * AuthService reuses UserRepository for credential lookups and
+ * RefreshTokenRepository for session persistence.
+ */
+const userRepository = new UserRepository();
+const refreshTokenRepository = new RefreshTokenRepository();
+const authService = new AuthService(userRepository, refreshTokenRepository);
+const authController = new AuthController(authService);
+
+/**
+ * Login
+ *
+ * @route POST /auth/login
+ * @description Verifies credentials and returns an access and refresh token.
+ */
+router.post("/login", authController.login.bind(authController));
+
+/**
+ * Refresh Session
+ *
+ * @route POST /auth/refresh
+ * @description Revokes the given refresh token and returns a new token pair.
+ */
+router.post("/refresh", authController.refresh.bind(authController));
+
+/**
+ * Logout
+ *
+ * @route POST /auth/logout
+ * @description Revokes the given refresh token.
+ */
+router.post("/logout", authController.logout.bind(authController));
+
+module.exports = router;
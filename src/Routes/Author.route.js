@@ -11,13 +11,24 @@
  * Multer is used for handling image uploads, supporting:
  *  - A single primary image
  *  - A gallery of up to 20 images
+ *
+ * Access: Reads are public; writes require the matching
+ * "author:create|update|delete" permission.
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
 const upload = require("../Middleware/upload.middleware");
+const { FILE_TYPES, MB } = require("../Utils/fileType");
+const storage = require("../Storage");
 
 const AuthorRepository = require("../Repository/Author.repository");
 const AuthorImagesRepository = require("../Repository/AuthorImages.repository");
+const MediaRepository = require("../Repository/Media.repository");
+const MediaService = require("../Service/Media.service");
 const AuthorService = require("../Service/Author.service");
 const AuthorController = require("../Controller/Author.controller");
 
@@ -33,9 +44,34 @@ const router = Router();
  */
 const authorRepository = new AuthorRepository();
 const authorImagesRepository = new AuthorImagesRepository();
-const authorService = new AuthorService(authorRepository, authorImagesRepository);
+const mediaService = new MediaService(new MediaRepository(), storage);
+const authorService = new AuthorService(authorRepository, authorImagesRepository, mediaService);
 const authorController = new AuthorController(authorService);
 
+/**
+ * Upload Rules
+ *
+ * Main image (`primaryImg`) and gallery (`gallery`, up to 20 files):
+ * JPEG, PNG, GIF or WebP, up to 10 MB each.
+ * The type is checked against the file content (see upload.middleware.js).
+ */
+const authorUpload = upload.fields([
+    { name: "primaryImg", maxCount: 1, accept: FILE_TYPES.image, maxSize: 10 * MB },
+    { name: "gallery", maxCount: 20, accept: FILE_TYPES.image, maxSize: 10 * MB },
+]);
+
+// Updates only replace the main image; the gallery is not modified
+const authorUpdateUpload = upload.fields([
+    { name: "primaryImg", maxCount: 1, accept: FILE_TYPES.image, maxSize: 10 * MB },
+]);
+
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("author"));
+
 /**
  * Create Author
  *
@@ -46,17 +82,48 @@ const authorController = new AuthorController(authorService);
  *  - gallery: File[] (multiple, up to 20 images)
  *
  * The controller delegates file handling to the service, which uploads
- * to Cloudinary and saves URLs in the database.
+ * to the file storage and saves URLs in the database.
  */
 router.post(
     "/",
-    upload.fields([
-        { name: "primaryImg", maxCount: 1 },
-        { name: "gallery", maxCount: 20 }
-    ]),
+    authenticate,
+    requirePermission(PERMISSIONS.AUTHOR_CREATE),
+    authorUpload,
     authorController.create.bind(authorController)
 );
 
+/**
+ * Update Author
+ *
+ * @route PUT /authors/:id
+ * @description Updates author details. A new primary image is optional;
+ * the gallery is not modified.
+ *
+ * Expected multipart/form-data:
+ *  - primaryImg: File (optional, single)
+ */
+router.put(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.AUTHOR_UPDATE),
+    authorUpdateUpload,
+    authorController.updateById.bind(authorController)
+);
+
+/**
+ * Partially Update Author
+ *
+ * @route PATCH /authors/:id
+ * @description Changes only the fields sent. `null` clears a field.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.AUTHOR_UPDATE),
+    authorUpdateUpload,
+    authorController.updateById.bind(authorController)
+);
+
 /**
  * Retrieve All Authors
  *
@@ -71,6 +138,18 @@ router.get(
     authorController.getAll.bind(authorController)
 );
 
+/**
+ * Search Authors
+ *
+ * @route GET /authors/search?q=
+ * @description Full-text search over name, description and nationality,
+ * with highlighted snippets. Must stay above "/:id".
+ */
+router.get(
+    "/search",
+    authorController.search.bind(authorController)
+);
+
 /**
  * Retrieve Single Author by ID
  *
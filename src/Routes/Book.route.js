@@ -6,13 +6,26 @@
  *  - Uploading book files (PDF, DOCX, EPUB, etc.)
  *  - CRUD operations for books
  *
- * Uses Multer for handling multipart/form-data and Cloudinary for file storage.
+ * Uses Multer for handling multipart/form-data and the Storage module (Cloudinary or local disk) for files.
+ *
+ * Access: Reads are public; writes require the matching
+ * "book:create|update|delete" permission (delete also covers the trash and
+ * restoring). Purging requires "book:purge" (admins).
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
 const upload = require("../Middleware/upload.middleware");
+const { FILE_TYPES, MB } = require("../Utils/fileType");
+const storage = require("../Storage");
 
 const BookRepository = require("../Repository/Book.repository");
+const AuthorRepository = require("../Repository/Author.repository");
+const MediaRepository = require("../Repository/Media.repository");
+const MediaService = require("../Service/Media.service");
 const BookService = require("../Service/Book.service");
 const BookController = require("../Controller/Book.controller");
 
@@ -26,9 +39,31 @@ const router = Router();
  * inside the appropriate layers.
  */
 const bookRepository = new BookRepository();
-const bookService = new BookService(bookRepository);
+const mediaService = new MediaService(new MediaRepository(), storage);
+const bookService = new BookService(bookRepository, mediaService, {
+    authorRepository: new AuthorRepository(),
+});
 const bookController = new BookController(bookService);
 
+/**
+ * Upload Rules
+ *
+ * Cover (`img`): JPEG, PNG, GIF or WebP, up to 10 MB.
+ * Book file (`file`): PDF, EPUB or DOCX, up to 50 MB.
+ * The type is checked against the file content (see upload.middleware.js).
+ */
+const bookUpload = upload.fields([
+    { name: "img", maxCount: 1, accept: FILE_TYPES.image, maxSize: 10 * MB },
+    { name: "file", maxCount: 1, accept: FILE_TYPES.document, maxSize: 50 * MB },
+]);
+
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("book"));
+
 /**
  * Create Book
  *
@@ -43,10 +78,9 @@ const bookController = new BookController(bookService);
  */
 router.post(
     "/",
-    upload.fields([
-        { name: "img", maxCount: 1 },
-        { name: "file", maxCount: 1 },
-    ]),
+    authenticate,
+    requirePermission(PERMISSIONS.BOOK_CREATE),
+    bookUpload,
     bookController.create.bind(bookController)
 );
 
@@ -62,6 +96,28 @@ router.post(
  */
 router.get("/", bookController.getAll.bind(bookController));
 
+/**
+ * Book Trash
+ *
+ * @route GET /books/trash
+ * @description Lists soft-deleted books. Must stay above "/:id".
+ */
+router.get(
+    "/trash",
+    authenticate,
+    requirePermission(PERMISSIONS.BOOK_DELETE),
+    bookController.getTrash.bind(bookController)
+);
+
+/**
+ * Search Books
+ *
+ * @route GET /books/search?q=
+ * @description Full-text search over title, with highlighted
+ * snippets. Must stay above "/:id".
+ */
+router.get("/search", bookController.search.bind(bookController));
+
 /**
  * Retrieve Book by ID
  *
@@ -85,10 +141,23 @@ router.get("/:id", bookController.getById.bind(bookController));
  */
 router.put(
     "/:id",
-    upload.fields([
-        { name: "img", maxCount: 1 },
-        { name: "file", maxCount: 1 },
-    ]),
+    authenticate,
+    requirePermission(PERMISSIONS.BOOK_UPDATE),
+    bookUpload,
+    bookController.updateById.bind(bookController)
+);
+
+/**
+ * Partially Update Book
+ *
+ * @route PATCH /books/:id
+ * @description Changes only the fields sent. `null` clears a field.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.BOOK_UPDATE),
+    bookUpload,
     bookController.updateById.bind(bookController)
 );
 
@@ -96,8 +165,39 @@ router.put(
  * Delete Book
  *
  * @route DELETE /books/:id
- * @description Deletes the book from the DB
+ * @description Moves the book to the trash. It can be restored until purged.
  */
-router.delete("/:id", bookController.deleteById.bind(bookController));
+router.delete(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.BOOK_DELETE),
+    bookController.deleteById.bind(bookController)
+);
+
+/**
+ * Restore Book
+ *
+ * @route POST /books/:id/restore
+ * @description Brings a soft-deleted book back from the trash.
+ */
+router.post(
+    "/:id/restore",
+    authenticate,
+    requirePermission(PERMISSIONS.BOOK_DELETE),
+    bookController.restore.bind(bookController)
+);
+
+/**
+ * Purge Book
+ *
+ * @route DELETE /books/:id/purge
+ * @description Permanently deletes a book that is already in the trash.
+ */
+router.delete(
+    "/:id/purge",
+    authenticate,
+    requirePermission(PERMISSIONS.BOOK_PURGE),
+    bookController.purge.bind(bookController)
+);
 
 module.exports = router;
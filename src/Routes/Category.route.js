@@ -5,9 +5,16 @@
  * It follows Clean Architecture principles by injecting the repository
  * and service layers into the controller, ensuring a fully decoupled,
  * testable, and maintainable structure.
+ *
+ * Access: Reads are public; writes require the matching
+ * "category:create|update|delete" permission.
  */
 
 const { Router } = require("express");
+const { authenticate } = require("./../Middleware/auth.middleware");
+const { requirePermission } = require("./../Middleware/authorize.middleware");
+const { auditTrail } = require("./../Middleware/audit.middleware");
+const PERMISSIONS = require("./../Config/permissions");
 
 const CategoryRepository = require("./../Repository/Category.repository");
 const CategoryService = require("./../Service/Category.service");
@@ -25,6 +32,13 @@ const categoryRepository = new CategoryRepository();
 const categoryService = new CategoryService(categoryRepository);
 const categoryController = new CategoryController(categoryService);
 
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("category"));
+
 /**
  * Create Category
  *
@@ -32,7 +46,12 @@ const categoryController = new CategoryController(categoryService);
  * @description Creates a new category (e.g., "Science", "Sports", "Tech")
  * @body {string} categoryName - Required
  */
-router.post("/", categoryController.create.bind(categoryController));
+router.post(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.CATEGORY_CREATE),
+    categoryController.create.bind(categoryController)
+);
 
 /**
  * Get All Categories
@@ -56,14 +75,38 @@ router.get("/:id", categoryController.getById.bind(categoryController));
  * @route PUT /categories/:id
  * @description Updates an existing category
  */
-router.put("/:id", categoryController.updateById.bind(categoryController));
+router.put(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.CATEGORY_UPDATE),
+    categoryController.updateById.bind(categoryController)
+);
+
+/**
+ * Partially Update Category
+ *
+ * @route PATCH /categories/:id
+ * @description Changes only the fields sent.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.CATEGORY_UPDATE),
+    categoryController.updateById.bind(categoryController)
+);
 
 /**
  * Delete Category
  *
- * @route DELETE /categories/:id
- * @description Removes a category from the database
+ * @route DELETE /categories/:id?reassignTo=
+ * @description Removes a category from the database. Refused (409) while
+ * articles use it, unless "reassignTo" moves them to another category.
  */
-router.delete("/:id", categoryController.deleteById.bind(categoryController));
+router.delete(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.CATEGORY_DELETE),
+    categoryController.deleteById.bind(categoryController)
+);
 
 module.exports = router;
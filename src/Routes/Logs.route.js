@@ -5,15 +5,24 @@
  * Following Clean Architecture principles, it injects the repository
  * into the service, and the service into the controller.
  *
- * Logs are typically generated during actions such as:
- *  - Creating or deleting records
- *  - User authentication events
- *  - Administrative actions
+ * Logs are written automatically by the audit trail middleware
+ * (Middleware/audit.middleware.js) for every create, update and delete
+ * request on the resource routers.
  *
- * For now, this module only exposes the "GET all logs" endpoint.
+ * Endpoints:
+ *  - GET /logs                          → Filtered, cursor-paginated logs
+ *  - GET /logs/export                   → Streaming CSV / NDJSON export
+ *  - GET /logs/users/:id                → Actions performed by a user
+ *  - GET /logs/resources/:type/:id      → History of a single resource
+ *  - GET /logs/:id                      → A single log entry with its before/after diff
+ *
+ * Access: Every endpoint requires the "logs:read" permission.
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const PERMISSIONS = require("../Config/permissions");
 
 const LogsRepository = require("../Repository/Logs.repository");
 const LogsService = require("../Service/Logs.service");
@@ -38,8 +47,72 @@ const logsController = new LogsController(logsService);
  * Get All Logs
  *
  * @route GET /logs
- * @description Returns all system logs ordered by creation date (DESC)
+ * @description Returns system logs newest first. Supports filters
+ * (userId, action, resourceType, resourceId, from, to) and cursor
+ * pagination (limit, cursor). Responds with `{ data, nextCursor }`.
+ */
+router.get(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.LOGS_READ),
+    logsController.getAll.bind(logsController)
+);
+
+/**
+ * Export Logs
+ *
+ * @route GET /logs/export
+ * @description Streams every log matching the filters as a file download.
+ * `?format=csv|ndjson` (default ndjson); accepts the same filters as GET /logs.
+ */
+router.get(
+    "/export",
+    authenticate,
+    requirePermission(PERMISSIONS.LOGS_READ),
+    logsController.export.bind(logsController)
+);
+
+/**
+ * Get User History
+ *
+ * @route GET /logs/users/:id
+ * @description Returns the actions performed by a user. Accepts the same
+ * filters and pagination parameters as GET /logs.
+ */
+router.get(
+    "/users/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.LOGS_READ),
+    logsController.getByUser.bind(logsController)
+);
+
+/**
+ * Get Resource History
+ *
+ * @route GET /logs/resources/:type/:id
+ * @description Returns the full history of one resource
+ * (e.g., /logs/resources/article/12). Accepts the same filters and
+ * pagination parameters as GET /logs.
+ */
+router.get(
+    "/resources/:type/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.LOGS_READ),
+    logsController.getByResource.bind(logsController)
+);
+
+/**
+ * Get Log by ID
+ *
+ * @route GET /logs/:id
+ * @description Returns a log entry, including the structured diff
+ * (`changes`) of the fields modified by the audited request.
  */
-router.get("/", logsController.getAll.bind(logsController));
+router.get(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.LOGS_READ),
+    logsController.getById.bind(logsController)
+);
 
 module.exports = router;
@@ -0,0 +1,96 @@
+/**
+ * Permission Routes
+ *
+ * This module defines the HTTP endpoints used to manage the catalogue of
+ * permissions (e.g., "article:create", "podcast:delete", "logs:read").
+ * Granting permissions to roles is done under /roles/:id/permissions.
+ *
+ * Endpoints:
+ *  - POST   /permissions       → Create a new permission
+ *  - GET    /permissions       → Retrieve all permissions
+ *  - GET    /permissions/:id   → Retrieve a permission by ID
+ *  - DELETE /permissions/:id   → Delete a permission
+ *
+ * Access: Every endpoint requires the "role:manage" permission.
+ */
+
+const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
+
+const PermissionRepository = require("../Repository/Permission.repository");
+const RoleRepository = require("../Repository/Role.repository");
+const PermissionService = require("../Service/Permission.service");
+const PermissionController = require("../Controller/Permission.controller");
+
+const router = Router();
+
+/**
+ * Dependency Injection Setup
+ *
+ * Repository → Service → Controller
+ *
+ * RoleRepository is injected so the service can validate role IDs
+ * when granting or revoking permissions.
+ */
+const permissionRepository = new PermissionRepository();
+const roleRepository = new RoleRepository();
+const permissionService = new PermissionService(permissionRepository, roleRepository);
+const permissionController = new PermissionController(permissionService);
+
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("permission"));
+
+/**
+ * @route POST /permissions
+ * @description Creates a new permission.
+ * @body {string} name - Required, "<resource>:<action>"
+ * @body {string} description - Optional
+ */
+router.post(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    permissionController.create.bind(permissionController)
+);
+
+/**
+ * @route GET /permissions
+ * @description Retrieves all permissions.
+ */
+router.get(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    permissionController.getAll.bind(permissionController)
+);
+
+/**
+ * @route GET /permissions/:id
+ * @description Retrieves a permission by its ID.
+ */
+router.get(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    permissionController.getById.bind(permissionController)
+);
+
+/**
+ * @route DELETE /permissions/:id
+ * @description Deletes a permission and every grant of it.
+ */
+router.delete(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    permissionController.deleteById.bind(permissionController)
+);
+
+module.exports = router;
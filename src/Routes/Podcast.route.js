@@ -13,15 +13,33 @@
  * Available Endpoints:
  *  - POST   /           → Create a podcast
  *  - PUT    /:id        → Update an existing podcast
+ *  - PATCH  /:id        → Partially update a podcast
  *  - GET    /           → Retrieve all podcasts
+ *  - GET    /trash      → Soft-deleted podcasts
+ *  - GET    /search     → Full-text search
  *  - GET    /:id        → Retrieve a single podcast by ID
- *  - DELETE /:id        → Delete a podcast
+ *  - DELETE /:id        → Move a podcast to the trash
+ *  - POST   /:id/restore → Restore a podcast from the trash
+ *  - DELETE /:id/purge  → Permanently delete a trashed podcast
+ *
+ * Access: Reads are public; writes require the matching
+ * "podcast:create|update|delete" permission (delete also covers the trash and
+ * restoring). Purging requires "podcast:purge" (admins).
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
 const upload = require("../Middleware/upload.middleware");
+const { FILE_TYPES, MB } = require("../Utils/fileType");
+const storage = require("../Storage");
 
 const PodcastRepository = require("../Repository/Podcast.repository");
+const StatusRepository = require("../Repository/Status.repository");
+const MediaRepository = require("../Repository/Media.repository");
+const MediaService = require("../Service/Media.service");
 const PodcastService = require("../Service/Podcast.service");
 const PodcastController = require("../Controller/Podcast.controller");
 
@@ -38,22 +56,47 @@ const router = Router();
  *  - Supports Clean Architecture principles
  */
 const podcastRepository = new PodcastRepository();
-const podcastService = new PodcastService(podcastRepository);
+const mediaService = new MediaService(new MediaRepository(), storage);
+const podcastService = new PodcastService(podcastRepository, mediaService, {
+    statusRepository: new StatusRepository(),
+});
 const podcastController = new PodcastController(podcastService);
 
+/**
+ * Upload Rules
+ *
+ * Video (`video`): MP4, MOV or WebM, up to 1 GB.
+ * Audio (`audio`): MP3, AAC, WAV, Ogg, FLAC or M4A, up to 200 MB.
+ * Thumbnail (`img`): JPEG, PNG, GIF or WebP, up to 10 MB.
+ * The type is checked against the file content (see upload.middleware.js).
+ *
+ * Shared by create and update: on update every file is optional and
+ * replaces the current one.
+ */
+const podcastUpload = upload.fields([
+    { name: "video", maxCount: 1, accept: FILE_TYPES.video, maxSize: 1024 * MB },
+    { name: "audio", maxCount: 1, accept: FILE_TYPES.audio, maxSize: 200 * MB },
+    { name: "img", maxCount: 1, accept: FILE_TYPES.image, maxSize: 10 * MB },
+]);
+
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("podcast"));
+
 /**
  * Create Podcast
  *
  * @route POST /podcasts
- * @description Creates a new podcast and uploads audio/video/image to Cloudinary.
+ * @description Creates a new podcast and uploads audio/video/image to the file storage.
  */
 router.post(
     "/",
-    upload.fields([
-        { name: "video", maxCount: 1 },
-        { name: "audio", maxCount: 1 },
-        { name: "img", maxCount: 1 },
-    ]),
+    authenticate,
+    requirePermission(PERMISSIONS.PODCAST_CREATE),
+    podcastUpload,
     podcastController.create.bind(podcastController)
 );
 
@@ -61,15 +104,28 @@ router.post(
  * Update Podcast
  *
  * @route PUT /podcasts/:id
- * @description Updates podcast properties. File uploads are optional.
+ * @description Updates podcast properties. An uploaded video, audio or
+ *              image replaces the current file; all uploads are optional.
  */
 router.put(
     "/:id",
-    upload.fields([
-        { name: "video", maxCount: 1 },
-        { name: "audio", maxCount: 1 },
-        { name: "img", maxCount: 1 },
-    ]),
+    authenticate,
+    requirePermission(PERMISSIONS.PODCAST_UPDATE),
+    podcastUpload,
+    podcastController.updateById.bind(podcastController)
+);
+
+/**
+ * Partially Update Podcast
+ *
+ * @route PATCH /podcasts/:id
+ * @description Changes only the fields sent. `null` clears a field.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.PODCAST_UPDATE),
+    podcastUpload,
     podcastController.updateById.bind(podcastController)
 );
 
@@ -84,6 +140,31 @@ router.get(
     podcastController.getAll.bind(podcastController)
 );
 
+/**
+ * Podcast Trash
+ *
+ * @route GET /podcasts/trash
+ * @description Lists soft-deleted podcasts. Must stay above "/:id".
+ */
+router.get(
+    "/trash",
+    authenticate,
+    requirePermission(PERMISSIONS.PODCAST_DELETE),
+    podcastController.getTrash.bind(podcastController)
+);
+
+/**
+ * Search Podcasts
+ *
+ * @route GET /podcasts/search?q=
+ * @description Full-text search over title, with highlighted
+ * snippets. Must stay above "/:id".
+ */
+router.get(
+    "/search",
+    podcastController.search.bind(podcastController)
+);
+
 /**
  * Retrieve Podcast by ID
  *
@@ -99,11 +180,39 @@ router.get(
  * Delete Podcast
  *
  * @route DELETE /podcasts/:id
- * @description Deletes a podcast permanently from the database.
+ * @description Moves the podcast to the trash. It can be restored until purged.
  */
 router.delete(
     "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.PODCAST_DELETE),
     podcastController.deleteById.bind(podcastController)
 );
 
+/**
+ * Restore Podcast
+ *
+ * @route POST /podcasts/:id/restore
+ * @description Brings a soft-deleted podcast back from the trash.
+ */
+router.post(
+    "/:id/restore",
+    authenticate,
+    requirePermission(PERMISSIONS.PODCAST_DELETE),
+    podcastController.restore.bind(podcastController)
+);
+
+/**
+ * Purge Podcast
+ *
+ * @route DELETE /podcasts/:id/purge
+ * @description Permanently deletes a podcast that is already in the trash.
+ */
+router.delete(
+    "/:id/purge",
+    authenticate,
+    requirePermission(PERMISSIONS.PODCAST_PURGE),
+    podcastController.purge.bind(podcastController)
+);
+
 module.exports = router;
@@ -10,14 +10,28 @@
  *  - GET    /roles       → Retrieve all roles
  *  - GET    /roles/:id   → Retrieve a specific role by ID
  *  - PUT    /roles/:id   → Update an existing role
+ *  - PATCH  /roles/:id   → Partially update a role
  *  - DELETE /roles/:id   → Delete a role by ID
+ *
+ *  - GET    /roles/:id/permissions                 → Permissions granted to a role
+ *  - POST   /roles/:id/permissions                 → Grant a permission to a role
+ *  - DELETE /roles/:id/permissions/:permissionId   → Revoke a permission from a role
+ *
+ * Access: Every endpoint requires the "role:manage" permission.
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
 
 const RoleRepository = require("../Repository/Role.repository");
 const RoleService = require("../Service/Role.service");
 const RoleController = require("../Controller/Role.controller");
+const PermissionRepository = require("../Repository/Permission.repository");
+const PermissionService = require("../Service/Permission.service");
+const PermissionController = require("../Controller/Permission.controller");
 
 const router = Router();
 
@@ -36,34 +50,118 @@ const roleRepository = new RoleRepository();
 const roleService = new RoleService(roleRepository);
 const roleController = new RoleController(roleService);
 
+const permissionRepository = new PermissionRepository();
+const permissionService = new PermissionService(permissionRepository, roleRepository);
+const permissionController = new PermissionController(permissionService);
+
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("role"));
+
 /**
  * @route POST /roles
  * @description Creates a new role entry.
  */
-router.post("/", roleController.create.bind(roleController));
+router.post(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    roleController.create.bind(roleController)
+);
 
 /**
  * @route GET /roles
  * @description Retrieves all roles in the system.
  */
-router.get("/", roleController.getAll.bind(roleController));
+router.get(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    roleController.getAll.bind(roleController)
+);
 
 /**
  * @route GET /roles/:id
  * @description Retrieves a specific role by its unique ID.
  */
-router.get("/:id", roleController.getById.bind(roleController));
+router.get(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    roleController.getById.bind(roleController)
+);
 
 /**
  * @route PUT /roles/:id
  * @description Updates an existing role.
  */
-router.put("/:id", roleController.updateById.bind(roleController));
+router.put(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    roleController.updateById.bind(roleController)
+);
+
+/**
+ * Partially Update Role
+ *
+ * @route PATCH /roles/:id
+ * @description Changes only the fields sent.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    roleController.updateById.bind(roleController)
+);
+
+/**
+ * @route DELETE /roles/:id?reassignTo=
+ * @description Permanently deletes a role. Refused (409) while users have it,
+ * unless "reassignTo" moves them to another role.
+ */
+router.delete(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    roleController.deleteById.bind(roleController)
+);
+
+/**
+ * @route GET /roles/:id/permissions
+ * @description Lists the permissions granted to a role.
+ */
+router.get(
+    "/:id/permissions",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    permissionController.getByRole.bind(permissionController)
+);
+
+/**
+ * @route POST /roles/:id/permissions
+ * @description Grants a permission to a role.
+ * @body {number} permissionId - Required
+ */
+router.post(
+    "/:id/permissions",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    permissionController.grantToRole.bind(permissionController)
+);
 
 /**
- * @route DELETE /roles/:id
- * @description Permanently deletes a role.
+ * @route DELETE /roles/:id/permissions/:permissionId
+ * @description Revokes a permission from a role.
  */
-router.delete("/:id", roleController.deleteById.bind(roleController));
+router.delete(
+    "/:id/permissions/:permissionId",
+    authenticate,
+    requirePermission(PERMISSIONS.ROLE_MANAGE),
+    permissionController.revokeFromRole.bind(permissionController)
+);
 
 module.exports = router;
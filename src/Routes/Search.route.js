@@ -0,0 +1,58 @@
+/**
+ * Search Routes
+ *
+ * Global full-text search across every content type. Per-type search is
+ * also available on each resource (e.g., GET /articles/search).
+ *
+ * Endpoints:
+ *  - GET /search?q= → Ranked, typed results with highlighted snippets
+ *
+ * Access: Public.
+ */
+
+const { Router } = require("express");
+
+const ArticleRepository = require("../Repository/Article.repository");
+const BookRepository = require("../Repository/Book.repository");
+const PodcastRepository = require("../Repository/Podcast.repository");
+const AuthorRepository = require("../Repository/Author.repository");
+const AuthorImagesRepository = require("../Repository/AuthorImages.repository");
+
+const ArticleService = require("../Service/Article.service");
+const BookService = require("../Service/Book.service");
+const PodcastService = require("../Service/Podcast.service");
+const AuthorService = require("../Service/Author.service");
+const SearchService = require("../Service/Search.service");
+const SearchController = require("../Controller/Search.controller");
+
+const router = Router();
+
+/**
+ * Dependency Injection:
+ * The search service reuses each content service, so the global search
+ * applies exactly the same rules as the per-type endpoints.
+ */
+const searchService = new SearchService({
+    article: { service: new ArticleService(new ArticleRepository()), titleField: "title" },
+    book: { service: new BookService(new BookRepository()), titleField: "title" },
+    podcast: { service: new PodcastService(new PodcastRepository()), titleField: "title" },
+    author: {
+        service: new AuthorService(new AuthorRepository(), new AuthorImagesRepository()),
+        titleField: "name",
+    },
+});
+const searchController = new SearchController(searchService);
+
+/**
+ * Global Search
+ *
+ * @route GET /search?q=
+ * @description Searches articles, books, podcasts and authors, merged by
+ * relevance. Optional `?type=article,book` and `?limit=`.
+ */
+router.get(
+    "/",
+    searchController.search.bind(searchController)
+);
+
+module.exports = router;
@@ -13,10 +13,17 @@
  *  - GET    /           → Retrieve all statuses
  *  - GET    /:id        → Retrieve a single status by ID
  *  - PUT    /:id        → Update a status
+ *  - PATCH  /:id        → Partially update a status
  *  - DELETE /:id        → Delete a status
+ *
+ * Access: Every endpoint requires the "status:manage" permission.
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
 
 const StatusRepository = require("../Repository/Status.repository");
 const StatusService = require("../Service/Status.service");
@@ -36,13 +43,25 @@ const statusRepository = new StatusRepository();
 const statusService = new StatusService(statusRepository);
 const statusController = new StatusController(statusService);
 
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("status"));
+
 /**
  * Create Status
  *
  * @route POST /statuses
  * @description Creates a new status entry.
  */
-router.post("/", statusController.create.bind(statusController));
+router.post(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.STATUS_MANAGE),
+    statusController.create.bind(statusController)
+);
 
 /**
  * Retrieve All Statuses
@@ -50,7 +69,12 @@ router.post("/", statusController.create.bind(statusController));
  * @route GET /statuses
  * @description Returns all statuses available in the system.
  */
-router.get("/", statusController.getAll.bind(statusController));
+router.get(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.STATUS_MANAGE),
+    statusController.getAll.bind(statusController)
+);
 
 /**
  * Retrieve Status by ID
@@ -58,7 +82,12 @@ router.get("/", statusController.getAll.bind(statusController));
  * @route GET /statuses/:id
  * @description Fetches a single status by its ID.
  */
-router.get("/:id", statusController.getById.bind(statusController));
+router.get(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.STATUS_MANAGE),
+    statusController.getById.bind(statusController)
+);
 
 /**
  * Update Status
@@ -66,14 +95,38 @@ router.get("/:id", statusController.getById.bind(statusController));
  * @route PUT /statuses/:id
  * @description Updates the name or properties of an existing status.
  */
-router.put("/:id", statusController.updateById.bind(statusController));
+router.put(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.STATUS_MANAGE),
+    statusController.updateById.bind(statusController)
+);
+
+/**
+ * Partially Update Status
+ *
+ * @route PATCH /statuses/:id
+ * @description Changes only the fields sent.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.STATUS_MANAGE),
+    statusController.updateById.bind(statusController)
+);
 
 /**
  * Delete Status
  *
- * @route DELETE /statuses/:id
- * @description Permanently deletes a status.
+ * @route DELETE /statuses/:id?reassignTo=
+ * @description Permanently deletes a status. Refused (409) while articles or
+ * podcasts use it, unless "reassignTo" moves them to another status.
  */
-router.delete("/:id", statusController.deleteById.bind(statusController));
+router.delete(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.STATUS_MANAGE),
+    statusController.deleteById.bind(statusController)
+);
 
 module.exports = router;
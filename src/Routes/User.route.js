@@ -13,12 +13,20 @@
  *  - GET    /users       → Retrieve all users
  *  - GET    /users/:id   → Retrieve a single user by ID
  *  - PUT    /users/:id   → Update user information
+ *  - PATCH  /users/:id   → Partially update user information
  *  - DELETE /users/:id   → Delete a user
+ *
+ * Access: Every endpoint requires the "user:manage" permission.
  */
 
 const { Router } = require("express");
+const { authenticate } = require("../Middleware/auth.middleware");
+const { requirePermission } = require("../Middleware/authorize.middleware");
+const { auditTrail } = require("../Middleware/audit.middleware");
+const PERMISSIONS = require("../Config/permissions");
 
 const UserRepository = require("../Repository/User.repository");
+const RefreshTokenRepository = require("../Repository/RefreshToken.repository");
 const UserService = require("../Service/User.service");
 const UserController = require("../Controller/User.controller");
 
@@ -37,16 +45,28 @@ const router = Router();
  *  - Testable components
  */
 const userRepository = new UserRepository();
-const userService = new UserService(userRepository);
+const userService = new UserService(userRepository, new RefreshTokenRepository());
 const userController = new UserController(userService);
 
+/**
+ * Audit Trail
+ *
+ * Records every create, update and delete on this router in the Logs table.
+ */
+router.use(auditTrail("user"));
+
 /**
  * Create User
  *
  * @route POST /users
  * @description Creates a new system user.
  */
-router.post("/", userController.create.bind(userController));
+router.post(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.create.bind(userController)
+);
 
 /**
  * Get All Users
@@ -54,7 +74,12 @@ router.post("/", userController.create.bind(userController));
  * @route GET /users
  * @description Returns a list of all users registered in the system.
  */
-router.get("/", userController.getAll.bind(userController));
+router.get(
+    "/",
+    authenticate,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.getAll.bind(userController)
+);
 
 /**
  * Get User By ID
@@ -62,7 +87,12 @@ router.get("/", userController.getAll.bind(userController));
  * @route GET /users/:id
  * @description Retrieves a specific user by its unique identifier.
  */
-router.get("/:id", userController.getById.bind(userController));
+router.get(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.getById.bind(userController)
+);
 
 /**
  * Update User
@@ -70,7 +100,25 @@ router.get("/:id", userController.getById.bind(userController));
  * @route PUT /users/:id
  * @description Updates a user’s information (email, password, etc.).
  */
-router.put("/:id", userController.updateById.bind(userController));
+router.put(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.updateById.bind(userController)
+);
+
+/**
+ * Partially Update User
+ *
+ * @route PATCH /users/:id
+ * @description Changes only the fields sent.
+ */
+router.patch(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.updateById.bind(userController)
+);
 
 /**
  * Delete User
@@ -78,6 +126,11 @@ router.put("/:id", userController.updateById.bind(userController));
  * @route DELETE /users/:id
  * @description Deletes a user from the system.
  */
-router.delete("/:id", userController.deleteById.bind(userController));
+router.delete(
+    "/:id",
+    authenticate,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.deleteById.bind(userController)
+);
 
 module.exports = router;
@@ -6,7 +6,9 @@
  * simplifies maintenance, and allows seamless API versioning in the future.
  *
  * Registered Modules:
+ *  - /auth       → Auth Routes
  *  - /roles      → Role Routes
+ *  - /permissions → Permission Routes
  *  - /status     → Status Routes
  *  - /categories → Category Routes
  *  - /users      → User Routes
@@ -15,6 +17,7 @@
  *  - /authors    → Author Routes
  *  - /podcasts   → Podcast Routes
  *  - /books      → Book Routes
+ *  - /search     → Search Routes
  *
  * Architecture Context:
  * Each route internally uses:
@@ -24,7 +27,9 @@
  * to the Express application instance.
  */
 
+const AuthRoutes = require("./Auth.route");
 const RoleRoutes = require("./Role.route");
+const PermissionRoutes = require("./Permission.route");
 const StatusRoutes = require("./Status.route");
 const CategoryRoutes = require("./Category.route");
 const UserRoutes = require("./User.route");
@@ -33,6 +38,7 @@ const LogsRoutes = require("./Logs.route");
 const AuthorRoutes = require("./Author.route");
 const PodcastRoutes = require("./Podcast.route");
 const BookRoutes = require("./Book.route");
+const SearchRoutes = require("./Search.route");
 
 /**
  * Registers all route modules under the /api/v1 namespace.
@@ -40,7 +46,9 @@ const BookRoutes = require("./Book.route");
  * @param {import("express").Application} app - The Express application instance
  */
 const applyRoutes = (app) => {
+    app.use("/api/v1/auth", AuthRoutes);
     app.use("/api/v1/roles", RoleRoutes);
+    app.use("/api/v1/permissions", PermissionRoutes);
     app.use("/api/v1/status", StatusRoutes);
     app.use("/api/v1/categories", CategoryRoutes);
     app.use("/api/v1/users", UserRoutes);
@@ -49,6 +57,7 @@ const applyRoutes = (app) => {
     app.use("/api/v1/authors", AuthorRoutes);
     app.use("/api/v1/podcasts", PodcastRoutes);
     app.use("/api/v1/books", BookRoutes);
+    app.use("/api/v1/search", SearchRoutes);
 };
 
 module.exports = applyRoutes;
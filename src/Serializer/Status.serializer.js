@@ -0,0 +1,21 @@
+/**
+ * Status Serializer
+ *
+ * Converts raw Status rows into the shape embedded in public content
+ * (`?include=status` on articles and podcasts). Managing statuses is
+ * restricted to admins, so only the label is exposed to readers.
+ */
+
+/**
+ * Serializes a status row for public responses.
+ *
+ * @param {Object|null} status - Raw status row.
+ * @returns {{ id: number, name: string }|null} Public status, or null if none was given.
+ */
+const serializePublicStatus = (status) => {
+    if (!status) return null;
+
+    return { id: status.id, name: status.name };
+};
+
+module.exports = { serializePublicStatus };
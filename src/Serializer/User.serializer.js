@@ -0,0 +1,42 @@
+/**
+ * User Serializer
+ *
+ * Converts raw User rows into the public shape returned by the API.
+ * Only whitelisted fields are copied, so columns such as the bcrypt
+ * `password` hash can never leak to the client, even if new sensitive
+ * columns are added to the table later.
+ *
+ * Raw rows (with the hash) remain available to internal callers such
+ * as the login flow through the UserRepository.
+ */
+
+/**
+ * Serializes a single user row.
+ *
+ * @param {Object|null} user - Raw user row (optionally joined with `roleName`).
+ * @returns {Object|null} Public user object or null if no user was given.
+ */
+const serializeUser = (user) => {
+    if (!user) return null;
+
+    return {
+        id: user.id,
+        email: user.email,
+        role: {
+            id: user.rolId,
+            name: user.roleName ?? null,
+        },
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+    };
+};
+
+/**
+ * Serializes a list of user rows.
+ *
+ * @param {Object[]|null} users - Raw user rows.
+ * @returns {Object[]|null} Public user objects, or null if no list was given.
+ */
+const serializeUsers = (users) => (users ? users.map(serializeUser) : null);
+
+module.exports = { serializeUser, serializeUsers };
@@ -1,20 +1,78 @@
-const cloudinary = require("../Config/cloudinary");
+const AppError = require("../Utils/AppError");
+const { serializePublicStatus } = require("../Serializer/Status.serializer");
+const { diffRecords } = require("../Utils/diff");
+const { parsePage, parseListQuery, toPage, parsePositiveInt } = require("../Utils/pagination");
+const { parseInclude, embedRelations } = require("../Utils/include");
+const { assertVersion, preconditionFailed } = require("../Utils/etag");
+const { withTransaction } = require("../DB/transaction");
+const { parseSearchQuery, snippetFromFields } = require("../Utils/search");
+
+/**
+ * Article fields tracked in audit log diffs.
+ */
+const AUDITED_FIELDS = ["title", "description", "categoryId", "primaryImg", "statusId", "slug"];
+
+/**
+ * Article fields saved in each revision (the slug follows the title).
+ */
+const REVISION_FIELDS = ["title", "description", "categoryId", "primaryImg", "statusId"];
+
+/**
+ * Sort fields and filters accepted by GET /articles.
+ */
+const ARTICLE_LIST = {
+    sortable: ["id", "title", "createdAt", "updatedAt"],
+    filters: { statusId: "id", categoryId: "id", userId: "id" },
+};
+
+/**
+ * Sort fields and filters accepted by GET /articles/trash.
+ */
+const ARTICLE_TRASH = {
+    ...ARTICLE_LIST,
+    sortable: [...ARTICLE_LIST.sortable, "deletedAt"],
+    defaultSort: "-deletedAt",
+};
+
+/**
+ * Fields used for search snippets, by preference.
+ */
+const SNIPPET_FIELDS = ["description", "title"];
 
 /**
  * Service layer responsible for business logic related to Articles.
  *
  * This includes:
  * - Generating slugs
- * - Uploading images to Cloudinary
+ * - Uploading images to the file storage (Storage/)
  * - Validating article data
  * - Preparing data before passing it to the repository layer
  *
- * The service abstracts external APIs (like Cloudinary) so the repository
+ * The service abstracts external APIs (like the file storage) so the repository
  * remains focused solely on database operations.
+ *
+ * Every update keeps the replaced version as an ArticleRevision, which can
+ * be listed, compared and restored. Images are therefore only deleted from
+ * the storage once the article is purged.
  */
 class ArticleService {
-    constructor(articleRepository) {
+    /**
+     * @param {Object} articleRepository - Instance of ArticleRepository
+     * @param {Object} articleRevisionRepository - Instance of ArticleRevisionRepository
+     * @param {Object} mediaService - Instance of MediaService
+     * @param {Object} [related] - Repositories used to expand `?include=`
+     * @param {Object} [related.categoryRepository]
+     * @param {Object} [related.statusRepository]
+     */
+    constructor(articleRepository, articleRevisionRepository, mediaService, { categoryRepository, statusRepository } = {}) {
         this.articleRepository = articleRepository;
+        this.articleRevisionRepository = articleRevisionRepository;
+        this.mediaService = mediaService;
+
+        this.relations = {
+            category: { key: "categoryId", repository: categoryRepository },
+            status: { key: "statusId", repository: statusRepository, serialize: serializePublicStatus },
+        };
     }
 
     /**
@@ -32,23 +90,22 @@ class ArticleService {
     }
 
     /**
-     * Uploads an image to Cloudinary.
+     * Uploads an image to the file storage, then runs `work` with it. The
+     * image is deleted again if `work` fails.
      *
+     * @template T
      * @param {Object|null} file - File object provided by Multer.
-     * @returns {Promise<string|null>} The uploaded image URL or null if no file provided.
+     * @param {(image: { url: string, asset: Object }|null) => Promise<T>} work -
+     *        Receives the upload, or null if no file provided.
+     * @returns {Promise<T>} The result of `work`.
      */
-    async uploadImage(file) {
-        if (!file) return null;
-
-        const uploaded = await cloudinary.uploader.upload(file.path, {
-            resource_type: "image",
-        });
-
-        return uploaded.secure_url;
+    async withImage(file, work) {
+        return this.mediaService.withUploads([{ file, type: "image" }], ([image]) => work(image));
     }
 
     /**
-     * Creates a new article.
+     * Creates a new article. The uploaded image is deleted again if the
+     * article cannot be saved.
      *
      * @param {Object} params - Article data.
      * @param {string} params.title - Title of the article.
@@ -59,92 +116,392 @@ class ArticleService {
      * @param {Object|null} params.primaryImgFile - Uploaded image file object.
      *
      * @returns {Promise<Object>} The created article.
-     * @throws {Error} If title is missing.
+     * @throws {AppError} 400 if the title is missing.
      */
     async createArticle({ title, description, categoryId, userId, statusId, primaryImgFile }) {
-        if (!title) {
-            throw new Error("Title is required");
+        if (!title || typeof title !== "string") {
+            throw new AppError(400, "Title is required", { field: "title" });
         }
 
         const slug = this.generateSlug(title);
-        const primaryImg = await this.uploadImage(primaryImgFile);
-
-        const articleData = {
-            title,
-            description,
-            categoryId,
-            userId,
-            primaryImg,
-            statusId,
-            slug,
-        };
 
-        return this.articleRepository.createArticle(articleData);
+        return this.withImage(primaryImgFile, (image) => {
+            const articleData = {
+                title,
+                description,
+                categoryId,
+                userId,
+                primaryImg: image?.url ?? null,
+                primaryImgAsset: image?.asset ?? null,
+                statusId,
+                slug,
+            };
+
+            return this.articleRepository.createArticle(articleData);
+        });
+    }
+
+    /**
+     * Retrieves a page of articles.
+     *
+     * @param {Object} [query] - Raw query parameters (page, limit, sort, from, to,
+     *                           include and the filters in ARTICLE_LIST).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
+     */
+    async findAll(query = {}) {
+        const options = parseListQuery(query, ARTICLE_LIST);
+        const include = parseInclude(query.include, this.relations);
+        const { rows, total } = await this.articleRepository.findAll(options);
+
+        return toPage(await embedRelations(rows, include, this.relations), total, options);
     }
 
     /**
-     * Retrieves all articles.
+     * Full-text search over articles, most relevant first.
+     *
+     * @param {Object} query - Raw query parameters.
+     * @param {string} query.q - Search text.
+     * @param {string} [query.page] - Page number.
+     * @param {string} [query.limit] - Page size.
      *
-     * @returns {Promise<Object[]|null>} Array of articles.
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope; each
+     *          item carries its relevance `score` and a highlighted `snippet`.
+     * @throws {AppError} 400 if `q` is missing or too short.
      */
-    async findAll() {
-        return this.articleRepository.findAll();
+    async search(query = {}) {
+        const { terms, booleanQuery } = parseSearchQuery(query.q);
+        const page = parsePage(query);
+        const { rows, total } = await this.articleRepository.search(booleanQuery, page);
+
+        const results = rows.map((row) => ({
+            ...row,
+            snippet: snippetFromFields(row, SNIPPET_FIELDS, terms),
+        }));
+
+        return toPage(results, total, page);
     }
 
     /**
      * Retrieves a single article by ID.
      *
      * @param {number} id - Article ID.
+     * @param {Object} [query] - Raw query parameters.
+     * @param {string} [query.include] - Related resources to embed (category, status).
      * @returns {Promise<Object|null>} The article or null if not found.
+     * @throws {AppError} 400 if `include` names an unknown relation.
      */
-    async findById(id) {
-        return this.articleRepository.findById(id);
+    async findById(id, query = {}) {
+        const include = parseInclude(query.include, this.relations);
+
+        const article = await this.articleRepository.findById(id);
+        if (!article) return null;
+
+        const [expanded] = await embedRelations([article], include, this.relations);
+        return expanded;
     }
 
     /**
      * Updates an article by ID.
      *
+     * Partial update: fields left `undefined` keep their current value and
+     * `null` clears them. The slug is regenerated only when the title changes.
+     * A new image is deleted again if the update fails.
+     *
      * @param {number} id - The article ID.
      * @param {Object} params - Updated article data.
      * @param {string} [params.title] - Updated title.
-     * @param {string} [params.description] - Updated description.
-     * @param {number} [params.categoryId] - Updated category.
-     * @param {number} [params.statusId] - Updated status.
+     * @param {string|null} [params.description] - Updated description.
+     * @param {number|null} [params.categoryId] - Updated category.
+     * @param {number|null} [params.statusId] - Updated status.
+     * @param {null} [params.primaryImg] - Pass `null` to remove the current image.
      * @param {Object|null} [params.primaryImgFile] - Updated image file.
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match; the
+     *                                                update is unconditional if omitted.
+     * @param {number|null} [options.userId] - User making the change (stored in the revision).
      *
-     * @returns {Promise<Object>} The updated article.
-     * @throws {Error} If the article does not exist.
+     * @returns {Promise<{ article: Object, changes: Object|null }>} The updated
+     *          article and the before/after diff of the changed fields.
+     * @throws {AppError} 404 if the article does not exist, 400 if the title is cleared,
+     *                    412 if it was modified since the client retrieved it.
      */
-    async updateById(id, { title, description, categoryId, statusId, primaryImgFile }) {
+    async updateById(id, { title, description, categoryId, statusId, primaryImg, primaryImgFile }, { expectedVersions, userId = null } = {}) {
         const existing = await this.articleRepository.findById(id);
         if (!existing) {
-            throw new Error("Article not found");
+            throw new AppError(404, "Article not found");
+        }
+
+        // Checked again under a row lock when saving; failing early avoids
+        // uploading an image for an update that cannot succeed
+        assertVersion(existing, expectedVersions, "Article");
+
+        if (title === null || title === "") {
+            throw new AppError(400, "Title cannot be empty");
         }
 
-        const slug = title ? this.generateSlug(title) : existing.slug;
+        const slug = title !== undefined ? this.generateSlug(title) : undefined;
 
-        const primaryImg = primaryImgFile
-            ? await this.uploadImage(primaryImgFile)
-            : existing.primaryImg;
+        return this.withImage(primaryImgFile, (uploaded) => {
+            // A new file replaces the image; an explicit null removes it
+            const image = uploaded ?? (primaryImg === null ? null : undefined);
 
-        return this.articleRepository.updateById(id, {
-            title: title || existing.title,
-            description: description || existing.description,
-            categoryId: categoryId || existing.categoryId,
-            primaryImg,
-            statusId: statusId || existing.statusId,
-            slug,
+            return this.saveWithRevision(id, {
+                title,
+                description,
+                categoryId,
+                primaryImg: image && image.url,
+                primaryImgAsset: image && image.asset,
+                statusId,
+                slug,
+            }, { expectedVersions, userId });
         });
     }
 
     /**
-     * Deletes an article by ID.
+     * Applies an update and stores the replaced version as a revision, in
+     * one transaction. The row is locked first, so the revision is exactly
+     * the version being overwritten even under concurrent edits.
+     *
+     * No revision is stored when none of the REVISION_FIELDS changes. A
+     * replaced image is released once committed; it is only deleted if no
+     * revision still references it.
+     *
+     * @param {number} id - Article ID.
+     * @param {Object} fields - Column values for ArticleRepository.updateById.
+     * @param {Object} options
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match.
+     * @param {number|null} options.userId - User making the change.
+     *
+     * @returns {Promise<{ article: Object, changes: Object|null }>} The updated
+     *          article and the before/after diff of the changed fields.
+     * @throws {AppError} 404 if the article does not exist, 412 on a version mismatch.
+     */
+    async saveWithRevision(id, fields, { expectedVersions, userId }) {
+        const { article, previous } = await withTransaction(async (conn) => {
+            const current = await this.articleRepository.lockById(id, conn);
+            if (!current) {
+                throw new AppError(404, "Article not found");
+            }
+
+            assertVersion(current, expectedVersions, "Article");
+
+            const article = await this.articleRepository.updateById(id, fields, undefined, conn);
+
+            if (diffRecords(current, article, REVISION_FIELDS)) {
+                await this.articleRevisionRepository.create(current, userId, conn);
+            }
+
+            return { article, previous: current };
+        });
+
+        if (article.primaryImg !== previous.primaryImg) {
+            this.mediaService.release(previous.primaryImgAsset);
+        }
+
+        return { article, changes: diffRecords(previous, article, AUDITED_FIELDS) };
+    }
+
+    /**
+     * Retrieves a page of an article's revisions, newest first.
+     *
+     * @param {number} id - Article ID.
+     * @param {Object} [query] - Raw query parameters (page, limit).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 404 if the article does not exist, 400 if page or limit is invalid.
+     */
+    async findRevisions(id, query = {}) {
+        const page = parsePage(query);
+
+        const article = await this.articleRepository.findById(id);
+        if (!article) {
+            throw new AppError(404, "Article not found");
+        }
+
+        const { rows, total } = await this.articleRevisionRepository.findByArticleId(id, page);
+        return toPage(rows, total, page);
+    }
+
+    /**
+     * Compares two versions of an article.
+     *
+     * @param {number} id - Article ID.
+     * @param {Object} query - Raw query parameters.
+     * @param {string} query.from - Revision ID of the older side.
+     * @param {string} [query.to] - Revision ID of the newer side; the current
+     *                              article when omitted.
+     *
+     * @returns {Promise<{ from: number, to: number|"current", changes: Object|null }>}
+     *          The compared versions and the field-level diff from → to
+     *          (null if they are identical).
+     * @throws {AppError} 400 if `from` or `to` is invalid, 404 if the article or a
+     *                    revision does not exist.
+     */
+    async diffRevisions(id, query = {}) {
+        const fromId = parsePositiveInt(query.from, "from");
+        const toId = parsePositiveInt(query.to, "to");
+
+        if (fromId === undefined) {
+            throw new AppError(400, "from is required");
+        }
+
+        const article = await this.articleRepository.findById(id);
+        if (!article) {
+            throw new AppError(404, "Article not found");
+        }
+
+        const from = await this.articleRevisionRepository.findById(id, fromId);
+        const to = toId === undefined
+            ? article
+            : await this.articleRevisionRepository.findById(id, toId);
+
+        if (!from || !to) {
+            throw new AppError(404, "Revision not found");
+        }
+
+        return {
+            from: fromId,
+            to: toId ?? "current",
+            changes: diffRecords(from, to, REVISION_FIELDS),
+        };
+    }
+
+    /**
+     * Rolls an article back to one of its revisions. The current version is
+     * saved as a new revision first, so the rollback can itself be undone.
      *
      * @param {number} id - Article ID.
+     * @param {number} revisionId - Revision to restore.
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match.
+     * @param {number|null} [options.userId] - User performing the rollback.
+     *
+     * @returns {Promise<{ article: Object, changes: Object|null }>} The updated
+     *          article and the before/after diff of the changed fields.
+     * @throws {AppError} 404 if the article or revision does not exist,
+     *                    409 if the revision's category or status has since
+     *                    been deleted, 412 on a version mismatch.
+     */
+    async restoreRevision(id, revisionId, { expectedVersions, userId = null } = {}) {
+        const revision = await this.articleRevisionRepository.findById(id, revisionId);
+        if (!revision) {
+            throw new AppError(404, "Revision not found");
+        }
+
+        // Revisions do not reference categories and statuses by foreign key,
+        // so the ones a revision points to may be gone by now
+        for (const name of ["category", "status"]) {
+            const { key, repository } = this.relations[name];
+            if (revision[key] == null) continue;
+
+            if (!(await repository.findById(revision[key]))) {
+                throw new AppError(
+                    409,
+                    `Cannot restore revision: its ${name} (${key} ${revision[key]}) no longer exists`
+                );
+            }
+        }
+
+        return this.saveWithRevision(id, {
+            title: revision.title,
+            description: revision.description,
+            categoryId: revision.categoryId,
+            primaryImg: revision.primaryImg,
+            primaryImgAsset: revision.primaryImgAsset,
+            statusId: revision.statusId,
+            slug: this.generateSlug(revision.title),
+        }, { expectedVersions, userId });
+    }
+
+    /**
+     * Moves an article to the trash (soft delete).
+     *
+     * @param {number} id - Article ID.
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match.
      * @returns {Promise<boolean>} True if deletion succeeded.
+     * @throws {AppError} 404 if the article does not exist, 412 if it was
+     *                    modified since the client retrieved it (If-Match only).
+     */
+    async deleteById(id, { expectedVersions } = {}) {
+        if (!expectedVersions) {
+            const deleted = await this.articleRepository.deleteById(id);
+            if (!deleted) {
+                throw new AppError(404, "Article not found");
+            }
+
+            return deleted;
+        }
+
+        const existing = await this.articleRepository.findById(id);
+        if (!existing) {
+            throw new AppError(404, "Article not found");
+        }
+
+        assertVersion(existing, expectedVersions, "Article");
+
+        const deleted = await this.articleRepository.deleteById(id, expectedVersions);
+        if (!deleted) {
+            throw preconditionFailed("Article");
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Retrieves a page of soft-deleted articles (the trash).
+     *
+     * @param {Object} [query] - Raw query parameters (same as findAll;
+     *                           sorted by most recently deleted by default).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
      */
-    async deleteById(id) {
-        return this.articleRepository.deleteById(id);
+    async findTrash(query = {}) {
+        const options = parseListQuery(query, ARTICLE_TRASH);
+        const { rows, total } = await this.articleRepository.findAll(options, { trashed: true });
+
+        return toPage(rows, total, options);
+    }
+
+    /**
+     * Restores an article from the trash.
+     *
+     * @param {number} id - Article ID.
+     * @returns {Promise<Object>} The restored article.
+     * @throws {AppError} 404 if the article is not in the trash.
+     */
+    async restoreById(id) {
+        const restored = await this.articleRepository.restoreById(id);
+        if (!restored) {
+            throw new AppError(404, "Article not found in trash");
+        }
+
+        return this.articleRepository.findById(id);
+    }
+
+    /**
+     * Permanently deletes an article. It must be in the trash first.
+     *
+     * The images of the article and of its revisions (removed with it) are
+     * then deleted from the file storage in the background.
+     *
+     * @param {number} id - Article ID.
+     * @throws {AppError} 404 if the article is not in the trash.
+     */
+    async purgeById(id) {
+        const article = await this.articleRepository.findDeletedById(id);
+        if (!article) {
+            throw new AppError(404, "Article not found in trash");
+        }
+
+        const revisionAssets = await this.articleRevisionRepository.findAssetsByArticleId(id);
+
+        const purged = await this.articleRepository.purgeById(id);
+        if (!purged) {
+            throw new AppError(404, "Article not found in trash");
+        }
+
+        this.mediaService.release(article.primaryImgAsset, ...revisionAssets);
     }
 }
 
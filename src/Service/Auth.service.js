@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const bcryptjs = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+
+const authConfig = require("../Config/auth");
+const AppError = require("../Utils/AppError");
+const { serializeUser } = require("../Serializer/User.serializer");
+
+/**
+ * Checks that a body field is a non-empty string (a JSON body may carry
+ * numbers, arrays or objects instead).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isNonEmptyString = (value) => typeof value === "string" && value !== "";
+
+/**
+ * Service layer responsible for authentication and session management.
+ *
+ * This includes:
+ * - Verifying user credentials against the stored bcrypt hash
+ * - Issuing short-lived JWT access tokens
+ * - Issuing and rotating opaque refresh tokens
+ * - Revoking sessions on logout
+ *
+ * When a refresh token that was already rotated is presented again, it is
+ * treated as stolen and every session of its owner is revoked.
+ */
+class AuthService {
+
+    /**
+     * @param {Object} userRepository - Instance of UserRepository.
+     * @param {Object} refreshTokenRepository - Instance of RefreshTokenRepository.
+     */
+    constructor(userRepository, refreshTokenRepository) {
+        this.userRepository = userRepository;
+        this.refreshTokenRepository = refreshTokenRepository;
+    }
+
+    /**
+     * Hashes a raw refresh token before it is stored or looked up.
+     *
+     * @param {string} token - Raw refresh token.
+     * @returns {string} Hex-encoded SHA-256 hash.
+     */
+    hashToken(token) {
+        return crypto.createHash("sha256").update(token).digest("hex");
+    }
+
+    /**
+     * Signs a new access token for a user.
+     *
+     * @param {Object} user - User record.
+     * @returns {string} Signed JWT.
+     */
+    signAccessToken(user) {
+        if (!authConfig.accessTokenSecret) {
+            throw new Error("JWT_ACCESS_SECRET is not configured");
+        }
+
+        return jwt.sign(
+            { sub: String(user.id), rolId: user.rolId },
+            authConfig.accessTokenSecret,
+            { expiresIn: authConfig.accessTokenExpiresIn }
+        );
+    }
+
+    /**
+     * Creates and stores a new refresh token for a user.
+     *
+     * @param {number} userId - Owner of the token.
+     * @returns {Promise<{ token: string, tokenHash: string }>} Raw token and its hash.
+     */
+    async issueRefreshToken(userId) {
+        const token = crypto.randomBytes(48).toString("hex");
+        const tokenHash = this.hashToken(token);
+
+        const expiresAt = new Date(
+            Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+        );
+
+        await this.refreshTokenRepository.createToken({ userId, tokenHash, expiresAt });
+
+        return { token, tokenHash };
+    }
+
+    /**
+     * Builds the session payload returned to the client.
+     *
+     * @param {Object} user - User record.
+     * @param {string} refreshToken - Raw refresh token.
+     * @returns {Object} Token pair, metadata and the public user.
+     */
+    buildSession(user, refreshToken) {
+        return {
+            tokenType: "Bearer",
+            accessToken: this.signAccessToken(user),
+            expiresIn: authConfig.accessTokenExpiresIn,
+            refreshToken,
+            user: serializeUser(user),
+        };
+    }
+
+    /**
+     * Authenticates a user with email and password.
+     *
+     * @param {Object} params - Credentials.
+     * @param {string} params.email - User email.
+     * @param {string} params.password - Plain-text password.
+     *
+     * @returns {Promise<Object>} A new session (access + refresh token).
+     * @throws {AppError} 400 if credentials are missing or not strings, 401 if they are wrong.
+     */
+    async login({ email, password }) {
+        if (!isNonEmptyString(email) || !isNonEmptyString(password)) {
+            throw new AppError(400, "Email and password are required");
+        }
+
+        const user = await this.userRepository.findByEmail(email);
+
+        // Same message for unknown email and wrong password to avoid user enumeration
+        const valid = user && await bcryptjs.compare(password, user.password);
+        if (!valid) {
+            throw new AppError(401, "Invalid email or password");
+        }
+
+        const { token } = await this.issueRefreshToken(user.id);
+
+        return this.buildSession(user, token);
+    }
+
+    /**
+     * Exchanges a valid refresh token for a new session.
+     * The presented token is revoked and replaced (rotation).
+     *
+     * @param {string} refreshToken - Raw refresh token.
+     *
+     * @returns {Promise<Object>} A new session (access + refresh token).
+     * @throws {AppError} 400 if missing or not a string, 401 if invalid, expired or reused.
+     */
+    async refresh(refreshToken) {
+        if (!isNonEmptyString(refreshToken)) {
+            throw new AppError(400, "Refresh token is required");
+        }
+
+        const stored = await this.refreshTokenRepository.findByHash(this.hashToken(refreshToken));
+        if (!stored) {
+            throw new AppError(401, "Invalid refresh token");
+        }
+
+        if (stored.revokedAt) {
+            // A rotated token is being replayed: end every session of this user
+            await this.refreshTokenRepository.revokeAllForUser(stored.userId);
+            throw new AppError(401, "Refresh token has been revoked");
+        }
+
+        if (new Date(stored.expiresAt) <= new Date()) {
+            throw new AppError(401, "Refresh token has expired");
+        }
+
+        const user = await this.userRepository.findById(stored.userId);
+        if (!user) {
+            throw new AppError(401, "Invalid refresh token");
+        }
+
+        const { token, tokenHash } = await this.issueRefreshToken(user.id);
+
+        // If another request rotated this token first, treat it as a replay
+        const revoked = await this.refreshTokenRepository.revokeById(stored.id, tokenHash);
+        if (!revoked) {
+            await this.refreshTokenRepository.revokeAllForUser(stored.userId);
+            throw new AppError(401, "Refresh token has been revoked");
+        }
+
+        return this.buildSession(user, token);
+    }
+
+    /**
+     * Revokes a refresh token, ending the session it belongs to.
+     * Unknown or already revoked tokens are ignored.
+     *
+     * @param {string} refreshToken - Raw refresh token.
+     *
+     * @returns {Promise<void>}
+     * @throws {AppError} 400 if the token is missing or not a string.
+     */
+    async logout(refreshToken) {
+        if (!isNonEmptyString(refreshToken)) {
+            throw new AppError(400, "Refresh token is required");
+        }
+
+        const stored = await this.refreshTokenRepository.findByHash(this.hashToken(refreshToken));
+        if (stored) {
+            await this.refreshTokenRepository.revokeById(stored.id);
+        }
+    }
+}
+
+module.exports = AuthService;
@@ -1,18 +1,42 @@
-const cloudinary = require("../Config/cloudinary");
+const AppError = require("../Utils/AppError");
+const { withTransaction } = require("../DB/transaction");
+const { parsePage, parseListQuery, toPage } = require("../Utils/pagination");
+const { assertVersion, preconditionFailed } = require("../Utils/etag");
+const { parseSearchQuery, snippetFromFields } = require("../Utils/search");
+
+/**
+ * Sort fields and filters accepted by GET /authors.
+ */
+const AUTHOR_LIST = {
+    sortable: ["id", "name", "birthDate", "createdAt", "updatedAt"],
+    filters: { nationality: "string", userId: "id" },
+};
+
+/**
+ * Fields used for search snippets, by preference.
+ */
+const SNIPPET_FIELDS = ["description", "name", "nationality"];
 
 /**
  * Service layer responsible for managing business logic related to Authors.
  *
  * This includes:
  * - Generating slugs
- * - Uploading primary images and gallery images to Cloudinary
- * - Combining Author and AuthorImages repository logic
+ * - Uploading primary images and gallery images to the file storage, and
+ *   deleting a primary image once replaced
+ * - Combining Author and AuthorImages repository logic (in one transaction)
  * - Preparing fully enriched author objects before returning to controllers
  */
 class AuthorService {
-    constructor(authorRepository, authorImagesRepository) {
+    /**
+     * @param {Object} authorRepository - Instance of AuthorRepository
+     * @param {Object} authorImagesRepository - Instance of AuthorImagesRepository
+     * @param {Object} mediaService - Instance of MediaService
+     */
+    constructor(authorRepository, authorImagesRepository, mediaService) {
         this.authorRepository = authorRepository;
         this.authorImagesRepository = authorImagesRepository;
+        this.mediaService = mediaService;
     }
 
     /**
@@ -30,25 +54,31 @@ class AuthorService {
     }
 
     /**
-     * Uploads a single image to Cloudinary.
+     * Uploads images to the file storage concurrently, then runs `work`
+     * with them. The images are deleted again if `work` fails.
      *
-     * @param {Object|null} file - Image file object provided by Multer.
-     * @returns {Promise<string|null>} Uploaded image URL or null if no file provided.
+     * @template T
+     * @param {Array<Object|null>} files - Image file objects provided by Multer.
+     * @param {(images: Array<{ url: string, asset: Object }|null>) => Promise<T>} work -
+     *        Receives one upload per file, in order (null where no file was provided).
+     * @returns {Promise<T>} The result of `work`.
      */
-    async uploadImage(file) {
-        if (!file) return null;
-
-        const uploaded = await cloudinary.uploader.upload(file.path, {
-            resource_type: "image",
-        });
-
-        return uploaded.secure_url;
+    async withImages(files, work) {
+        return this.mediaService.withUploads(
+            files.map((file) => ({ file, type: "image" })),
+            work
+        );
     }
 
     /**
      * Creates a new author, uploads their primary image,
      * and uploads all gallery images (if provided).
      *
+     * Every image is uploaded first (concurrently); the author and its
+     * gallery rows are then written in a single transaction, so a failure
+     * never leaves an author with a partial gallery. The uploaded images are
+     * deleted again if that transaction fails.
+     *
      * @param {Object} params - Author data.
      * @param {string} params.name - Name of the author.
      * @param {string} params.birthDate - Date of birth.
@@ -59,37 +89,108 @@ class AuthorService {
      * @param {number} params.userId - ID of the user who created the author.
      *
      * @returns {Promise<Object>} Author record combined with gallery images.
+     * @throws {AppError} 400 if the name is missing.
      */
     async createAuthor({ name, birthDate, nationality, description, primaryImgFile, galleryFiles, userId }) {
 
+        if (!name || typeof name !== "string") {
+            throw new AppError(400, "Name is required", { field: "name" });
+        }
+
         const slug = this.generateSlug(name);
 
-        // Upload primary image
-        const primaryImg = await this.uploadImage(primaryImgFile);
-
-        // Create author entry
-        const author = await this.authorRepository.createAuthor({
-            name,
-            birthDate,
-            nationality,
-            description,
-            primaryImg,
-            userId,
-            slug,
-        });
+        // Upload primary image and gallery (if any) before touching the database
+        const files = [primaryImgFile, ...(galleryFiles ?? [])];
 
-        // Upload gallery images (if any)
-        if (galleryFiles && galleryFiles.length > 0) {
-            for (const file of galleryFiles) {
-                const url = await this.uploadImage(file);
-                await this.authorImagesRepository.addImage(author.id, url);
+        return this.withImages(files, ([primaryImg, ...gallery]) => withTransaction(async (conn) => {
+            // Create author entry
+            const author = await this.authorRepository.createAuthor({
+                name,
+                birthDate,
+                nationality,
+                description,
+                primaryImg: primaryImg?.url ?? null,
+                primaryImgAsset: primaryImg?.asset ?? null,
+                userId,
+                slug,
+            }, conn);
+
+            for (const image of gallery) {
+                await this.authorImagesRepository.addImage(author.id, image, conn);
             }
+
+            // Retrieve full gallery
+            const images = await this.authorImagesRepository.findByAuthorId(author.id, conn);
+
+            return { ...author, gallery: images };
+        }));
+    }
+
+    /**
+     * Updates an author by ID.
+     *
+     * Partial update: fields left `undefined` keep their current value and
+     * `null` clears them. The slug is regenerated only when the name changes.
+     * The gallery is not modified. A new image is deleted again if the
+     * update fails.
+     *
+     * @param {number} id - Author ID.
+     * @param {Object} params - Updated author data.
+     * @param {string} [params.name] - Updated name.
+     * @param {string|null} [params.birthDate] - Updated birth date.
+     * @param {string|null} [params.nationality] - Updated nationality.
+     * @param {string|null} [params.description] - Updated biography.
+     * @param {null} [params.primaryImg] - Pass `null` to remove the current image.
+     * @param {Object|null} [params.primaryImgFile] - New main image file.
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match; the
+     *                                                update is unconditional if omitted.
+     *
+     * @returns {Promise<Object>} Updated author combined with its gallery.
+     * @throws {AppError} 404 if the author does not exist, 400 if the name is cleared,
+     *                    412 if it was modified since the client retrieved it.
+     */
+    async updateById(id, { name, birthDate, nationality, description, primaryImg, primaryImgFile }, { expectedVersions } = {}) {
+        const existing = await this.authorRepository.findById(id);
+        if (!existing) {
+            throw new AppError(404, "Author not found");
+        }
+
+        assertVersion(existing, expectedVersions, "Author");
+
+        if (name === null || name === "") {
+            throw new AppError(400, "Name cannot be empty");
         }
 
-        // Retrieve full gallery
-        const images = await this.authorImagesRepository.findByAuthorId(author.id);
+        const slug = name !== undefined ? this.generateSlug(name) : undefined;
+
+        const newPrimaryImg = await this.withImages([primaryImgFile], async ([uploaded]) => {
+            // A new file replaces the image; an explicit null removes it
+            const image = uploaded ?? (primaryImg === null ? null : undefined);
 
-        return { ...author, gallery: images };
+            const updated = await this.authorRepository.updateById(id, {
+                name,
+                birthDate,
+                nationality,
+                description,
+                primaryImg: image && image.url,
+                primaryImgAsset: image && image.asset,
+                slug,
+            }, expectedVersions);
+
+            // Another write got in between the check above and the update
+            if (!updated) {
+                throw preconditionFailed("Author");
+            }
+
+            return image;
+        });
+
+        if (newPrimaryImg !== undefined) {
+            this.mediaService.release(existing.primaryImgAsset);
+        }
+
+        return this.findById(id);
     }
 
     /**
@@ -108,20 +209,53 @@ class AuthorService {
     }
 
     /**
-     * Retrieves all authors, each combined with its image gallery.
+     * Retrieves a page of authors, each combined with its image gallery.
+     * The galleries of the whole page are loaded with one query.
      *
-     * @returns {Promise<Object[]>} List of authors with gallery arrays included.
+     * @param {Object} [query] - Raw query parameters (page, limit, sort, from, to
+     *                           and the filters in AUTHOR_LIST).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
      */
-    async findAll() {
-        const authors = await this.authorRepository.findAll();
+    async findAll(query = {}) {
+        const options = parseListQuery(query, AUTHOR_LIST);
+        const { rows, total } = await this.authorRepository.findAll(options);
 
-        const result = [];
-        for (const author of authors) {
-            const gallery = await this.authorImagesRepository.findByAuthorId(author.id);
-            result.push({ ...author, gallery });
-        }
+        const galleries = await this.authorImagesRepository.findByAuthorIds(
+            rows.map((author) => author.id)
+        );
+
+        const result = rows.map((author) => ({
+            ...author,
+            gallery: galleries.get(author.id) ?? [],
+        }));
+
+        return toPage(result, total, options);
+    }
+
+    /**
+     * Full-text search over authors, most relevant first.
+     *
+     * @param {Object} query - Raw query parameters.
+     * @param {string} query.q - Search text.
+     * @param {string} [query.page] - Page number.
+     * @param {string} [query.limit] - Page size.
+     *
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope; each
+     *          item carries its relevance `score` and a highlighted `snippet`.
+     * @throws {AppError} 400 if `q` is missing or too short.
+     */
+    async search(query = {}) {
+        const { terms, booleanQuery } = parseSearchQuery(query.q);
+        const page = parsePage(query);
+        const { rows, total } = await this.authorRepository.search(booleanQuery, page);
+
+        const results = rows.map((row) => ({
+            ...row,
+            snippet: snippetFromFields(row, SNIPPET_FIELDS, terms),
+        }));
 
-        return result;
+        return toPage(results, total, page);
     }
 }
 
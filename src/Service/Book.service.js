@@ -1,20 +1,65 @@
-const cloudinary = require("../Config/cloudinary");
+const AppError = require("../Utils/AppError");
+const { diffRecords } = require("../Utils/diff");
+const { parsePage, parseListQuery, toPage } = require("../Utils/pagination");
+const { parseInclude, embedRelations } = require("../Utils/include");
+const { assertVersion, preconditionFailed } = require("../Utils/etag");
+const { withTransaction } = require("../DB/transaction");
+const { parseSearchQuery, snippetFromFields } = require("../Utils/search");
+
+/**
+ * Book fields tracked in audit log diffs.
+ */
+const AUDITED_FIELDS = ["title", "img", "file", "authorId", "slug"];
+
+/**
+ * Sort fields and filters accepted by GET /books.
+ */
+const BOOK_LIST = {
+    sortable: ["id", "title", "createdAt", "updatedAt"],
+    filters: { authorId: "id", userId: "id" },
+};
+
+/**
+ * Sort fields and filters accepted by GET /books/trash.
+ */
+const BOOK_TRASH = {
+    ...BOOK_LIST,
+    sortable: [...BOOK_LIST.sortable, "deletedAt"],
+    defaultSort: "-deletedAt",
+};
+
+/**
+ * Fields used for search snippets, by preference.
+ */
+const SNIPPET_FIELDS = ["title"];
 
 /**
  * Service layer responsible for business logic related to Books.
  *
  * This includes:
  * - Generating slugs
- * - Uploading cover images and document files to Cloudinary
+ * - Uploading cover images and document files to the file storage, and
+ *   deleting them once replaced or purged
  * - Preparing book data before storing it in the database
- * - Handling updates with fallback to existing fields
+ * - Handling partial updates (only the fields sent are changed)
  *
- * The service keeps Cloudinary/API logic out of the repository to maintain
+ * The service keeps storage/API logic out of the repository to maintain
  * clean separation of concerns.
  */
 class BookService {
-    constructor(bookRepository) {
+    /**
+     * @param {Object} bookRepository - Instance of BookRepository
+     * @param {Object} mediaService - Instance of MediaService
+     * @param {Object} [related] - Repositories used to expand `?include=`
+     * @param {Object} [related.authorRepository]
+     */
+    constructor(bookRepository, mediaService, { authorRepository } = {}) {
         this.bookRepository = bookRepository;
+        this.mediaService = mediaService;
+
+        this.relations = {
+            author: { key: "authorId", repository: authorRepository },
+        };
     }
 
     /**
@@ -32,41 +77,29 @@ class BookService {
     }
 
     /**
-     * Uploads a cover image to Cloudinary.
-     *
-     * @param {Object|null} file - Multer file object.
-     * @returns {Promise<string|null>} Image URL or null if no file.
-     */
-    async uploadImage(file) {
-        if (!file) return null;
-
-        const uploaded = await cloudinary.uploader.upload(file.path, {
-            resource_type: "image",
-        });
-
-        return uploaded.secure_url;
-    }
-
-    /**
-     * Uploads a book file (PDF, Word, etc.) to Cloudinary.
+     * Uploads a cover image and a book file concurrently, then runs `work`
+     * with them. The uploads are deleted again if `work` fails.
      *
-     * Cloudinary "raw" mode stores files without trying to treat them as media.
+     * The book file is stored as "raw" so it is kept as-is, without media
+     * processing.
      *
-     * @param {Object|null} file - Multer file object.
-     * @returns {Promise<string|null>} File URL or null if no file.
+     * @template T
+     * @param {Object|null} imgFile - Cover image (Multer file).
+     * @param {Object|null} fileFile - Book file (PDF, EPUB, DOCX).
+     * @param {(img: Object|null, file: Object|null) => Promise<T>} work - Receives
+     *        each upload (`{ url, asset }`, or null if no file).
+     * @returns {Promise<T>} The result of `work`.
      */
-    async uploadFile(file) {
-        if (!file) return null;
-
-        const uploaded = await cloudinary.uploader.upload(file.path, {
-            resource_type: "raw",
-        });
-
-        return uploaded.secure_url;
+    async withUploads(imgFile, fileFile, work) {
+        return this.mediaService.withUploads(
+            [{ file: imgFile, type: "image" }, { file: fileFile, type: "raw" }],
+            ([img, file]) => work(img, file)
+        );
     }
 
     /**
-     * Creates a new book record.
+     * Creates a new book record. The uploaded files are deleted again if
+     * the book cannot be saved.
      *
      * @param {Object} params - Book data.
      * @param {string} params.title - Book title.
@@ -76,83 +109,252 @@ class BookService {
      * @param {number} params.userId - ID of the user creating the book.
      *
      * @returns {Promise<Object>} The created book record.
+     * @throws {AppError} 400 if the title is missing.
      */
     async createBook({ title, imgFile, fileFile, authorId, userId }) {
+        if (!title || typeof title !== "string") {
+            throw new AppError(400, "Title is required", { field: "title" });
+        }
+
         const slug = this.generateSlug(title);
 
-        const img = await this.uploadImage(imgFile);
-        const file = await this.uploadFile(fileFile);
-
-        return this.bookRepository.createBook({
-            title,
-            img,
-            file,
-            authorId,
-            userId,
-            slug,
-        });
+        return this.withUploads(imgFile, fileFile, (img, file) =>
+            this.bookRepository.createBook({
+                title,
+                img: img?.url ?? null,
+                imgAsset: img?.asset ?? null,
+                file: file?.url ?? null,
+                fileAsset: file?.asset ?? null,
+                authorId,
+                userId,
+                slug,
+            })
+        );
     }
 
     /**
-     * Retrieves all books.
+     * Retrieves a page of books.
      *
-     * @returns {Promise<Object[]|null>} List of books.
+     * @param {Object} [query] - Raw query parameters (page, limit, sort, from, to,
+     *                           include and the filters in BOOK_LIST).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
      */
-    async findAll() {
-        return this.bookRepository.findAll();
+    async findAll(query = {}) {
+        const options = parseListQuery(query, BOOK_LIST);
+        const include = parseInclude(query.include, this.relations);
+        const { rows, total } = await this.bookRepository.findAll(options);
+
+        return toPage(await embedRelations(rows, include, this.relations), total, options);
+    }
+
+    /**
+     * Full-text search over books, most relevant first.
+     *
+     * @param {Object} query - Raw query parameters.
+     * @param {string} query.q - Search text.
+     * @param {string} [query.page] - Page number.
+     * @param {string} [query.limit] - Page size.
+     *
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope; each
+     *          item carries its relevance `score` and a highlighted `snippet`.
+     * @throws {AppError} 400 if `q` is missing or too short.
+     */
+    async search(query = {}) {
+        const { terms, booleanQuery } = parseSearchQuery(query.q);
+        const page = parsePage(query);
+        const { rows, total } = await this.bookRepository.search(booleanQuery, page);
+
+        const results = rows.map((row) => ({
+            ...row,
+            snippet: snippetFromFields(row, SNIPPET_FIELDS, terms),
+        }));
+
+        return toPage(results, total, page);
     }
 
     /**
      * Retrieves a single book by ID.
      *
      * @param {number} id - Book ID.
+     * @param {Object} [query] - Raw query parameters.
+     * @param {string} [query.include] - Related resources to embed (author).
      * @returns {Promise<Object|null>} The book or null if not found.
+     * @throws {AppError} 400 if `include` names an unknown relation.
      */
-    async findById(id) {
-        return this.bookRepository.findById(id);
+    async findById(id, query = {}) {
+        const include = parseInclude(query.include, this.relations);
+
+        const book = await this.bookRepository.findById(id);
+        if (!book) return null;
+
+        const [expanded] = await embedRelations([book], include, this.relations);
+        return expanded;
     }
 
     /**
      * Updates an existing book's metadata and optional files.
      *
+     * Partial update: fields left `undefined` keep their current value and
+     * `null` clears them. The slug is regenerated only when the title changes.
+     * Replaced or removed files are deleted from the storage in the background;
+     * new uploads are deleted again if the update fails.
+     *
+     * The row is locked while it is updated, so the returned diff compares
+     * against exactly the version that was overwritten.
+     *
      * @param {number} id - Book ID.
      * @param {Object} params - Updated fields.
      * @param {string} [params.title] - New title.
+     * @param {number|null} [params.authorId] - Updated author ID.
+     * @param {null} [params.img] - Pass `null` to remove the current cover.
      * @param {Object|null} [params.imgFile] - Updated cover image.
      * @param {Object|null} [params.fileFile] - Updated book file.
-     * @param {number} [params.authorId] - Updated author ID.
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match; the
+     *                                                update is unconditional if omitted.
      *
-     * @returns {Promise<Object>} The updated book record.
-     * @throws {Error} If the book does not exist.
+     * @returns {Promise<{ book: Object, changes: Object|null }>} The updated
+     *          book and the before/after diff of the changed fields.
+     * @throws {AppError} 404 if the book does not exist, 400 if the title is cleared,
+     *                    412 if it was modified since the client retrieved it.
      */
-    async updateById(id, { title, imgFile, fileFile, authorId }) {
+    async updateById(id, { title, authorId, img, imgFile, fileFile }, { expectedVersions } = {}) {
         const existing = await this.bookRepository.findById(id);
         if (!existing) {
-            throw new Error("Book not found");
+            throw new AppError(404, "Book not found");
         }
 
-        const slug = title ? this.generateSlug(title) : existing.slug;
+        // Checked again under a row lock when saving; failing early avoids
+        // uploading files for an update that cannot succeed
+        assertVersion(existing, expectedVersions, "Book");
+
+        if (title === null || title === "") {
+            throw new AppError(400, "Title cannot be empty");
+        }
 
-        const img = imgFile ? await this.uploadImage(imgFile) : existing.img;
-        const file = fileFile ? await this.uploadFile(fileFile) : existing.file;
+        const slug = title !== undefined ? this.generateSlug(title) : undefined;
 
-        return this.bookRepository.updateById(id, {
-            title: title || existing.title,
-            img,
-            file,
-            authorId: authorId || existing.authorId,
-            slug,
-        });
+        const { book, previous } = await this.withUploads(imgFile, fileFile, (uploadedImg, uploadedFile) =>
+            withTransaction(async (conn) => {
+                // Checked again under the lock: another write may have got in since
+                const current = await this.bookRepository.lockById(id, conn);
+                if (!current) {
+                    throw new AppError(404, "Book not found");
+                }
+
+                assertVersion(current, expectedVersions, "Book");
+
+                // A new cover replaces the image; an explicit null removes it
+                const newImg = uploadedImg ?? (img === null ? null : undefined);
+
+                const book = await this.bookRepository.updateById(id, {
+                    title,
+                    img: newImg && newImg.url,
+                    imgAsset: newImg && newImg.asset,
+                    file: uploadedFile?.url,
+                    fileAsset: uploadedFile?.asset,
+                    authorId,
+                    slug,
+                }, undefined, conn);
+
+                return { book, previous: current };
+            })
+        );
+
+        this.mediaService.release(
+            imgFile || img === null ? previous.imgAsset : null,
+            fileFile ? previous.fileAsset : null
+        );
+
+        return { book, changes: diffRecords(previous, book, AUDITED_FIELDS) };
     }
 
     /**
-     * Deletes a book by its ID.
+     * Moves a book to the trash (soft delete).
      *
      * @param {number} id - Book ID.
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match.
      * @returns {Promise<boolean>} True if deletion succeeded.
+     * @throws {AppError} 404 if the book does not exist, 412 if it was
+     *                    modified since the client retrieved it (If-Match only).
+     */
+    async deleteById(id, { expectedVersions } = {}) {
+        if (!expectedVersions) {
+            const deleted = await this.bookRepository.deleteById(id);
+            if (!deleted) {
+                throw new AppError(404, "Book not found");
+            }
+
+            return deleted;
+        }
+
+        const existing = await this.bookRepository.findById(id);
+        if (!existing) {
+            throw new AppError(404, "Book not found");
+        }
+
+        assertVersion(existing, expectedVersions, "Book");
+
+        const deleted = await this.bookRepository.deleteById(id, expectedVersions);
+        if (!deleted) {
+            throw preconditionFailed("Book");
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Retrieves a page of soft-deleted books (the trash).
+     *
+     * @param {Object} [query] - Raw query parameters (same as findAll;
+     *                           sorted by most recently deleted by default).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
      */
-    async deleteById(id) {
-        return this.bookRepository.deleteById(id);
+    async findTrash(query = {}) {
+        const options = parseListQuery(query, BOOK_TRASH);
+        const { rows, total } = await this.bookRepository.findAll(options, { trashed: true });
+
+        return toPage(rows, total, options);
+    }
+
+    /**
+     * Restores a book from the trash.
+     *
+     * @param {number} id - Book ID.
+     * @returns {Promise<Object>} The restored book.
+     * @throws {AppError} 404 if the book is not in the trash.
+     */
+    async restoreById(id) {
+        const restored = await this.bookRepository.restoreById(id);
+        if (!restored) {
+            throw new AppError(404, "Book not found in trash");
+        }
+
+        return this.bookRepository.findById(id);
+    }
+
+    /**
+     * Permanently deletes a book. It must be in the trash first; its cover
+     * and file are then deleted from the storage in the background.
+     *
+     * @param {number} id - Book ID.
+     * @throws {AppError} 404 if the book is not in the trash.
+     */
+    async purgeById(id) {
+        const book = await this.bookRepository.findDeletedById(id);
+        if (!book) {
+            throw new AppError(404, "Book not found in trash");
+        }
+
+        const purged = await this.bookRepository.purgeById(id);
+        if (!purged) {
+            throw new AppError(404, "Book not found in trash");
+        }
+
+        this.mediaService.release(book.imgAsset, book.fileAsset);
     }
 }
 
@@ -1,3 +1,15 @@
+const AppError = require("../Utils/AppError");
+const { deleteReferenced } = require("../Utils/references");
+const { parseListQuery, toPage } = require("../Utils/pagination");
+
+/**
+ * Sort fields accepted by GET /categories (filterable by the createdAt range only).
+ */
+const CATEGORY_LIST = {
+    sortable: ["id", "name", "createdAt"],
+    defaultSort: "name",
+};
+
 /**
  * Service layer responsible for business logic related to Categories.
  *
@@ -24,12 +36,18 @@ class CategoryService {
     }
 
     /**
-     * Retrieves all categories.
+     * Retrieves a page of categories.
      *
-     * @returns {Promise<Object[]|null>} Array of categories or null if none exist.
+     * @param {Object} [query] - Raw query parameters (page, limit, sort, from, to
+     *                           and the filters in CATEGORY_LIST).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
      */
-    async findAll() {
-        return this.categoryRepository.findAll();
+    async findAll(query = {}) {
+        const options = parseListQuery(query, CATEGORY_LIST);
+        const { rows, total } = await this.categoryRepository.findAll(options);
+
+        return toPage(rows, total, options);
     }
 
     /**
@@ -47,22 +65,36 @@ class CategoryService {
      *
      * @param {number} categoryId - Category ID.
      * @param {Object} updateData - Fields to update.
-     * @param {string} updateData.categoryName - Updated name.
+     * @param {string} [updateData.categoryName] - Updated name.
      *
      * @returns {Promise<Object>} The updated category.
+     * @throws {AppError} 400 if the name is cleared.
      */
     async updateById(categoryId, updateData) {
+        if (updateData.categoryName === null || updateData.categoryName === "") {
+            throw new AppError(400, "Category name cannot be empty");
+        }
+
         return this.categoryRepository.updateById(categoryId, updateData);
     }
 
     /**
      * Deletes a category by its ID.
      *
+     * A category still referenced by any article is only deleted when a
+     * replacement is given; its dependants are then moved to it first.
+     *
      * @param {number} categoryId - Category ID.
-     * @returns {Promise<boolean>} True if deletion succeeded.
+     * @param {Object} [options]
+     * @param {string} [options.reassignTo] - ID of the category that takes over
+     *                                        its dependants.
+     * @returns {Promise<{ reassigned: Object|null }>} Usage counts moved to the
+     *          replacement, if any.
+     * @throws {AppError} 404 if the category does not exist, 409 if it is in use and
+     *                    no replacement was given, 400 if the replacement is invalid.
      */
-    async deleteById(categoryId) {
-        return this.categoryRepository.deleteById(categoryId);
+    async deleteById(categoryId, { reassignTo } = {}) {
+        return deleteReferenced(this.categoryRepository, categoryId, { resource: "Category", reassignTo });
     }
 }
 
@@ -1,9 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const AppError = require("../Utils/AppError");
+const { parsePositiveInt, parseDate, parseString } = require("../Utils/pagination");
+const { toCsvStream, toNdjsonStream } = require("../Utils/export");
+
+/**
+ * Page size limits for log listings.
+ */
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Columns written by the CSV export, in order.
+ */
+const EXPORT_COLUMNS = [
+    "id", "createdAt", "userId", "action", "method", "resourceType",
+    "resourceId", "ip", "outcome", "statusCode", "changes",
+];
+
+/**
+ * Supported export formats.
+ */
+const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", createFormatter: () => toCsvStream(EXPORT_COLUMNS) },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", createFormatter: toNdjsonStream },
+};
+
 /**
  * Service layer responsible for business logic related to system logs.
  *
  * This service abstracts the repository to:
  * - Ensure a clean separation between controllers and database operations
- * - Allow future expansion (e.g., audit filtering, pagination, log levels)
+ * - Validate and normalize audit filters and pagination parameters
  * - Maintain architectural consistency across the application
  */
 class LogsService {
@@ -14,22 +46,181 @@ class LogsService {
     /**
      * Records a new action performed by a user.
      *
-     * @param {string} action - Description of the action performed.
-     * @param {number} userId - ID of the user who triggered the action.
+     * @param {Object} entry - Log data (see LogsRepository.createLog).
+     * @param {string} entry.action - Description of the action performed.
+     * @param {number|null} entry.userId - ID of the user who triggered the action.
      *
      * @returns {Promise<number>} ID of the newly created log entry.
      */
-    async createLog(action, userId) {
-        return this.logsRepository.createLog({ action, userId });
+    async createLog(entry) {
+        return this.logsRepository.createLog(entry);
+    }
+
+    /**
+     * Validates and normalizes the filters accepted by log listings.
+     *
+     * @param {Object} query - Raw query parameters.
+     * @param {string} [query.userId] - Acting user.
+     * @param {string} [query.action] - Action name.
+     * @param {string} [query.resourceType] - Resource type.
+     * @param {string} [query.resourceId] - Resource ID.
+     * @param {string} [query.from] - Start of the date range (ISO 8601).
+     * @param {string} [query.to] - End of the date range (ISO 8601).
+     *
+     * @returns {Object} Normalized filters for the repository.
+     * @throws {AppError} 400 if a filter is invalid.
+     */
+    parseFilters(query = {}) {
+        return {
+            userId: parsePositiveInt(query.userId, "userId"),
+            action: parseString(query.action, "action"),
+            resourceType: parseString(query.resourceType, "resourceType"),
+            resourceId: parsePositiveInt(query.resourceId, "resourceId"),
+            from: parseDate(query.from, "from"),
+            to: parseDate(query.to, "to"),
+        };
+    }
+
+    /**
+     * Retrieves one page of logs matching the given filters, newest first.
+     *
+     * @param {Object} [query] - Raw query parameters (filters, `limit`, `cursor`).
+     *
+     * @returns {Promise<{ data: Object[], nextCursor: number|null }>} The page of
+     *          logs and the cursor to request the next one (null on the last page).
+     * @throws {AppError} 400 if a parameter is invalid.
+     */
+    async findAll(query = {}) {
+        const filters = this.parseFilters(query);
+        const limit = Math.min(parsePositiveInt(query.limit, "limit") ?? DEFAULT_LIMIT, MAX_LIMIT);
+        const cursor = parsePositiveInt(query.cursor, "cursor");
+
+        // Fetch one extra row to know whether another page exists
+        const rows = await this.logsRepository.findAll(filters, { limit: limit + 1, cursor });
+
+        const data = rows.slice(0, limit);
+        const nextCursor = rows.length > limit ? data[data.length - 1].id : null;
+
+        return { data, nextCursor };
+    }
+
+    /**
+     * Retrieves the audit history of the actions performed by a user.
+     *
+     * @param {number} userId - Acting user.
+     * @param {Object} [query] - Additional filters and pagination parameters.
+     * @returns {Promise<{ data: Object[], nextCursor: number|null }>} A page of logs.
+     */
+    async findByUser(userId, query = {}) {
+        return this.findAll({ ...query, userId });
+    }
+
+    /**
+     * Retrieves the full audit history of a single resource.
+     *
+     * @param {string} resourceType - Resource type (e.g., "article").
+     * @param {number} resourceId - Resource ID.
+     * @param {Object} [query] - Additional filters and pagination parameters.
+     * @returns {Promise<{ data: Object[], nextCursor: number|null }>} A page of logs.
+     */
+    async findByResource(resourceType, resourceId, query = {}) {
+        return this.findAll({ ...query, resourceType, resourceId });
+    }
+
+    /**
+     * Prepares a streaming export of the logs matching the given filters.
+     *
+     * Nothing is read from the database until the returned `rows` stream
+     * is consumed, typically by piping it through `formatter` into the
+     * HTTP response.
+     *
+     * @param {Object} [query] - Raw query parameters (filters and `format`).
+     * @param {string} [query.format="ndjson"] - "csv" or "ndjson".
+     *
+     * @returns {{ rows: import("stream").Readable, formatter: import("stream").Transform,
+     *             contentType: string, filename: string }} Export streams and metadata.
+     * @throws {AppError} 400 if the format or a filter is invalid.
+     */
+    createExport(query = {}) {
+        const format = query.format || "ndjson";
+        const exportFormat = EXPORT_FORMATS[format];
+
+        if (!exportFormat) {
+            throw new AppError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+        }
+
+        const filters = this.parseFilters(query);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+        return {
+            rows: this.logsRepository.streamAll(filters),
+            formatter: exportFormat.createFormatter(),
+            contentType: exportFormat.contentType,
+            filename: `logs-${timestamp}.${format}`,
+        };
+    }
+
+    /**
+     * Archives and deletes the log entries older than a number of days.
+     *
+     * Entries are first streamed, oldest first, into a gzip-compressed
+     * NDJSON file in `archiveDir`. Only once the file has been fully
+     * written are the archived entries deleted from MySQL.
+     *
+     * @param {number} days - Retention period in days.
+     * @param {string} archiveDir - Directory where the archive is written.
+     *
+     * @returns {Promise<{ archived: number, deleted: number, file: string|null }>}
+     *          Summary of the run. `file` is null when there was nothing to prune.
+     */
+    async pruneOlderThan(days, archiveDir) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        await fs.promises.mkdir(archiveDir, { recursive: true });
+
+        const file = path.join(
+            archiveDir,
+            `logs-until-${cutoff.toISOString().replace(/[:.]/g, "-")}.ndjson.gz`
+        );
+
+        let archived = 0;
+        let maxId = 0;
+
+        const track = new Transform({
+            objectMode: true,
+            transform(row, encoding, callback) {
+                archived++;
+                maxId = Math.max(maxId, row.id);
+                callback(null, row);
+            },
+        });
+
+        await pipeline(
+            this.logsRepository.streamAll({ to: cutoff }, { order: "ASC" }),
+            track,
+            toNdjsonStream(),
+            zlib.createGzip(),
+            fs.createWriteStream(file)
+        );
+
+        if (archived === 0) {
+            await fs.promises.unlink(file);
+            return { archived, deleted: 0, file: null };
+        }
+
+        const deleted = await this.logsRepository.deleteUpTo(cutoff, maxId);
+
+        return { archived, deleted, file };
     }
 
     /**
-     * Retrieves all logs ordered by creation date (newest first).
+     * Retrieves a single log entry, including its field-level diff.
      *
-     * @returns {Promise<Object[]>} Array of log records.
+     * @param {number} id - Log ID.
+     * @returns {Promise<Object|null>} The log entry or null if not found.
      */
-    async findAll() {
-        return this.logsRepository.findAll();
+    async findById(id) {
+        return this.logsRepository.findById(id);
     }
 }
 
@@ -0,0 +1,212 @@
+const storageConfig = require("../Config/storage");
+const { settleWithConcurrency } = require("../Utils/concurrency");
+
+/**
+ * Hours a stored file must exist before the reconcile job may delete it.
+ * Uploads happen before their row is written, so a recent file may not be
+ * referenced yet.
+ */
+const DEFAULT_GRACE_HOURS = 24;
+
+/**
+ * Service layer responsible for the lifecycle of stored media files.
+ *
+ * This includes:
+ * - Uploading files and describing them as assets (`{ provider, key, type }`)
+ *   to store next to their URL
+ * - Uploading the files of a request concurrently, and deleting them again
+ *   if the request fails afterwards (compensation)
+ * - Deleting the files of replaced or purged content in the background
+ * - Reconciling the storage with the database (removing orphaned files)
+ *
+ * A file is only deleted once no row references it anymore (see
+ * MediaRepository), so e.g. an image kept by an article revision survives
+ * the article being updated.
+ */
+class MediaService {
+    /**
+     * @param {Object} mediaRepository - Instance of MediaRepository
+     * @param {Object} storage - File storage driver (Storage/index.js)
+     */
+    constructor(mediaRepository, storage) {
+        this.mediaRepository = mediaRepository;
+        this.storage = storage;
+    }
+
+    /**
+     * Uploads a file to the file storage.
+     *
+     * @param {Object|null} file - Multer file object.
+     * @param {string} type - "image", "video", "audio" or "raw".
+     * @returns {Promise<{ url: string, asset: Object }|null>} Public URL and
+     *          asset descriptor, or null if no file.
+     */
+    async upload(file, type) {
+        if (!file) return null;
+
+        const { url, key } = await this.storage.upload(file, { type });
+        return { url, asset: { provider: this.storage.name, key, type } };
+    }
+
+    /**
+     * Uploads several files concurrently, at most STORAGE_UPLOAD_CONCURRENCY
+     * at a time. If one fails, no further upload is started and those that
+     * succeeded are deleted before the error is rethrown.
+     *
+     * @param {Array<{ file: Object|null, type: string }>} files - Files to
+     *        upload; empty entries yield null.
+     * @returns {Promise<Array<{ url: string, asset: Object }|null>>} One result
+     *          per file, in order (see upload()).
+     */
+    async uploadAll(files) {
+        const results = await settleWithConcurrency(
+            files,
+            storageConfig.uploadConcurrency,
+            ({ file, type }) => this.upload(file, type)
+        );
+
+        const uploads = results.map((result) => (result?.status === "fulfilled" ? result.value : null));
+        const failure = results.find((result) => result?.status === "rejected");
+
+        if (failure) {
+            await this.discard(uploads);
+            throw failure.reason;
+        }
+
+        return uploads;
+    }
+
+    /**
+     * Uploads files, then runs the step that stores them (typically the
+     * database write). If that step fails, the uploaded files are deleted
+     * and its error is rethrown, so no file is left without a row.
+     *
+     * @template T
+     * @param {Array<{ file: Object|null, type: string }>} files - Files to upload.
+     * @param {(uploads: Array<{ url: string, asset: Object }|null>) => Promise<T>} work -
+     *        Receives the uploads, in the order of `files`.
+     * @returns {Promise<T>} The result of `work`.
+     */
+    async withUploads(files, work) {
+        const uploads = await this.uploadAll(files);
+
+        try {
+            return await work(uploads);
+        } catch (error) {
+            await this.discard(uploads);
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes freshly uploaded files that never got referenced by a row.
+     * Failures are logged rather than thrown so they do not hide the error
+     * being handled; the reconcile job removes what is left.
+     *
+     * @param {Array<{ asset: Object }|null>} uploads - Results of upload().
+     */
+    async discard(uploads) {
+        const assets = uploads.filter(Boolean).map(({ asset }) => asset);
+
+        const results = await Promise.allSettled(
+            assets.map(({ key, type }) => this.storage.delete(key, { type }))
+        );
+
+        results.forEach((result, index) => {
+            if (result.status === "rejected") {
+                console.error(`Failed to delete uploaded file ${assets[index].key}:`, result.reason);
+            }
+        });
+    }
+
+    /**
+     * Deletes the files of assets that are no longer referenced, without
+     * waiting: the caller's response does not depend on it. Failures are
+     * logged; the reconcile job catches anything left behind.
+     *
+     * @param {...(Object|null|undefined)} assets - Assets of replaced or
+     *        purged content. Empty values are ignored.
+     */
+    release(...assets) {
+        this.destroyUnreferenced(assets).catch((error) => {
+            console.error("Media cleanup failed:", error);
+        });
+    }
+
+    /**
+     * Deletes the files of assets that are no longer referenced.
+     *
+     * Assets stored by another driver than the active one are skipped.
+     *
+     * @param {Array<Object|null|undefined>} assets - Assets to delete.
+     * @returns {Promise<number>} Number of files deleted.
+     */
+    async destroyUnreferenced(assets) {
+        const candidates = new Map();
+        for (const asset of assets) {
+            if (asset?.provider === this.storage.name && asset.key) {
+                candidates.set(asset.key, asset);
+            }
+        }
+
+        if (!candidates.size) return 0;
+
+        const referenced = await this.mediaRepository.findReferencedKeys(
+            this.storage.name,
+            [...candidates.keys()]
+        );
+
+        let deleted = 0;
+        for (const [key, { type }] of candidates) {
+            if (referenced.has(key)) continue;
+
+            await this.storage.delete(key, { type });
+            deleted++;
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Deletes every stored file that no row references, by asset key or URL.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.graceHours=24] - Files younger than this are kept.
+     * @param {boolean} [options.dryRun=true] - Only report the orphaned files;
+     *        pass false to delete them.
+     *
+     * @returns {Promise<{ scanned: number, orphaned: string[], deleted: number }>}
+     *          Files examined, keys of the orphaned ones and how many were deleted.
+     */
+    async reconcile({ graceHours = DEFAULT_GRACE_HOURS, dryRun = true } = {}) {
+        const { keys, urls } = await this.mediaRepository.findAllReferences(this.storage.name);
+        const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+
+        // Collected first: deleting while paging through the listing could skip files
+        const orphans = [];
+        let scanned = 0;
+
+        for await (const file of this.storage.list()) {
+            scanned++;
+
+            if (file.createdAt.getTime() > cutoff) continue;
+            if (keys.has(file.key) || urls.has(file.url)) continue;
+
+            orphans.push(file);
+        }
+
+        if (!dryRun) {
+            for (const { key, type } of orphans) {
+                await this.storage.delete(key, { type });
+            }
+        }
+
+        return {
+            scanned,
+            orphaned: orphans.map(({ key }) => key),
+            deleted: dryRun ? 0 : orphans.length,
+        };
+    }
+}
+
+module.exports = MediaService;
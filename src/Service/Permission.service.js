@@ -0,0 +1,158 @@
+const AppError = require("../Utils/AppError");
+
+/**
+ * Service layer responsible for business logic related to Permissions.
+ *
+ * This includes:
+ * - Managing the catalogue of permissions
+ * - Granting and revoking permissions to roles
+ * - Answering "may this role do X?" for the authorization middleware
+ */
+class PermissionService {
+
+    /**
+     * @param {Object} permissionRepository - Instance of PermissionRepository.
+     * @param {Object} roleRepository - Instance of RoleRepository.
+     */
+    constructor(permissionRepository, roleRepository) {
+        this.permissionRepository = permissionRepository;
+        this.roleRepository = roleRepository;
+    }
+
+    /**
+     * Creates a new permission.
+     *
+     * @param {Object} permissionData - Data required to create a permission.
+     * @param {string} permissionData.name - Permission name ("<resource>:<action>").
+     * @param {string} [permissionData.description] - Optional description.
+     *
+     * @returns {Promise<Object>} The created permission.
+     * @throws {AppError} 400 if the name is missing.
+     */
+    async createPermission({ name, description }) {
+        if (!name) {
+            throw new AppError(400, "Permission name is required");
+        }
+
+        return this.permissionRepository.createPermission({ name, description });
+    }
+
+    /**
+     * Retrieves all permissions.
+     *
+     * @returns {Promise<Object[]>} List of permissions.
+     */
+    async findAll() {
+        return this.permissionRepository.findAll();
+    }
+
+    /**
+     * Retrieves a permission by ID.
+     *
+     * @param {number} permissionId - Permission ID.
+     * @returns {Promise<Object|null>} The permission or null if not found.
+     */
+    async findById(permissionId) {
+        return this.permissionRepository.findById(permissionId);
+    }
+
+    /**
+     * Deletes a permission by ID.
+     *
+     * @param {number} permissionId - Permission ID.
+     * @returns {Promise<boolean>} True if deletion succeeded.
+     * @throws {AppError} 404 if the permission does not exist.
+     */
+    async deleteById(permissionId) {
+        const deleted = await this.permissionRepository.deleteById(permissionId);
+        if (!deleted) {
+            throw new AppError(404, "Permission not found");
+        }
+
+        return true;
+    }
+
+    /**
+     * Ensures a role exists before touching its grants.
+     *
+     * @param {number} roleId - Role ID.
+     * @throws {AppError} 404 if the role does not exist.
+     */
+    async assertRoleExists(roleId) {
+        const role = await this.roleRepository.findById(roleId);
+        if (!role) {
+            throw new AppError(404, "Role not found");
+        }
+    }
+
+    /**
+     * Retrieves the permissions granted to a role.
+     *
+     * @param {number} roleId - Role ID.
+     * @returns {Promise<Object[]>} Permissions held by the role.
+     */
+    async findByRole(roleId) {
+        await this.assertRoleExists(roleId);
+        return this.permissionRepository.findByRoleId(roleId);
+    }
+
+    /**
+     * Grants a permission to a role.
+     *
+     * @param {number} roleId - Role ID.
+     * @param {number} permissionId - Permission ID.
+     *
+     * @returns {Promise<Object[]>} The role's permissions after the grant.
+     * @throws {AppError} 400 if permissionId is missing, 404 if role or permission do not exist.
+     */
+    async grantToRole(roleId, permissionId) {
+        if (!permissionId) {
+            throw new AppError(400, "permissionId is required");
+        }
+
+        await this.assertRoleExists(roleId);
+
+        const permission = await this.permissionRepository.findById(permissionId);
+        if (!permission) {
+            throw new AppError(404, "Permission not found");
+        }
+
+        await this.permissionRepository.grantToRole(roleId, permission.id);
+
+        return this.permissionRepository.findByRoleId(roleId);
+    }
+
+    /**
+     * Revokes a permission from a role.
+     *
+     * @param {number} roleId - Role ID.
+     * @param {number} permissionId - Permission ID.
+     *
+     * @returns {Promise<boolean>} True if the grant was removed.
+     * @throws {AppError} 404 if the role does not hold the permission.
+     */
+    async revokeFromRole(roleId, permissionId) {
+        await this.assertRoleExists(roleId);
+
+        const revoked = await this.permissionRepository.revokeFromRole(roleId, permissionId);
+        if (!revoked) {
+            throw new AppError(404, "Role does not have this permission");
+        }
+
+        return true;
+    }
+
+    /**
+     * Checks whether a role holds a permission.
+     *
+     * @param {number} roleId - Role ID.
+     * @param {string} permissionName - Permission name.
+     * @returns {Promise<boolean>} True if the role holds the permission.
+     */
+    async roleHasPermission(roleId, permissionName) {
+        if (!roleId) return false;
+        return this.permissionRepository.roleHasPermission(roleId, permissionName);
+    }
+}
+
+module.exports = PermissionService;
@@ -1,20 +1,64 @@
-const cloudinary = require("../Config/cloudinary");
+const AppError = require("../Utils/AppError");
+const { parsePage, parseListQuery, toPage } = require("../Utils/pagination");
+const { parseInclude, embedRelations } = require("../Utils/include");
+const { serializePublicStatus } = require("../Serializer/Status.serializer");
+const { assertVersion, preconditionFailed } = require("../Utils/etag");
+const { parseSearchQuery, snippetFromFields } = require("../Utils/search");
+
+/**
+ * Sort fields and filters accepted by GET /podcasts.
+ */
+const PODCAST_LIST = {
+    sortable: ["id", "title", "createdAt", "updatedAt"],
+    filters: { statusId: "id" },
+};
+
+/**
+ * Sort fields and filters accepted by GET /podcasts/trash.
+ */
+const PODCAST_TRASH = {
+    ...PODCAST_LIST,
+    sortable: [...PODCAST_LIST.sortable, "deletedAt"],
+    defaultSort: "-deletedAt",
+};
+
+/**
+ * Fields used for search snippets, by preference.
+ */
+const SNIPPET_FIELDS = ["title"];
+
+/**
+ * Media columns of a podcast (each with its `<column>Asset`).
+ */
+const MEDIA_FIELDS = ["img", "video", "audio"];
 
 /**
  * Service layer responsible for all business logic related to Podcasts.
  *
  * This includes:
  * - Validating required podcast data
- * - Uploading video, audio, and image files to Cloudinary
+ * - Uploading video, audio, and image files to the file storage, and
+ *   deleting them once replaced or purged
  * - Generating slugs
  * - Preparing data before passing it to the Repository layer
  *
- * The service keeps Cloudinary/media processing logic separated from
+ * The service keeps storage/media processing logic separated from
  * the repository, maintaining clean architectural boundaries.
  */
 class PodcastService {
-    constructor(podcastRepository) {
+    /**
+     * @param {Object} podcastRepository - Instance of PodcastRepository
+     * @param {Object} mediaService - Instance of MediaService
+     * @param {Object} [related] - Repositories used to expand `?include=`
+     * @param {Object} [related.statusRepository]
+     */
+    constructor(podcastRepository, mediaService, { statusRepository } = {}) {
         this.podcastRepository = podcastRepository;
+        this.mediaService = mediaService;
+
+        this.relations = {
+            status: { key: "statusId", repository: statusRepository, serialize: serializePublicStatus },
+        };
     }
 
     /**
@@ -28,16 +72,20 @@ class PodcastService {
      * @param {number} params.statusId - Podcast status (published, draft, etc.).
      *
      * @returns {Promise<Object>} The created podcast record.
-     * @throws {Error} If required fields are missing.
+     * @throws {AppError} 400 if the title, the video or the audio is missing.
      */
     async createPodcast({ title, videoFile, audioFile, imgFile, statusId }) {
 
-        if (!title) {
-            throw new Error("Title is required");
+        if (!title || typeof title !== "string") {
+            throw new AppError(400, "Title is required", { field: "title" });
+        }
+
+        if (!videoFile) {
+            throw new AppError(400, "Video file is required", { field: "video" });
         }
 
-        if (!videoFile || !audioFile) {
-            throw new Error("Video and audio files are required");
+        if (!audioFile) {
+            throw new AppError(400, "Audio file is required", { field: "audio" });
         }
 
         // Generate slug
@@ -46,101 +94,260 @@ class PodcastService {
             .replace(/ /g, "-")
             .replace(/[^\w-]+/g, "");
 
-        // ---- Upload Video ----
-        const videoUpload = await cloudinary.uploader.upload(videoFile.path, {
-            resource_type: "video",
-        });
-        const videoUrl = videoUpload.secure_url;
-
-        // ---- Upload Audio ----
-        const audioUpload = await cloudinary.uploader.upload(audioFile.path, {
-            resource_type: "video", // Cloudinary accepts audio as video if needed
-        });
-        const audioUrl = audioUpload.secure_url;
+        // Upload video, audio and the optional image concurrently; they are
+        // deleted again if the podcast cannot be saved
+        const uploads = [
+            { file: videoFile, type: "video" },
+            { file: audioFile, type: "audio" },
+            { file: imgFile, type: "image" },
+        ];
 
-        // ---- Upload Image (optional) ----
-        let imgUrl = null;
+        return this.mediaService.withUploads(uploads, ([video, audio, img]) => {
+            // Build final data object
+            const podcastData = {
+                title,
+                imgUrl: img?.url ?? null,
+                imgAsset: img?.asset ?? null,
+                videoUrl: video.url,
+                videoAsset: video.asset,
+                audioUrl: audio.url,
+                audioAsset: audio.asset,
+                statusId,
+                slug,
+            };
 
-        if (imgFile) {
-            const imgUpload = await cloudinary.uploader.upload(imgFile.path, {
-                resource_type: "image",
-            });
-            imgUrl = imgUpload.secure_url;
-        }
+            return this.podcastRepository.createPodcast(podcastData);
+        });
+    }
 
-        // Build final data object
-        const podcastData = {
-            title,
-            imgUrl,
-            videoUrl,
-            audioUrl,
-            statusId,
-            slug,
-        };
+    /**
+     * Retrieves a page of podcasts.
+     *
+     * @param {Object} [query] - Raw query parameters (page, limit, sort, from, to,
+     *                           include and the filters in PODCAST_LIST).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
+     */
+    async findAll(query = {}) {
+        const options = parseListQuery(query, PODCAST_LIST);
+        const include = parseInclude(query.include, this.relations);
+        const { rows, total } = await this.podcastRepository.findAll(options);
 
-        return this.podcastRepository.createPodcast(podcastData);
+        return toPage(await embedRelations(rows, include, this.relations), total, options);
     }
 
     /**
-     * Retrieves all podcasts.
+     * Full-text search over podcasts, most relevant first.
      *
-     * @returns {Promise<Object[]|null>} Podcast list.
+     * @param {Object} query - Raw query parameters.
+     * @param {string} query.q - Search text.
+     * @param {string} [query.page] - Page number.
+     * @param {string} [query.limit] - Page size.
+     *
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope; each
+     *          item carries its relevance `score` and a highlighted `snippet`.
+     * @throws {AppError} 400 if `q` is missing or too short.
      */
-    async findAll() {
-        return this.podcastRepository.findAll();
+    async search(query = {}) {
+        const { terms, booleanQuery } = parseSearchQuery(query.q);
+        const page = parsePage(query);
+        const { rows, total } = await this.podcastRepository.search(booleanQuery, page);
+
+        const results = rows.map((row) => ({
+            ...row,
+            snippet: snippetFromFields(row, SNIPPET_FIELDS, terms),
+        }));
+
+        return toPage(results, total, page);
     }
 
     /**
      * Retrieves a single podcast by its ID.
      *
      * @param {number} id - Podcast ID.
+     * @param {Object} [query] - Raw query parameters.
+     * @param {string} [query.include] - Related resources to embed (status).
      * @returns {Promise<Object|null>} The podcast or null if not found.
+     * @throws {AppError} 400 if `include` names an unknown relation.
      */
-    async findById(id) {
-        return this.podcastRepository.findById(id);
+    async findById(id, query = {}) {
+        const include = parseInclude(query.include, this.relations);
+
+        const podcast = await this.podcastRepository.findById(id);
+        if (!podcast) return null;
+
+        const [expanded] = await embedRelations([podcast], include, this.relations);
+        return expanded;
     }
 
     /**
      * Updates a podcast record.
      *
-     * NOTE: This update method assumes any media processing
-     * (video/audio/image) is handled before reaching the repository.
+     * Partial update: fields left `undefined` keep their current value and
+     * `null` clears them. The slug is regenerated only when the title changes.
+     *
+     * Media is only replaced through uploaded files; new uploads are deleted
+     * again if the update fails, and replaced or removed files are deleted
+     * from the storage in the background once it succeeds.
      *
      * @param {number} id - Podcast ID.
      * @param {Object} data - Fields to update.
      * @param {string} [data.title] - Updated title.
-     * @param {string|null} [data.imgUrl] - Updated image URL.
-     * @param {string} [data.videoUrl] - Updated video URL.
-     * @param {string} [data.audioUrl] - Updated audio URL.
-     * @param {number} [data.statusId] - Updated status.
+     * @param {number|null} [data.statusId] - Updated status.
+     * @param {null} [data.img] - Pass `null` to remove the current image.
+     * @param {Object|null} [data.imgFile] - New image (Multer object).
+     * @param {Object|null} [data.videoFile] - New video (Multer object).
+     * @param {Object|null} [data.audioFile] - New audio (Multer object).
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match; the
+     *                                                update is unconditional if omitted.
      *
      * @returns {Promise<Object>} The updated podcast.
+     * @throws {AppError} 404 if the podcast does not exist, 400 if the title
+     *                    is cleared, 412 if it was modified since the client retrieved it.
      */
-    async updateById(id, data) {
-        const slug = data.title
-            ? data.title.toLowerCase().replace(/ /g, "-").replace(/[^\w-]+/g, "")
+    async updateById(id, { title, statusId, img, imgFile, videoFile, audioFile }, { expectedVersions } = {}) {
+        const existing = await this.podcastRepository.findById(id);
+        if (!existing) {
+            throw new AppError(404, "Podcast not found");
+        }
+
+        assertVersion(existing, expectedVersions, "Podcast");
+
+        if (title === null || title === "") {
+            throw new AppError(400, "Title cannot be empty");
+        }
+
+        const slug = title !== undefined
+            ? title.toLowerCase().replace(/ /g, "-").replace(/[^\w-]+/g, "")
             : undefined;
 
-        const updatedData = {
-            title: data.title,
-            imgUrl: data.imgUrl,
-            videoUrl: data.videoUrl,
-            audioUrl: data.audioUrl,
-            statusId: data.statusId,
-            slug,
-        };
+        const uploads = [
+            { file: videoFile, type: "video" },
+            { file: audioFile, type: "audio" },
+            { file: imgFile, type: "image" },
+        ];
+
+        const podcast = await this.mediaService.withUploads(uploads, async ([video, audio, uploadedImg]) => {
+            // A new file replaces the image; an explicit null removes it
+            const newImg = uploadedImg ?? (img === null ? null : undefined);
+
+            const updated = await this.podcastRepository.updateById(id, {
+                title,
+                imgUrl: newImg && newImg.url,
+                imgAsset: newImg && newImg.asset,
+                videoUrl: video?.url,
+                videoAsset: video?.asset,
+                audioUrl: audio?.url,
+                audioAsset: audio?.asset,
+                statusId,
+                slug,
+            }, expectedVersions);
+
+            // Another write (or a delete) got in between the check above and the update
+            if (!updated) {
+                throw expectedVersions
+                    ? preconditionFailed("Podcast")
+                    : new AppError(404, "Podcast not found");
+            }
+
+            return updated;
+        });
+
+        this.mediaService.release(
+            videoFile ? existing.videoAsset : null,
+            audioFile ? existing.audioAsset : null,
+            imgFile || img === null ? existing.imgAsset : null
+        );
 
-        return this.podcastRepository.updateById(id, updatedData);
+        return podcast;
     }
 
     /**
-     * Deletes a podcast by ID.
+     * Moves a podcast to the trash (soft delete).
      *
      * @param {number} id - Podcast ID.
+     * @param {Object} [options]
+     * @param {number[]} [options.expectedVersions] - Versions from If-Match.
      * @returns {Promise<boolean>} True if deletion succeeded.
+     * @throws {AppError} 404 if the podcast does not exist, 412 if it was
+     *                    modified since the client retrieved it (If-Match only).
+     */
+    async deleteById(id, { expectedVersions } = {}) {
+        if (!expectedVersions) {
+            const deleted = await this.podcastRepository.deleteById(id);
+            if (!deleted) {
+                throw new AppError(404, "Podcast not found");
+            }
+
+            return deleted;
+        }
+
+        const existing = await this.podcastRepository.findById(id);
+        if (!existing) {
+            throw new AppError(404, "Podcast not found");
+        }
+
+        assertVersion(existing, expectedVersions, "Podcast");
+
+        const deleted = await this.podcastRepository.deleteById(id, expectedVersions);
+        if (!deleted) {
+            throw preconditionFailed("Podcast");
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Retrieves a page of soft-deleted podcasts (the trash).
+     *
+     * @param {Object} [query] - Raw query parameters (same as findAll;
+     *                           sorted by most recently deleted by default).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
      */
-    async deleteById(id) {
-        return this.podcastRepository.deleteById(id);
+    async findTrash(query = {}) {
+        const options = parseListQuery(query, PODCAST_TRASH);
+        const { rows, total } = await this.podcastRepository.findAll(options, { trashed: true });
+
+        return toPage(rows, total, options);
+    }
+
+    /**
+     * Restores a podcast from the trash.
+     *
+     * @param {number} id - Podcast ID.
+     * @returns {Promise<Object>} The restored podcast.
+     * @throws {AppError} 404 if the podcast is not in the trash.
+     */
+    async restoreById(id) {
+        const restored = await this.podcastRepository.restoreById(id);
+        if (!restored) {
+            throw new AppError(404, "Podcast not found in trash");
+        }
+
+        return this.podcastRepository.findById(id);
+    }
+
+    /**
+     * Permanently deletes a podcast. It must be in the trash first; its
+     * media files are then deleted from the storage in the background.
+     *
+     * @param {number} id - Podcast ID.
+     * @throws {AppError} 404 if the podcast is not in the trash.
+     */
+    async purgeById(id) {
+        const podcast = await this.podcastRepository.findDeletedById(id);
+        if (!podcast) {
+            throw new AppError(404, "Podcast not found in trash");
+        }
+
+        const purged = await this.podcastRepository.purgeById(id);
+        if (!purged) {
+            throw new AppError(404, "Podcast not found in trash");
+        }
+
+        this.mediaService.release(...MEDIA_FIELDS.map((field) => podcast[`${field}Asset`]));
     }
 }
 
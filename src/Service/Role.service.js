@@ -1,3 +1,6 @@
+const AppError = require("../Utils/AppError");
+const { deleteReferenced } = require("../Utils/references");
+
 /**
  * Service layer responsible for business logic related to Roles.
  *
@@ -48,22 +51,36 @@ class RoleService {
      *
      * @param {number} roleId - Role ID.
      * @param {Object} updateData - Fields to update.
-     * @param {string} updateData.roleName - Updated role name.
+     * @param {string} [updateData.roleName] - Updated role name.
      *
      * @returns {Promise<Object>} The updated role.
+     * @throws {AppError} 400 if the name is cleared.
      */
     async updateById(roleId, updateData) {
+        if (updateData.roleName === null || updateData.roleName === "") {
+            throw new AppError(400, "Role name cannot be empty");
+        }
+
         return this.roleRepository.updateById(roleId, updateData);
     }
 
     /**
      * Deletes a role by its ID.
      *
+     * A role still referenced by any user is only deleted when a
+     * replacement is given; its dependants are then moved to it first.
+     *
      * @param {number} roleId - Role ID.
-     * @returns {Promise<boolean>} True if deletion succeeded.
+     * @param {Object} [options]
+     * @param {string} [options.reassignTo] - ID of the role that takes over
+     *                                        its dependants.
+     * @returns {Promise<{ reassigned: Object|null }>} Usage counts moved to the
+     *          replacement, if any.
+     * @throws {AppError} 404 if the role does not exist, 409 if it is in use and
+     *                    no replacement was given, 400 if the replacement is invalid.
      */
-    async deleteById(roleId) {
-        return this.roleRepository.deleteById(roleId);
+    async deleteById(roleId, { reassignTo } = {}) {
+        return deleteReferenced(this.roleRepository, roleId, { resource: "Role", reassignTo });
     }
 }
 
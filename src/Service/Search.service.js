@@ -0,0 +1,100 @@
+const AppError = require("../Utils/AppError");
+const { parsePage, parseString } = require("../Utils/pagination");
+
+/**
+ * Maximum number of results returned by a global search.
+ */
+const MAX_LIMIT = 50;
+
+/**
+ * Service layer responsible for the global search across content types.
+ *
+ * Each type is searched through its own service (same FULLTEXT query,
+ * snippets and visibility rules as /<type>/search); the results are then
+ * merged into a single list ranked by relevance.
+ */
+class SearchService {
+
+    /**
+     * @param {Object<string, { service: Object, titleField: string }>} searchables -
+     *        Searchable types: type name → service exposing `search(query)`,
+     *        and the field used as the result title.
+     */
+    constructor(searchables) {
+        this.searchables = searchables;
+    }
+
+    /**
+     * Parses the `?type=` filter (comma-separated list of types).
+     *
+     * @param {string|undefined} type - Raw value.
+     * @returns {string[]} Types to search (all by default).
+     * @throws {AppError} 400 if an unknown type is requested, or `type` is repeated.
+     */
+    parseTypes(type) {
+        const all = Object.keys(this.searchables);
+        const value = parseString(type, "type");
+        if (!value) return all;
+
+        const types = value.split(",").map((t) => t.trim()).filter(Boolean);
+        const unknown = types.filter((t) => !all.includes(t));
+
+        if (unknown.length) {
+            throw new AppError(400, `type must be one or more of: ${all.join(", ")}`);
+        }
+
+        return types;
+    }
+
+    /**
+     * Searches every requested type and merges the results by relevance.
+     *
+     * @param {Object} query - Raw query parameters.
+     * @param {string} query.q - Search text.
+     * @param {string} [query.type] - Comma-separated types to search.
+     * @param {string} [query.limit] - Maximum number of results (default 20, max 50).
+     *
+     * @returns {Promise<{ data: Object[], meta: { limit: number, totals: Object } }>}
+     *          Typed results ({ type, id, title, slug, score, snippet }) and the
+     *          total number of matches per type.
+     * @throws {AppError} 400 if a parameter is invalid.
+     */
+    async search(query = {}) {
+        const types = this.parseTypes(query.type);
+
+        const limit = Math.min(parsePage({ limit: parseString(query.limit, "limit") }).limit, MAX_LIMIT);
+
+        // Each type returns its own top `limit` results; the merge keeps the best overall
+        const pages = await Promise.all(
+            types.map((type) => this.searchables[type].service.search({ q: query.q, limit }))
+        );
+
+        const totals = {};
+        const results = [];
+
+        types.forEach((type, i) => {
+            const { titleField } = this.searchables[type];
+            totals[type] = pages[i].meta.total;
+
+            for (const row of pages[i].data) {
+                results.push({
+                    type,
+                    id: row.id,
+                    title: row[titleField],
+                    slug: row.slug,
+                    score: row.score,
+                    snippet: row.snippet,
+                });
+            }
+        });
+
+        results.sort((a, b) => b.score - a.score);
+
+        return {
+            data: results.slice(0, limit),
+            meta: { limit, totals },
+        };
+    }
+}
+
+module.exports = SearchService;
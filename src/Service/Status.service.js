@@ -1,3 +1,6 @@
+const AppError = require("../Utils/AppError");
+const { deleteReferenced } = require("../Utils/references");
+
 /**
  * Service layer responsible for handling business logic 
  * related to Status entities.
@@ -52,23 +55,36 @@ class StatusService {
      *
      * @param {number} statusId - ID of the status to update.
      * @param {Object} updateData - Fields to update.
-     * @param {string} updateData.statusName - New status name.
+     * @param {string} [updateData.statusName] - New status name.
      *
      * @returns {Promise<Object>} The updated status.
+     * @throws {AppError} 400 if the name is cleared.
      */
     async updateById(statusId, updateData) {
+        if (updateData.statusName === null || updateData.statusName === "") {
+            throw new AppError(400, "Status name cannot be empty");
+        }
+
         return this.statusRepository.updateById(statusId, updateData);
     }
 
     /**
      * Deletes a status by its ID.
      *
-     * @param {number} statusId - ID of the status to delete.
+     * A status still referenced by any article or podcast is only deleted when a
+     * replacement is given; its dependants are then moved to it first.
      *
-     * @returns {Promise<boolean>} True if deletion succeeded.
+     * @param {number} statusId - Status ID.
+     * @param {Object} [options]
+     * @param {string} [options.reassignTo] - ID of the status that takes over
+     *                                        its dependants.
+     * @returns {Promise<{ reassigned: Object|null }>} Usage counts moved to the
+     *          replacement, if any.
+     * @throws {AppError} 404 if the status does not exist, 409 if it is in use and
+     *                    no replacement was given, 400 if the replacement is invalid.
      */
-    async deleteById(statusId) {
-        return this.statusRepository.deleteById(statusId);
+    async deleteById(statusId, { reassignTo } = {}) {
+        return deleteReferenced(this.statusRepository, statusId, { resource: "Status", reassignTo });
     }
 }
 
@@ -1,17 +1,36 @@
+const AppError = require("../Utils/AppError");
+const { serializeUser, serializeUsers } = require("../Serializer/User.serializer");
+const { parseListQuery, toPage } = require("../Utils/pagination");
+const { withTransaction } = require("../DB/transaction");
+
+/**
+ * Sort fields and filters accepted by GET /users.
+ */
+const USER_LIST = {
+    sortable: ["id", "email", "createdAt", "updatedAt"],
+    filters: { rolId: "id" },
+};
+
 /**
  * Service layer for handling business logic related to User entities.
  *
  * This service acts as an abstraction between controllers and repositories,
  * enabling centralization of validations, transformations, access policies,
  * and any domain rules required for user management.
+ *
+ * Every user returned from this service is serialized to its public shape
+ * (no password hash). Internal callers that need the raw row, such as the
+ * login flow, use the UserRepository directly.
  */
 class UserService {
 
     /**
      * @param {Object} userRepository - Instance of the UserRepository.
+     * @param {Object} refreshTokenRepository - Instance of the RefreshTokenRepository.
      */
-    constructor(userRepository) {
+    constructor(userRepository, refreshTokenRepository) {
         this.userRepository = userRepository;
+        this.refreshTokenRepository = refreshTokenRepository;
     }
 
     /**
@@ -22,19 +41,26 @@ class UserService {
      * @param {string} userData.password - Plain-text password to be hashed.
      * @param {number} userData.rolId - Role assigned to the user.
      *
-     * @returns {Promise<Object>} Created user record.
+     * @returns {Promise<Object>} Created user (public fields).
      */
     async createUser(userData) {
-        return this.userRepository.createUser(userData);
+        const user = await this.userRepository.createUser(userData);
+        return serializeUser(user);
     }
 
     /**
-     * Retrieves all users.
+     * Retrieves a page of users (public fields).
      *
-     * @returns {Promise<Object[]|null>} List of users or null if none exist.
+     * @param {Object} [query] - Raw query parameters (page, limit, sort, from, to
+     *                           and the filters in USER_LIST).
+     * @returns {Promise<{ data: Object[], meta: Object }>} Paginated envelope.
+     * @throws {AppError} 400 if a list parameter is invalid.
      */
-    async findAll() {
-        return this.userRepository.findAll();
+    async findAll(query = {}) {
+        const options = parseListQuery(query, USER_LIST);
+        const { rows, total } = await this.userRepository.findAll(options);
+
+        return toPage(serializeUsers(rows), total, options);
     }
 
     /**
@@ -42,24 +68,53 @@ class UserService {
      *
      * @param {number} userId - User identifier.
      *
-     * @returns {Promise<Object|null>} User record or null if not found.
+     * @returns {Promise<Object|null>} User (public fields) or null if not found.
      */
     async findById(userId) {
-        return this.userRepository.findById(userId);
+        const user = await this.userRepository.findById(userId);
+        return serializeUser(user);
     }
 
     /**
      * Updates an existing user.
      *
+     * Setting a password ends every session of the user (their refresh
+     * tokens are revoked in the same transaction), so a stolen session does
+     * not survive a password reset.
+     *
      * @param {number} userId - ID of the user being updated.
      * @param {Object} updateData - Fields to apply to the user.
      * @param {string} [updateData.email] - New email.
      * @param {string} [updateData.password] - New plain-text password (will be hashed in repository).
      *
-     * @returns {Promise<Object>} Updated user record.
+     * @returns {Promise<Object>} Updated user (public fields).
+     * @throws {AppError} 400 if email or password are cleared, 409 if the email is taken.
      */
     async updateById(userId, updateData) {
-        return this.userRepository.updateById(userId, updateData);
+        const { email, password } = updateData;
+
+        if (email === null || email === "" || password === null || password === "") {
+            throw new AppError(400, "Email and password cannot be empty");
+        }
+
+        if (email !== undefined) {
+            const owner = await this.userRepository.findByEmail(email);
+            if (owner && String(owner.id) !== String(userId)) {
+                throw new AppError(409, "Email already in use");
+            }
+        }
+
+        const user = await withTransaction(async (conn) => {
+            const updated = await this.userRepository.updateById(userId, { email, password }, conn);
+
+            if (password !== undefined) {
+                await this.refreshTokenRepository.revokeAllForUser(userId, conn);
+            }
+
+            return updated;
+        });
+
+        return serializeUser(user);
     }
 
     /**
@@ -0,0 +1,134 @@
+/**
+ * Cloudinary Storage Driver
+ *
+ * Stores files in Cloudinary. The key of a file is its Cloudinary
+ * `public_id`; its URL is the HTTPS delivery URL.
+ *
+ * Every file is uploaded to one folder, and list() only returns what is
+ * inside it, so the reconcile job never touches other files of the account.
+ */
+
+/**
+ * Cloudinary resource type for each file type. Cloudinary handles audio
+ * as "video"; documents are uploaded "raw" so they are not processed.
+ */
+const RESOURCE_TYPES = {
+    image: "image",
+    video: "video",
+    audio: "video",
+    raw: "raw",
+};
+
+class CloudinaryStorage {
+
+    /**
+     * @param {Object} cloudinary - Configured Cloudinary v2 client (Config/cloudinary.js).
+     * @param {Object} options
+     * @param {string} options.folder - Folder the files are uploaded to.
+     */
+    constructor(cloudinary, { folder }) {
+        if (!folder) {
+            throw new Error("CloudinaryStorage requires a folder");
+        }
+
+        this.cloudinary = cloudinary;
+        this.folder = folder;
+        this.name = "cloudinary";
+    }
+
+    /**
+     * Maps a file type to a Cloudinary resource type.
+     *
+     * @param {string} type - "image", "video", "audio" or "raw".
+     * @returns {string} Cloudinary resource type.
+     * @throws {Error} If the type is unknown.
+     */
+    resourceType(type) {
+        const resourceType = RESOURCE_TYPES[type];
+        if (!resourceType) {
+            throw new Error(`Unknown file type "${type}"`);
+        }
+        return resourceType;
+    }
+
+    /**
+     * Uploads a file to the Cloudinary folder.
+     *
+     * @param {Object} file - Multer file (only `path` is used).
+     * @param {Object} options
+     * @param {string} options.type - File type.
+     * @returns {Promise<{ url: string, key: string }>} Delivery URL and public ID.
+     */
+    async upload(file, { type }) {
+        const uploaded = await this.cloudinary.uploader.upload(file.path, {
+            resource_type: this.resourceType(type),
+            folder: this.folder,
+        });
+
+        return { url: uploaded.secure_url, key: uploaded.public_id };
+    }
+
+    /**
+     * Deletes a file from Cloudinary.
+     *
+     * @param {string} key - Public ID.
+     * @param {Object} options
+     * @param {string} options.type - File type it was uploaded as.
+     */
+    async delete(key, { type }) {
+        await this.cloudinary.uploader.destroy(key, {
+            resource_type: this.resourceType(type),
+            invalidate: true,
+        });
+    }
+
+    /**
+     * Lists every file stored in the Cloudinary folder, one resource type
+     * at a time (audio files are listed as "video").
+     *
+     * @returns {AsyncGenerator<{ key: string, type: string, url: string, createdAt: Date }>}
+     */
+    async *list() {
+        for (const resourceType of new Set(Object.values(RESOURCE_TYPES))) {
+            let cursor;
+
+            do {
+                const page = await this.cloudinary.api.resources({
+                    resource_type: resourceType,
+                    type: "upload",
+                    prefix: `${this.folder}/`,
+                    max_results: 500,
+                    next_cursor: cursor,
+                });
+
+                for (const resource of page.resources) {
+                    yield {
+                        key: resource.public_id,
+                        type: resourceType,
+                        url: resource.secure_url,
+                        createdAt: new Date(resource.created_at),
+                    };
+                }
+
+                cursor = page.next_cursor;
+            } while (cursor);
+        }
+    }
+
+    /**
+     * Builds the delivery URL of a file.
+     *
+     * @param {string} key - Public ID.
+     * @param {Object} options
+     * @param {string} options.type - File type it was uploaded as.
+     * @returns {string} HTTPS URL.
+     */
+    url(key, { type }) {
+        return this.cloudinary.url(key, {
+            resource_type: this.resourceType(type),
+            secure: true,
+        });
+    }
+}
+
+module.exports = CloudinaryStorage;
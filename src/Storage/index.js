@@ -0,0 +1,57 @@
+/**
+ * File Storage
+ *
+ * Single entry point the services use to store uploaded files, whatever
+ * the backend. The driver is chosen once, from STORAGE_DRIVER
+ * (Config/storage.js):
+ *
+ *  - "cloudinary" → CloudinaryStorage (production)
+ *  - "local"      → LocalStorage, files on disk served under /media
+ *                   (development, offline work and tests)
+ *
+ * Every driver implements the same interface:
+ *  - upload(file, { type }) → Promise<{ url, key }>
+ *      Stores a Multer file. `type` is "image", "video", "audio" or "raw"
+ *      (documents). `url` is public; `key` identifies the file for the
+ *      other operations.
+ *  - delete(key, { type }) → Promise<void>
+ *      Removes a stored file. Deleting a missing file is not an error.
+ *  - url(key, { type }) → string
+ *      Public URL of a stored file.
+ *  - list() → AsyncGenerator<{ key, type, url, createdAt }>
+ *      Every stored file (used by the media reconcile job).
+ *  - name
+ *      Driver name ("cloudinary" or "local"), recorded as the `provider`
+ *      of the assets it stores.
+ *
+ * Usage:
+ *   const storage = require("../Storage");
+ *   const { url } = await storage.upload(file, { type: "image" });
+ */
+
+const config = require("../Config/storage");
+
+/**
+ * Builds the storage driver selected in the configuration.
+ * Drivers are required lazily so that, e.g., the local driver works
+ * without Cloudinary credentials.
+ *
+ * @returns {Object} Storage driver.
+ * @throws {Error} If STORAGE_DRIVER names an unknown driver.
+ */
+const createStorage = () => {
+    switch (config.driver) {
+        case "cloudinary": {
+            const CloudinaryStorage = require("./cloudinary.storage");
+            return new CloudinaryStorage(require("../Config/cloudinary"), { folder: config.cloudinaryFolder });
+        }
+        case "local": {
+            const LocalStorage = require("./local.storage");
+            return new LocalStorage({ root: config.localDir, publicUrl: config.publicUrl });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (expected "cloudinary" or "local")`);
+    }
+};
+
+module.exports = createStorage();
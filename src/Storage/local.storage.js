@@ -0,0 +1,123 @@
+/**
+ * Local Disk Storage Driver
+ *
+ * Stores files under a directory on the server, one subdirectory per file
+ * type (e.g., uploads/image/3f2c….jpg). app.js serves that directory at
+ * /media when this driver is active, so the key of a file is also its
+ * path below /media.
+ *
+ * Meant for development, offline work and tests; it does not replicate
+ * files across servers.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { randomUUID } = require("crypto");
+
+const TYPES = ["image", "video", "audio", "raw"];
+
+class LocalStorage {
+
+    /**
+     * @param {Object} options
+     * @param {string} options.root - Directory where files are stored.
+     * @param {string} [options.publicUrl=""] - Base URL of the API, without
+     *                                          trailing slash ("" for relative URLs).
+     */
+    constructor({ root, publicUrl = "" }) {
+        this.root = path.resolve(root);
+        this.publicUrl = publicUrl;
+        this.name = "local";
+    }
+
+    /**
+     * Resolves a key to a path inside the storage directory.
+     *
+     * @param {string} key - File key (e.g., "image/3f2c….jpg").
+     * @returns {string} Absolute path.
+     * @throws {Error} If the key points outside the storage directory.
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Copies an uploaded file into the storage directory under a random name.
+     *
+     * The Multer temp file is left in place (the upload pipeline owns it).
+     *
+     * @param {Object} file - Multer file (`path` and `originalname` are used).
+     * @param {Object} options
+     * @param {string} options.type - "image", "video", "audio" or "raw".
+     * @returns {Promise<{ url: string, key: string }>} Public URL and key.
+     */
+    async upload(file, { type }) {
+        if (!TYPES.includes(type)) {
+            throw new Error(`Unknown file type "${type}"`);
+        }
+
+        const extension = path.extname(file.originalname || file.path).toLowerCase();
+        const key = `${type}/${randomUUID()}${extension}`;
+        const destination = this.resolve(key);
+
+        await fs.mkdir(path.dirname(destination), { recursive: true });
+        await fs.copyFile(file.path, destination);
+
+        return { url: this.url(key), key };
+    }
+
+    /**
+     * Deletes a stored file. A file that no longer exists is ignored.
+     *
+     * @param {string} key - File key.
+     */
+    async delete(key) {
+        try {
+            await fs.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+    }
+
+    /**
+     * Lists every stored file.
+     *
+     * @returns {AsyncGenerator<{ key: string, type: string, url: string, createdAt: Date }>}
+     */
+    async *list() {
+        for (const type of TYPES) {
+            let entries;
+            try {
+                entries = await fs.readdir(path.join(this.root, type), { withFileTypes: true });
+            } catch (error) {
+                if (error.code === "ENOENT") continue;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                if (!entry.isFile()) continue;
+
+                const key = `${type}/${entry.name}`;
+                const { mtime } = await fs.stat(this.resolve(key));
+
+                yield { key, type, url: this.url(key), createdAt: mtime };
+            }
+        }
+    }
+
+    /**
+     * Builds the public URL of a stored file.
+     *
+     * @param {string} key - File key.
+     * @returns {string} URL under /media.
+     */
+    url(key) {
+        return `${this.publicUrl}/media/${key}`;
+    }
+}
+
+module.exports = LocalStorage;
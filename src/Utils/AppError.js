@@ -0,0 +1,30 @@
+/**
+ * Application Error
+ *
+ * Error type for failures that should reach the client with a specific
+ * HTTP status code. The global errorHandler recognizes any error that
+ * carries a `statusCode` and responds with its message.
+ *
+ * Example:
+ *   throw new AppError(401, "Invalid email or password");
+ *
+ * Extra data the client needs to act on the error goes in `details`,
+ * which is returned alongside the message:
+ *   throw new AppError(409, "Category is still in use", { usages: { articles: 3 } });
+ */
+class AppError extends Error {
+
+    /**
+     * @param {number} statusCode - HTTP status code to respond with.
+     * @param {string} message - Safe, client-facing error message.
+     * @param {Object} [details] - Safe, client-facing data about the error.
+     */
+    constructor(statusCode, message, details) {
+        super(message);
+        this.name = "AppError";
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = AppError;
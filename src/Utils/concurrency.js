@@ -0,0 +1,48 @@
+/**
+ * Concurrency Helper
+ *
+ * Runs asynchronous tasks in parallel with an upper bound on how many are
+ * in flight at once (e.g., uploads to the file storage).
+ */
+
+/**
+ * Runs `task` for every item, at most `limit` at a time.
+ *
+ * Once a task fails no new task is started, but the ones already running
+ * are awaited, so the caller learns the outcome of everything that was
+ * started (e.g., to undo it).
+ *
+ * @template T, R
+ * @param {T[]} items - Inputs, one task each.
+ * @param {number} limit - Maximum number of tasks running at once (≥ 1).
+ * @param {(item: T, index: number) => Promise<R>} task - Task to run.
+ *
+ * @returns {Promise<Array<PromiseSettledResult<R>|undefined>>} The outcome of
+ *          each item, in input order; `undefined` for items never started
+ *          because an earlier task failed.
+ */
+const settleWithConcurrency = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+
+            try {
+                results[index] = { status: "fulfilled", value: await task(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: "rejected", reason };
+                failed = true;
+            }
+        }
+    };
+
+    const workers = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return results;
+};
+
+module.exports = { settleWithConcurrency };
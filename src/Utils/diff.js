@@ -0,0 +1,51 @@
+/**
+ * Record Diff Helper
+ *
+ * Computes a structured, field-level diff between two versions of a
+ * database row. Used to store before/after snapshots in audit log entries.
+ *
+ * Output format:
+ *   { title: { from: "Old title", to: "New title" }, statusId: { from: 1, to: 2 } }
+ */
+
+/**
+ * Normalizes a value so equal values compare equal (e.g., Date objects,
+ * numeric strings coming from multipart bodies vs. numbers from MySQL).
+ *
+ * @param {*} value - Raw field value.
+ * @returns {*} Comparable value.
+ */
+const normalize = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (value === undefined) return null;
+    return value;
+};
+
+/**
+ * Builds the diff of the given fields between two records.
+ *
+ * @param {Object} before - Record before the change.
+ * @param {Object} after - Record after the change.
+ * @param {string[]} fields - Fields to compare.
+ * @returns {Object|null} Changed fields with their old and new values,
+ *          or null if nothing changed.
+ */
+const diffRecords = (before, after, fields) => {
+    const changes = {};
+
+    for (const field of fields) {
+        const from = normalize(before?.[field]);
+        const to = normalize(after?.[field]);
+
+        // Loose string comparison so 3 and "3" are not reported as a change
+        if (from === to || (from !== null && to !== null && String(from) === String(to))) {
+            continue;
+        }
+
+        changes[field] = { from, to };
+    }
+
+    return Object.keys(changes).length ? changes : null;
+};
+
+module.exports = { diffRecords };
@@ -0,0 +1,81 @@
+/**
+ * ETag / If-Match Helpers (optimistic concurrency)
+ *
+ * Content rows carry a `version` column that is incremented on every
+ * write. It is exposed as the resource's ETag:
+ *
+ *   GET /articles/12        → ETag: "3"
+ *   PATCH /articles/12      If-Match: "3"   → 200, ETag: "4"
+ *   PATCH /articles/12      If-Match: "3"   → 412 Precondition Failed
+ *
+ * Requests without If-Match are applied unconditionally, so existing
+ * clients keep working. `If-Match: *` matches any existing row.
+ */
+
+const AppError = require("./AppError");
+
+/**
+ * Formats a row version as a strong ETag.
+ *
+ * @param {number} version - Row version.
+ * @returns {string} ETag header value (e.g., "\"3\"").
+ */
+const toETag = (version) => `"${version}"`;
+
+/**
+ * Sets the ETag header of a response from a row's version.
+ *
+ * @param {import("express").Response} res - Express response.
+ * @param {Object|null} row - Row returned to the client.
+ */
+const setETag = (res, row) => {
+    if (row && row.version !== undefined) {
+        res.set("ETag", toETag(row.version));
+    }
+};
+
+/**
+ * Parses an If-Match header into the list of acceptable versions.
+ *
+ * Weak validators (W/"...") never match, as required for If-Match.
+ *
+ * @param {string|undefined} header - Raw If-Match header.
+ * @returns {number[]|undefined} Acceptable versions (possibly empty, which
+ *          never matches), or undefined when the update is unconditional
+ *          (header absent or "*").
+ */
+const parseIfMatch = (header) => {
+    if (header === undefined || header.trim() === "*") return undefined;
+
+    return header
+        .split(",")
+        .map((tag) => /^\s*"(\d+)"\s*$/.exec(tag))
+        .filter(Boolean)
+        .map((match) => Number(match[1]));
+};
+
+/**
+ * Builds the error returned when a conditional write loses the race.
+ *
+ * @param {string} resource - Resource name for the error message (e.g., "Article").
+ * @returns {AppError} 412 Precondition Failed.
+ */
+const preconditionFailed = (resource) => {
+    return new AppError(412, `${resource} has been modified since it was retrieved`);
+};
+
+/**
+ * Ensures a row still has one of the versions the client expects.
+ *
+ * @param {Object} row - Current row.
+ * @param {number[]|undefined} expectedVersions - Result of parseIfMatch.
+ * @param {string} resource - Resource name for the error message (e.g., "Article").
+ * @throws {AppError} 412 if the row has been modified since the client read it.
+ */
+const assertVersion = (row, expectedVersions, resource) => {
+    if (expectedVersions && !expectedVersions.includes(row.version)) {
+        throw preconditionFailed(resource);
+    }
+};
+
+module.exports = { toETag, setETag, parseIfMatch, assertVersion, preconditionFailed };
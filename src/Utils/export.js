@@ -0,0 +1,86 @@
+/**
+ * Export Stream Helpers
+ *
+ * Transform streams that turn a stream of row objects into text formats
+ * suitable for file downloads. They work row by row, so arbitrarily large
+ * result sets can be exported without buffering them in memory.
+ */
+
+const { Transform } = require("stream");
+
+/**
+ * Serializes a cell value for CSV output.
+ *
+ * - Objects (JSON columns) are written as JSON
+ * - Dates are written as ISO 8601
+ * - Values that could be interpreted as spreadsheet formulas are prefixed
+ *   with a single quote (CSV injection)
+ * - Values containing separators, quotes or line breaks are quoted
+ *
+ * @param {*} value - Raw cell value.
+ * @returns {string} Escaped CSV cell.
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return "";
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === "object") {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Creates a transform that writes rows as CSV, starting with a header line.
+ *
+ * @param {string[]} columns - Columns to export, in order.
+ * @returns {Transform} Object-mode writable side, text readable side.
+ */
+const toCsvStream = (columns) => {
+    let headerWritten = false;
+
+    return new Transform({
+        writableObjectMode: true,
+
+        transform(row, encoding, callback) {
+            let chunk = "";
+
+            if (!headerWritten) {
+                chunk += columns.join(",") + "\n";
+                headerWritten = true;
+            }
+
+            chunk += columns.map((column) => toCsvCell(row[column])).join(",") + "\n";
+            callback(null, chunk);
+        },
+
+        // Still emit the header when there are no rows
+        flush(callback) {
+            callback(null, headerWritten ? "" : columns.join(",") + "\n");
+        },
+    });
+};
+
+/**
+ * Creates a transform that writes rows as NDJSON (one JSON object per line).
+ *
+ * @returns {Transform} Object-mode writable side, text readable side.
+ */
+const toNdjsonStream = () => new Transform({
+    writableObjectMode: true,
+
+    transform(row, encoding, callback) {
+        callback(null, JSON.stringify(row) + "\n");
+    },
+});
+
+module.exports = { toCsvStream, toNdjsonStream };
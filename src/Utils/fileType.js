@@ -0,0 +1,160 @@
+/**
+ * File Type Detection
+ *
+ * Identifies an uploaded file from its first bytes ("magic bytes") rather
+ * than from the name or the MIME type sent by the client, which are both
+ * under the client's control. Used by the upload middleware to enforce
+ * the types each route accepts.
+ *
+ * Only the formats the API stores are known; anything else is reported
+ * as unknown (null).
+ */
+
+const fs = require("fs/promises");
+
+/**
+ * Bytes read from the start of a file; enough for every signature below.
+ */
+const HEADER_SIZE = 4100;
+
+/**
+ * Bytes read from the end of a ZIP file: its central directory lists every
+ * entry name, wherever the entry itself is stored (e.g., word/document.xml).
+ */
+const ZIP_TAIL_SIZE = 64 * 1024;
+
+const MB = 1024 * 1024;
+
+/**
+ * Checks whether `buffer` contains `bytes` at `offset`.
+ *
+ * @param {Buffer} buffer - File header.
+ * @param {number[]|string} bytes - Expected bytes (a string is read as latin1).
+ * @param {number} [offset=0]
+ * @returns {boolean}
+ */
+const hasBytes = (buffer, bytes, offset = 0) => {
+    const expected = typeof bytes === "string" ? Buffer.from(bytes, "latin1") : Buffer.from(bytes);
+    return buffer.length >= offset + expected.length
+        && buffer.subarray(offset, offset + expected.length).equals(expected);
+};
+
+/**
+ * ISO base media file (MP4, MOV, M4A) with the given major brands.
+ *
+ * @param {Buffer} buffer
+ * @param {string[]} brands - Four-character brands; empty accepts any.
+ * @returns {boolean}
+ */
+const isFtyp = (buffer, brands = []) => {
+    if (!hasBytes(buffer, "ftyp", 4)) return false;
+
+    const brand = buffer.subarray(8, 12).toString("latin1");
+    return !brands.length || brands.includes(brand);
+};
+
+const isZip = (buffer) => hasBytes(buffer, [0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Known formats, most specific first: the first matching signature wins
+ * (e.g., M4A before the generic MP4 container, EPUB before DOCX).
+ */
+const SIGNATURES = [
+    { mime: "image/jpeg", extensions: [".jpg", ".jpeg"], test: (b) => hasBytes(b, [0xff, 0xd8, 0xff]) },
+    { mime: "image/png", extensions: [".png"], test: (b) => hasBytes(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mime: "image/gif", extensions: [".gif"], test: (b) => hasBytes(b, "GIF87a") || hasBytes(b, "GIF89a") },
+    { mime: "image/webp", extensions: [".webp"], test: (b) => hasBytes(b, "RIFF") && hasBytes(b, "WEBP", 8) },
+
+    { mime: "application/pdf", extensions: [".pdf"], test: (b) => hasBytes(b, "%PDF-") },
+    {
+        mime: "application/epub+zip",
+        extensions: [".epub"],
+        // The first ZIP entry of an EPUB is an uncompressed "mimetype" file
+        test: (b) => isZip(b) && hasBytes(b, "mimetypeapplication/epub+zip", 30),
+    },
+    {
+        mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        extensions: [".docx"],
+        // Any OOXML file has [Content_Types].xml; only Word documents have word/document.xml
+        test: (b) => isZip(b) && b.includes("[Content_Types].xml") && b.includes("word/document.xml"),
+    },
+
+    { mime: "audio/mpeg", extensions: [".mp3"], test: (b) => hasBytes(b, "ID3") || (b[0] === 0xff && (b[1] & 0xe6) === 0xe2) },
+    { mime: "audio/aac", extensions: [".aac"], test: (b) => b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+    { mime: "audio/wav", extensions: [".wav"], test: (b) => hasBytes(b, "RIFF") && hasBytes(b, "WAVE", 8) },
+    { mime: "audio/ogg", extensions: [".ogg", ".oga", ".opus"], test: (b) => hasBytes(b, "OggS") },
+    { mime: "audio/flac", extensions: [".flac"], test: (b) => hasBytes(b, "fLaC") },
+    { mime: "audio/mp4", extensions: [".m4a"], test: (b) => isFtyp(b, ["M4A "]) },
+
+    { mime: "video/quicktime", extensions: [".mov"], test: (b) => isFtyp(b, ["qt  "]) },
+    { mime: "video/mp4", extensions: [".mp4", ".m4v"], test: (b) => isFtyp(b) },
+    { mime: "video/webm", extensions: [".webm"], test: (b) => hasBytes(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+];
+
+/**
+ * MIME types accepted for each kind of upload, for route declarations.
+ */
+const FILE_TYPES = {
+    image: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+    document: [
+        "application/pdf",
+        "application/epub+zip",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    audio: ["audio/mpeg", "audio/aac", "audio/wav", "audio/ogg", "audio/flac", "audio/mp4"],
+    video: ["video/mp4", "video/quicktime", "video/webm"],
+};
+
+/**
+ * Identifies a file from its header bytes.
+ *
+ * For ZIP-based formats the entry names are searched in the whole buffer,
+ * so the end of the file (its central directory) may be appended to the
+ * header, as detectFileTypeFromPath() does.
+ *
+ * @param {Buffer} header - First bytes of the file (HEADER_SIZE is enough).
+ * @returns {{ mime: string, extensions: string[] }|null} The format, or null if unknown.
+ */
+const detectFileType = (header) => {
+    const signature = SIGNATURES.find(({ test }) => test(header));
+    return signature ? { mime: signature.mime, extensions: signature.extensions } : null;
+};
+
+/**
+ * Reads the header of a file on disk and identifies it.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {Promise<{ mime: string, extensions: string[] }|null>}
+ */
+const detectFileTypeFromPath = async (filePath) => {
+    const handle = await fs.open(filePath, "r");
+
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_SIZE), 0, HEADER_SIZE, 0);
+        const header = buffer.subarray(0, bytesRead);
+
+        const { size } = await handle.stat();
+        if (!isZip(header) || size <= HEADER_SIZE) {
+            return detectFileType(header);
+        }
+
+        const tailSize = Math.min(ZIP_TAIL_SIZE, size - HEADER_SIZE);
+        const tail = await handle.read(Buffer.alloc(tailSize), 0, tailSize, size - tailSize);
+
+        return detectFileType(Buffer.concat([header, tail.buffer.subarray(0, tail.bytesRead)]));
+    } finally {
+        await handle.close();
+    }
+};
+
+/**
+ * File extensions of the given MIME types (e.g., for error messages).
+ *
+ * @param {string[]} mimes - MIME types.
+ * @returns {string[]} Their extensions.
+ */
+const extensionsOf = (mimes) => SIGNATURES
+    .filter(({ mime }) => mimes.includes(mime))
+    .flatMap(({ extensions }) => extensions);
+
+module.exports = { FILE_TYPES, MB, detectFileType, detectFileTypeFromPath, extensionsOf };
@@ -0,0 +1,73 @@
+/**
+ * Relation Expansion Helpers (?include=)
+ *
+ * Content rows reference other resources by ID (categoryId, statusId,
+ * authorId). Clients can ask for those resources to be embedded
+ * in the response instead of fetching each one separately:
+ *
+ *   GET /articles?include=category,status
+ *   → [{ id: 1, categoryId: 3, category: { id: 3, name: "Ensayo" }, statusId: 2, status: {...} }]
+ *
+ * Each relation is resolved with one batched `findByIds` query for the
+ * whole page, never one query per row. A missing related row is embedded
+ * as null.
+ *
+ * Services describe their relations as:
+ *   { category: { key: "categoryId", repository: categoryRepository, serialize?: fn } }
+ */
+
+const AppError = require("./AppError");
+
+/**
+ * Parses the `include` query parameter.
+ *
+ * @param {string|undefined} raw - Comma-separated relation names.
+ * @param {Object} relations - Relations the resource supports (see above).
+ * @returns {string[]} Requested relation names, without duplicates.
+ * @throws {AppError} 400 if a name is not a supported relation.
+ */
+const parseInclude = (raw, relations) => {
+    if (raw === undefined || raw === "") return [];
+
+    const names = [...new Set(String(raw).split(",").map((name) => name.trim()).filter(Boolean))];
+    const unknown = names.filter((name) => !Object.hasOwn(relations, name));
+
+    if (unknown.length) {
+        throw new AppError(400, `include must be a comma-separated list of: ${Object.keys(relations).join(", ")}`);
+    }
+
+    return names;
+};
+
+/**
+ * Embeds the requested related resources in each row.
+ *
+ * @param {Object[]} rows - Rows to expand (not modified).
+ * @param {string[]} include - Relation names returned by parseInclude.
+ * @param {Object} relations - Relations the resource supports.
+ * @returns {Promise<Object[]>} Copies of the rows with one property per
+ *          included relation.
+ */
+const embedRelations = async (rows, include, relations) => {
+    if (!include.length || !rows.length) return rows;
+
+    const lookups = await Promise.all(include.map(async (name) => {
+        const { key, repository, serialize = (row) => row } = relations[name];
+        const ids = [...new Set(rows.map((row) => row[key]).filter((id) => id != null))];
+
+        const related = ids.length ? await repository.findByIds(ids) : [];
+        return [name, key, new Map(related.map((row) => [row.id, serialize(row)]))];
+    }));
+
+    return rows.map((row) => {
+        const expanded = { ...row };
+
+        for (const [name, key, byId] of lookups) {
+            expanded[name] = byId.get(row[key]) ?? null;
+        }
+
+        return expanded;
+    });
+};
+
+module.exports = { parseInclude, embedRelations };
@@ -0,0 +1,157 @@
+/**
+ * List Query Helpers
+ *
+ * Shared parsing of the `?page`, `?limit`, `?sort` and filter parameters
+ * accepted by every list endpoint, and the response envelope they return:
+ *
+ *   {
+ *     "data": [ ... ],
+ *     "meta": { "page": 1, "limit": 20, "total": 42, "totalPages": 3 }
+ *   }
+ *
+ * Query parameters:
+ *  - page:  1-based page number (default 1)
+ *  - limit: page size (default 20, max 100)
+ *  - sort:  field to sort by, prefixed with "-" for descending
+ *           (e.g., "-createdAt", "title"). Only whitelisted fields.
+ *  - from / to: inclusive createdAt range (ISO 8601)
+ *  - Resource-specific equality filters (e.g., statusId, categoryId)
+ *
+ * A parameter repeated in the query string (`?sort=a&sort=b`) arrives as
+ * an array and is rejected with a 400.
+ */
+
+const AppError = require("./AppError");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parses a text parameter.
+ *
+ * @param {string|undefined} value - Raw value.
+ * @param {string} name - Parameter name (for the error message).
+ * @returns {string|undefined} The text, or undefined if absent.
+ * @throws {AppError} 400 if the parameter was given more than once.
+ */
+const parseString = (value, name) => {
+    if (value === undefined || value === "") return undefined;
+
+    if (typeof value !== "string") {
+        throw new AppError(400, `${name} must be a single value`);
+    }
+
+    return value;
+};
+
+/**
+ * Parses a positive integer parameter.
+ *
+ * @param {string|undefined} value - Raw value.
+ * @param {string} name - Parameter name (for the error message).
+ * @returns {number|undefined} The integer, or undefined if absent.
+ * @throws {AppError} 400 if the value is not a positive integer.
+ */
+const parsePositiveInt = (value, name) => {
+    if (value === undefined || value === "") return undefined;
+
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new AppError(400, `${name} must be a positive integer`);
+    }
+
+    return parsed;
+};
+
+/**
+ * Parses a date parameter (ISO 8601).
+ *
+ * @param {string|undefined} value - Raw value.
+ * @param {string} name - Parameter name (for the error message).
+ * @returns {Date|undefined} The date, or undefined if absent.
+ * @throws {AppError} 400 if the value is not a valid date.
+ */
+const parseDate = (value, name) => {
+    if (value === undefined || value === "") return undefined;
+
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+        throw new AppError(400, `${name} must be a valid date`);
+    }
+
+    return parsed;
+};
+
+/**
+ * Parses the `?page` and `?limit` parameters.
+ *
+ * @param {Object} query - Raw query parameters (req.query).
+ * @returns {{ page: number, limit: number, offset: number }} Normalized page.
+ * @throws {AppError} 400 if page or limit is not a positive integer.
+ */
+const parsePage = (query = {}) => {
+    const page = parsePositiveInt(query.page, "page") ?? 1;
+    const limit = Math.min(parsePositiveInt(query.limit, "limit") ?? DEFAULT_LIMIT, MAX_LIMIT);
+
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Validates and normalizes the list parameters of a request.
+ *
+ * @param {Object} query - Raw query parameters (req.query).
+ * @param {Object} spec - What the resource allows.
+ * @param {string[]} spec.sortable - Fields accepted by `?sort`.
+ * @param {Object<string, "id"|"string">} [spec.filters] - Equality filters and their type.
+ * @param {string} [spec.defaultSort="-createdAt"] - Sort used when `?sort` is absent.
+ *
+ * @returns {{ page: number, limit: number, offset: number,
+ *             sort: { field: string, direction: "ASC"|"DESC" },
+ *             filters: Object, from?: Date, to?: Date }} Normalized options
+ *          for the repository `findAll`.
+ * @throws {AppError} 400 if a parameter is invalid.
+ */
+const parseListQuery = (query = {}, { sortable, filters = {}, defaultSort = "-createdAt" }) => {
+    const rawSort = parseString(query.sort, "sort") ?? defaultSort;
+    const field = rawSort.replace(/^-/, "");
+    if (!sortable.includes(field)) {
+        throw new AppError(400, `sort must be one of: ${sortable.join(", ")}`);
+    }
+
+    const parsedFilters = {};
+    for (const [name, type] of Object.entries(filters)) {
+        const value = type === "id"
+            ? parsePositiveInt(query[name], name)
+            : parseString(query[name], name);
+
+        if (value !== undefined) parsedFilters[name] = value;
+    }
+
+    return {
+        ...parsePage(query),
+        sort: { field, direction: rawSort.startsWith("-") ? "DESC" : "ASC" },
+        filters: parsedFilters,
+        from: parseDate(query.from, "from"),
+        to: parseDate(query.to, "to"),
+    };
+};
+
+/**
+ * Wraps a page of rows in the standard list envelope.
+ *
+ * @param {Object[]} data - Rows of the current page.
+ * @param {number} total - Number of rows matching the filters.
+ * @param {{ page: number, limit: number }} options - Parsed list options.
+ * @returns {{ data: Object[], meta: { page: number, limit: number, total: number, totalPages: number } }}
+ */
+const toPage = (data, total, { page, limit }) => ({
+    data,
+    meta: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+    },
+});
+
+module.exports = { parsePage, parseListQuery, toPage, parsePositiveInt, parseDate, parseString };
@@ -0,0 +1,78 @@
+/**
+ * Referential Delete Helper
+ *
+ * Lookup rows (categories, statuses, roles) are referenced by content and
+ * users. Deleting one that is still in use is refused with a 409 listing
+ * how many rows point at it, unless the client names a replacement with
+ * `?reassignTo=<id>`: the dependants are then moved to it and the row is
+ * deleted in the same transaction.
+ *
+ * The repository passed in must implement:
+ *  - lockById(id, conn)                  → row or null (SELECT ... FOR UPDATE)
+ *  - countUsages(id, conn)               → { [dependant]: count }
+ *  - reassignUsages(fromId, toId, conn)  → moves every dependant
+ *  - deleteById(id, conn)
+ *
+ * Locking the row keeps new dependants from being added between the
+ * usage check and the delete.
+ */
+
+const AppError = require("./AppError");
+const { withTransaction } = require("../DB/transaction");
+const { parsePositiveInt } = require("./pagination");
+
+/**
+ * Deletes a referenced row, refusing or reassigning if it is in use.
+ *
+ * @param {Object} repository - Repository of the row (see above).
+ * @param {number|string} id - ID of the row to delete.
+ * @param {Object} options
+ * @param {string} options.resource - Resource name for messages (e.g., "Category").
+ * @param {string} [options.reassignTo] - Raw `reassignTo` query parameter.
+ *
+ * @returns {Promise<{ reassigned: Object|null }>} Usage counts moved to the
+ *          replacement, or null when nothing was reassigned.
+ * @throws {AppError} 400 if reassignTo is invalid or points at the same or a
+ *                    missing row, 404 if the row does not exist, 409 if it is
+ *                    in use and no replacement was given.
+ */
+const deleteReferenced = async (repository, id, { resource, reassignTo }) => {
+    const targetId = parsePositiveInt(reassignTo, "reassignTo");
+
+    if (targetId !== undefined && targetId === Number(id)) {
+        throw new AppError(400, `reassignTo must be a different ${resource.toLowerCase()}`);
+    }
+
+    return withTransaction(async (conn) => {
+        const row = await repository.lockById(id, conn);
+        if (!row) {
+            throw new AppError(404, `${resource} not found`);
+        }
+
+        const usages = await repository.countUsages(id, conn);
+        const inUse = Object.values(usages).some((count) => count > 0);
+
+        if (inUse && targetId === undefined) {
+            throw new AppError(
+                409,
+                `${resource} is still in use; pass reassignTo to move its dependants first`,
+                { usages }
+            );
+        }
+
+        if (inUse) {
+            const target = await repository.lockById(targetId, conn);
+            if (!target) {
+                throw new AppError(400, `reassignTo ${resource.toLowerCase()} not found`);
+            }
+
+            await repository.reassignUsages(id, targetId, conn);
+        }
+
+        await repository.deleteById(id, conn);
+
+        return { reassigned: inUse ? usages : null };
+    });
+};
+
+module.exports = { deleteReferenced };
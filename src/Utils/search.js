@@ -0,0 +1,113 @@
+/**
+ * Full-Text Search Helpers
+ *
+ * Turns the user's `?q=` into a MySQL BOOLEAN MODE query and builds the
+ * highlighted snippets returned with each search result.
+ */
+
+const AppError = require("./AppError");
+const { parseString } = require("./pagination");
+
+const MIN_QUERY_LENGTH = 2;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Parses a search query.
+ *
+ * Boolean operators typed by the user (+ - < > ( ) ~ * " @) are stripped
+ * so they cannot alter the query; every remaining word is matched as a
+ * prefix (e.g., "poem" matches "poems").
+ *
+ * @param {string|undefined} q - Raw search text.
+ * @returns {{ terms: string[], booleanQuery: string }} Words to highlight and
+ *          the AGAINST(... IN BOOLEAN MODE) expression.
+ * @throws {AppError} 400 if the query is missing, too short or repeated.
+ */
+const parseSearchQuery = (q) => {
+    const terms = (parseString(q, "q") ?? "")
+        .replace(/[+\-<>()~*"@]/g, " ")
+        .split(/\s+/)
+        .filter(Boolean);
+
+    if (terms.join("").length < MIN_QUERY_LENGTH) {
+        throw new AppError(400, `q must contain at least ${MIN_QUERY_LENGTH} characters`);
+    }
+
+    return {
+        terms,
+        booleanQuery: terms.map((term) => `${term}*`).join(" "),
+    };
+};
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ *
+ * @param {string} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+const escapeHtml = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Builds a short excerpt around the first matched term, with every match
+ * wrapped in <mark>. The text is HTML-escaped, so the snippet can be
+ * rendered as-is.
+ *
+ * @param {string|null} text - Field content.
+ * @param {string[]} terms - Search terms (see parseSearchQuery).
+ * @returns {string|null} Highlighted snippet, or null if the text is empty.
+ */
+const buildSnippet = (text, terms) => {
+    if (!text) return null;
+
+    const content = String(text).replace(/\s+/g, " ").trim();
+    const pattern = new RegExp(
+        terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"),
+        "gi"
+    );
+
+    // Center the excerpt on the first match
+    const index = content.search(pattern);
+    const start = Math.max(0, index - SNIPPET_LENGTH / 4);
+    const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+    let excerpt = content.slice(start, end);
+    if (start > 0) excerpt = `…${excerpt}`;
+    if (end < content.length) excerpt = `${excerpt}…`;
+
+    // Escape the text between matches separately so markup is never split
+    let snippet = "";
+    let last = 0;
+    for (const found of excerpt.matchAll(pattern)) {
+        snippet += escapeHtml(excerpt.slice(last, found.index));
+        snippet += `<mark>${escapeHtml(found[0])}</mark>`;
+        last = found.index + found[0].length;
+    }
+
+    return snippet + escapeHtml(excerpt.slice(last));
+};
+
+/**
+ * Picks the first field that contains a match (falling back to the first
+ * non-empty field) and builds its snippet.
+ *
+ * @param {Object} row - Database row.
+ * @param {string[]} fields - Candidate fields, by preference.
+ * @param {string[]} terms - Search terms.
+ * @returns {string|null} Highlighted snippet.
+ */
+const snippetFromFields = (row, fields, terms) => {
+    const lowerTerms = terms.map((term) => term.toLowerCase());
+
+    const field = fields.find((name) => {
+        const value = String(row[name] ?? "").toLowerCase();
+        return lowerTerms.some((term) => value.includes(term));
+    }) ?? fields.find((name) => row[name]);
+
+    return field ? buildSnippet(row[field], terms) : null;
+};
+
+module.exports = { parseSearchQuery, buildSnippet, snippetFromFields };
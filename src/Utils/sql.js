@@ -0,0 +1,93 @@
+/**
+ * SQL Helpers
+ *
+ * Small utilities shared by the Repository layer to build dynamic
+ * statements without giving up parameterized queries.
+ */
+
+/**
+ * Builds the SET clause of a partial UPDATE.
+ *
+ * Only the fields that were actually provided are included:
+ *  - `undefined` → field is skipped (left unchanged)
+ *  - `null`      → field is explicitly cleared
+ *
+ * Column names must come from repository code, never from client input.
+ *
+ * @param {Object} fields - Map of column name → new value.
+ * @returns {{ clause: string, values: any[] }} SET clause (without the
+ *          SET keyword) and its bound values. `clause` is empty when there
+ *          is nothing to update.
+ */
+const buildSetClause = (fields) => {
+    const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+
+    return {
+        clause: entries.map(([column]) => `${column} = ?`).join(", "),
+        values: entries.map(([, value]) => value),
+    };
+};
+
+/**
+ * Builds the WHERE and ORDER BY clauses of a list query from the options
+ * produced by `parseListQuery` (Utils/pagination.js).
+ *
+ * Filter and sort field names have already been checked against the
+ * resource's whitelist, so they are safe to use as column names.
+ *
+ * @param {Object} options - Parsed list options.
+ * @param {Object} [options.filters] - Column → value equality filters.
+ * @param {Date} [options.from] - Inclusive lower bound on createdAt.
+ * @param {Date} [options.to] - Inclusive upper bound on createdAt.
+ * @param {{ field: string, direction: "ASC"|"DESC" }} [options.sort] - Sort order.
+ * @param {Object} [extra]
+ * @param {string} [extra.alias] - Table alias to prefix columns with (e.g., "u").
+ * @param {string[]} [extra.conditions] - Fixed SQL conditions ANDed to the
+ *                                         filters (e.g., "deletedAt IS NULL").
+ *
+ * @returns {{ where: string, orderBy: string, values: any[] }} Clauses (or empty
+ *          strings) and the values bound by the WHERE clause.
+ */
+const buildListClause = ({ filters = {}, from, to, sort } = {}, { alias, conditions: fixed = [] } = {}) => {
+    const column = (name) => (alias ? `${alias}.${name}` : name);
+    const conditions = [...fixed];
+    const values = [];
+
+    for (const [name, value] of Object.entries(filters)) {
+        conditions.push(`${column(name)} = ?`);
+        values.push(value);
+    }
+
+    if (from) {
+        conditions.push(`${column("createdAt")} >= ?`);
+        values.push(from);
+    }
+
+    if (to) {
+        conditions.push(`${column("createdAt")} <= ?`);
+        values.push(to);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+        // Tie-break on id so pages are stable when sort values repeat
+        orderBy: sort
+            ? `ORDER BY ${column(sort.field)} ${sort.direction}, ${column("id")} ${sort.direction}`
+            : "",
+        values,
+    };
+};
+
+/**
+ * Prepares a value bound to a JSON column.
+ *
+ * mysql2 expands a plain object into `key = value` pairs, so objects are
+ * bound as JSON text. `undefined` (skip) and `null` (clear) are kept as-is
+ * for buildSetClause.
+ *
+ * @param {Object|null|undefined} value - Value to store.
+ * @returns {string|null|undefined} JSON text, or the value unchanged.
+ */
+const toJSONColumn = (value) => (value == null ? value : JSON.stringify(value));
+
+module.exports = { buildSetClause, buildListClause, toJSONColumn };
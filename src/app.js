@@ -15,6 +15,7 @@
  * app.js = Entry point for:
  *   - JSON parsing
  *   - URL encoding
+ *   - Serving locally stored media (local storage driver only)
  *   - Global route mounting
  *   - Error handling pipeline
  */
@@ -24,6 +25,7 @@ const app = express();
 
 const applyRoutes = require("./Routes");
 const errorHandler = require("./Middleware/errorHandler");
+const storageConfig = require("./Config/storage");
 
 /**
  * ---------------------------------------------------------
@@ -39,6 +41,22 @@ const errorHandler = require("./Middleware/errorHandler");
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+/**
+ * ---------------------------------------------------------
+ * Local Media
+ * ---------------------------------------------------------
+ *
+ * With STORAGE_DRIVER=local, uploaded files live on disk and are
+ * served from /media (see Storage/local.storage.js). File names are
+ * random, so they can be cached for a long time.
+ */
+if (storageConfig.driver === "local") {
+    app.use("/media", express.static(storageConfig.localDir, {
+        immutable: true,
+        maxAge: "30d",
+    }));
+}
+
 /**
  * ---------------------------------------------------------
  * API Route Registration
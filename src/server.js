@@ -8,6 +8,7 @@
  * Responsibilities of this file:
  *  - Read HOST and PORT from environment variables
  *  - Start the Express server
+ *  - Start background jobs (log retention, media reconcile, temp upload sweep)
  *  - Output a clear startup message for developers or logs
  *
  * server.js does NOT:
@@ -20,6 +21,9 @@
  */
 
 const app = require("./app");
+const { startLogRetentionJob } = require("./Jobs/logRetention.job");
+const { startMediaReconcileJob } = require("./Jobs/mediaReconcile.job");
+const { startTempSweepJob } = require("./Jobs/tempSweep.job");
 
 // Load configuration from environment (with sensible defaults)
 const PORT = process.env.PORT || 3000;
@@ -34,3 +38,7 @@ const HOST = process.env.HOST || "localhost";
 app.listen(PORT, () => {
     console.log(`Server is running on http://${HOST}:${PORT}`);
 });
+
+startLogRetentionJob();
+startMediaReconcileJob();
+startTempSweepJob();
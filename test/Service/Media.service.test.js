@@ -0,0 +1,171 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const MediaService = require("../../src/Service/Media.service");
+
+/**
+ * In-memory storage driver recording every call, in order.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.failOn] - Name of a file whose upload fails.
+ * @param {Object[]} [options.files] - Files returned by list().
+ */
+const createStorage = ({ failOn, files = [] } = {}) => {
+    const calls = [];
+    let next = 0;
+
+    return {
+        name: "memory",
+        calls,
+        async upload(file, { type }) {
+            calls.push(["upload", file.name]);
+            if (file.name === failOn) throw new Error(`upload of ${file.name} failed`);
+
+            return { url: `/media/${file.name}`, key: `${type}/${next++}` };
+        },
+        async delete(key) {
+            calls.push(["delete", key]);
+        },
+        async *list() {
+            yield* files;
+        },
+    };
+};
+
+/**
+ * Media repository stub where the given keys and URLs are referenced.
+ */
+const createRepository = ({ keys = [], urls = [] } = {}) => ({
+    findReferencedKeys: async (provider, candidates) => new Set(candidates.filter((key) => keys.includes(key))),
+    findAllReferences: async () => ({ keys: new Set(keys), urls: new Set(urls) }),
+});
+
+const HOUR = 60 * 60 * 1000;
+
+describe("MediaService.destroyUnreferenced", () => {
+    it("deletes only unreferenced assets of the active driver", async () => {
+        const storage = createStorage();
+        const service = new MediaService(createRepository({ keys: ["image/kept"] }), storage);
+
+        const deleted = await service.destroyUnreferenced([
+            { provider: "memory", key: "image/kept", type: "image" },
+            { provider: "memory", key: "image/orphan", type: "image" },
+            { provider: "cloudinary", key: "image/foreign", type: "image" },
+            null,
+            undefined,
+        ]);
+
+        assert.equal(deleted, 1);
+        assert.deepEqual(storage.calls, [["delete", "image/orphan"]]);
+    });
+});
+
+describe("MediaService.reconcile", () => {
+    const old = new Date(Date.now() - 48 * HOUR);
+    const files = [
+        { key: "image/by-key", type: "image", url: "/media/image/by-key", createdAt: old },
+        { key: "image/by-url", type: "image", url: "/media/image/by-url", createdAt: old },
+        { key: "image/orphan", type: "image", url: "/media/image/orphan", createdAt: old },
+        { key: "image/recent", type: "image", url: "/media/image/recent", createdAt: new Date() },
+    ];
+    const repository = createRepository({ keys: ["image/by-key"], urls: ["/media/image/by-url"] });
+
+    it("deletes files referenced neither by key nor by URL, past the grace period", async () => {
+        const storage = createStorage({ files });
+        const service = new MediaService(repository, storage);
+
+        const result = await service.reconcile({ graceHours: 24, dryRun: false });
+
+        assert.deepEqual(result, { scanned: 4, orphaned: ["image/orphan"], deleted: 1 });
+        assert.deepEqual(storage.calls, [["delete", "image/orphan"]]);
+    });
+
+    it("only reports the orphans unless told to delete them", async () => {
+        const storage = createStorage({ files });
+        const service = new MediaService(repository, storage);
+
+        const result = await service.reconcile({ graceHours: 24 });
+
+        assert.deepEqual(result, { scanned: 4, orphaned: ["image/orphan"], deleted: 0 });
+        assert.deepEqual(storage.calls, []);
+    });
+});
+
+describe("MediaService.withUploads", () => {
+    it("passes the uploads to the step in order, with null for missing files", async () => {
+        const storage = createStorage();
+        const service = new MediaService(createRepository(), storage);
+
+        const result = await service.withUploads(
+            [{ file: { name: "video" }, type: "video" }, { file: null, type: "image" }],
+            async (uploads) => uploads
+        );
+
+        assert.deepEqual(result, [
+            { url: "/media/video", asset: { provider: "memory", key: "video/0", type: "video" } },
+            null,
+        ]);
+        assert.deepEqual(storage.calls, [["upload", "video"]]);
+    });
+
+    it("deletes the uploads after the step fails, then rethrows its error", async () => {
+        const storage = createStorage();
+        const service = new MediaService(createRepository(), storage);
+
+        await assert.rejects(
+            service.withUploads(
+                [{ file: { name: "a" }, type: "image" }, { file: { name: "b" }, type: "audio" }],
+                async () => {
+                    storage.calls.push(["save"]);
+                    throw new Error("insert failed");
+                }
+            ),
+            /insert failed/
+        );
+
+        assert.deepEqual(storage.calls, [
+            ["upload", "a"],
+            ["upload", "b"],
+            ["save"],
+            ["delete", "image/0"],
+            ["delete", "audio/1"],
+        ]);
+    });
+
+    it("deletes the finished uploads when one fails, without running the step", async () => {
+        const storage = createStorage({ failOn: "b" });
+        const service = new MediaService(createRepository(), storage);
+        let ran = false;
+
+        await assert.rejects(
+            service.withUploads(
+                [{ file: { name: "a" }, type: "image" }, { file: { name: "b" }, type: "image" }],
+                async () => {
+                    ran = true;
+                }
+            ),
+            /upload of b failed/
+        );
+
+        assert.equal(ran, false);
+        assert.deepEqual(storage.calls.filter(([call]) => call === "delete"), [["delete", "image/0"]]);
+    });
+
+    it("keeps the step's error when a compensating delete fails", async (t) => {
+        const storage = createStorage();
+        storage.delete = async () => {
+            throw new Error("storage down");
+        };
+        t.mock.method(console, "error", () => {});
+
+        const service = new MediaService(createRepository(), storage);
+
+        await assert.rejects(
+            service.withUploads([{ file: { name: "a" }, type: "image" }], async () => {
+                throw new Error("insert failed");
+            }),
+            /insert failed/
+        );
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const CloudinaryStorage = require("../../src/Storage/cloudinary.storage");
+
+/**
+ * Cloudinary client stub recording the options of each call.
+ */
+const createClient = () => {
+    const calls = [];
+
+    return {
+        calls,
+        uploader: {
+            async upload(path, options) {
+                calls.push(["upload", options]);
+                return { secure_url: `https://cdn.example.com/${options.folder}/a`, public_id: `${options.folder}/a` };
+            },
+        },
+        api: {
+            async resources(options) {
+                calls.push(["resources", options]);
+                return { resources: [] };
+            },
+        },
+    };
+};
+
+describe("CloudinaryStorage", () => {
+    it("uploads into its folder", async () => {
+        const client = createClient();
+        const storage = new CloudinaryStorage(client, { folder: "tessiture" });
+
+        const { key } = await storage.upload({ path: "/tmp/a" }, { type: "audio" });
+
+        assert.equal(key, "tessiture/a");
+        assert.deepEqual(client.calls, [["upload", { resource_type: "video", folder: "tessiture" }]]);
+    });
+
+    it("lists only the files of its folder", async () => {
+        const client = createClient();
+        const storage = new CloudinaryStorage(client, { folder: "tessiture" });
+
+        for await (const file of storage.list()) assert.fail(`unexpected file ${file.key}`);
+
+        assert.deepEqual(client.calls.map(([, { resource_type, prefix }]) => [resource_type, prefix]), [
+            ["image", "tessiture/"],
+            ["video", "tessiture/"],
+            ["raw", "tessiture/"],
+        ]);
+    });
+
+    it("requires a folder", () => {
+        assert.throws(() => new CloudinaryStorage(createClient(), {}), /requires a folder/);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const LocalStorage = require("../../src/Storage/local.storage");
+
+describe("LocalStorage", () => {
+    let dir;
+    let source;
+    let storage;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "local-storage-"));
+        source = path.join(dir, "upload.tmp");
+        await fs.writeFile(source, "content");
+
+        storage = new LocalStorage({ root: path.join(dir, "uploads"), publicUrl: "https://api.example.com" });
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it("copies an upload under its type and returns its URL and key", async () => {
+        const { url, key } = await storage.upload({ path: source, originalname: "Cover.PNG" }, { type: "image" });
+
+        assert.match(key, /^image\/[0-9a-f-]{36}\.png$/);
+        assert.equal(url, `https://api.example.com/media/${key}`);
+        assert.equal(await fs.readFile(storage.resolve(key), "utf8"), "content");
+
+        // The temp file belongs to the upload pipeline
+        await fs.access(source);
+    });
+
+    it("rejects unknown types", async () => {
+        await assert.rejects(storage.upload({ path: source, originalname: "a.bin" }, { type: "other" }));
+    });
+
+    it("deletes files, ignoring those already gone", async () => {
+        const { key } = await storage.upload({ path: source, originalname: "a.mp3" }, { type: "audio" });
+
+        await storage.delete(key);
+        await assert.rejects(fs.access(storage.resolve(key)), { code: "ENOENT" });
+
+        await storage.delete(key);
+    });
+
+    it("refuses keys outside its directory", async () => {
+        assert.throws(() => storage.resolve("../upload.tmp"), /Invalid storage key/);
+        await assert.rejects(storage.delete("../../etc/passwd"), /Invalid storage key/);
+    });
+
+    it("lists stored files", async () => {
+        const image = await storage.upload({ path: source, originalname: "a.jpg" }, { type: "image" });
+        const raw = await storage.upload({ path: source, originalname: "a.pdf" }, { type: "raw" });
+
+        const files = [];
+        for await (const file of storage.list()) files.push(file);
+
+        assert.deepEqual(files.map(({ key, type }) => [key, type]).sort(), [
+            [image.key, "image"],
+            [raw.key, "raw"],
+        ]);
+        assert.ok(files.every(({ createdAt }) => createdAt instanceof Date));
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { settleWithConcurrency } = require("../../src/Utils/concurrency");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("settleWithConcurrency", () => {
+    it("returns the results in input order", async () => {
+        const results = await settleWithConcurrency([30, 10, 20], 3, async (ms) => {
+            await delay(ms);
+            return ms;
+        });
+
+        assert.deepEqual(results.map(({ value }) => value), [30, 10, 20]);
+    });
+
+    it("never runs more than `limit` tasks at once", async () => {
+        let running = 0;
+        let peak = 0;
+
+        await settleWithConcurrency(Array.from({ length: 8 }), 3, async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await delay(5);
+            running--;
+        });
+
+        assert.equal(peak, 3);
+    });
+
+    it("starts no new task after a failure but settles the running ones", async () => {
+        const started = [];
+
+        const results = await settleWithConcurrency([0, 1, 2, 3, 4], 2, async (item) => {
+            started.push(item);
+            if (item === 1) throw new Error("boom");
+
+            await delay(10);
+            return item;
+        });
+
+        assert.deepEqual(started, [0, 1]);
+        assert.deepEqual(results[0], { status: "fulfilled", value: 0 });
+        assert.equal(results[1].status, "rejected");
+        assert.equal(results[1].reason.message, "boom");
+        assert.equal(results.length, 5);
+        assert.deepEqual([2, 3, 4].map((index) => results[index]), [undefined, undefined, undefined]);
+    });
+
+    it("handles an empty list", async () => {
+        assert.deepEqual(await settleWithConcurrency([], 3, async () => 1), []);
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { FILE_TYPES, detectFileType, detectFileTypeFromPath, extensionsOf } = require("../../src/Utils/fileType");
+
+/**
+ * Builds a buffer from byte arrays and latin1 strings, padded with zeros.
+ */
+const bytes = (...parts) => Buffer.concat([
+    ...parts.map((part) => (typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part))),
+    Buffer.alloc(16),
+]);
+
+/**
+ * Minimal ZIP header: a local file entry with the given name and content.
+ */
+const zip = (name, content = "") => bytes([0x50, 0x4b, 0x03, 0x04], Buffer.alloc(26), name, content);
+
+const ftyp = (brand) => bytes([0x00, 0x00, 0x00, 0x18], "ftyp", brand);
+
+const FIXTURES = {
+    "image/jpeg": bytes([0xff, 0xd8, 0xff, 0xe0]),
+    "image/png": bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    "image/gif": bytes("GIF89a"),
+    "image/webp": bytes("RIFF", [0, 0, 0, 0], "WEBP"),
+    "application/pdf": bytes("%PDF-1.7"),
+    "application/epub+zip": zip("mimetype", "application/epub+zip"),
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+        Buffer.concat([zip("[Content_Types].xml"), zip("word/document.xml")]),
+    "audio/mpeg": bytes("ID3"),
+    "audio/aac": bytes([0xff, 0xf1]),
+    "audio/wav": bytes("RIFF", [0, 0, 0, 0], "WAVE"),
+    "audio/ogg": bytes("OggS"),
+    "audio/flac": bytes("fLaC"),
+    "audio/mp4": ftyp("M4A "),
+    "video/quicktime": ftyp("qt  "),
+    "video/mp4": ftyp("isom"),
+    "video/webm": bytes([0x1a, 0x45, 0xdf, 0xa3]),
+};
+
+describe("detectFileType", () => {
+    for (const [mime, header] of Object.entries(FIXTURES)) {
+        it(`detects ${mime}`, () => {
+            assert.equal(detectFileType(header)?.mime, mime);
+        });
+    }
+
+    it("covers every accepted type", () => {
+        const accepted = Object.values(FILE_TYPES).flat();
+        assert.deepEqual(accepted.filter((mime) => !FIXTURES[mime]), []);
+    });
+
+    it("returns null for unknown content", () => {
+        assert.equal(detectFileType(Buffer.from("<html><body>hello</body></html>")), null);
+        assert.equal(detectFileType(Buffer.alloc(0)), null);
+    });
+
+    it("returns null for a truncated header", () => {
+        assert.equal(detectFileType(Buffer.from([0x89, 0x50, 0x4e, 0x47])), null);
+        assert.equal(detectFileType(Buffer.from("RIFF")), null);
+        assert.equal(detectFileType(Buffer.from([0x00, 0x00, 0x00, 0x18, 0x66, 0x74])), null);
+    });
+
+    it("does not take spreadsheets or other ZIPs for DOCX", () => {
+        const xlsx = Buffer.concat([zip("[Content_Types].xml"), zip("xl/workbook.xml")]);
+        const wordFolder = zip("word/readme.txt");
+
+        assert.equal(detectFileType(xlsx), null);
+        assert.equal(detectFileType(wordFolder), null);
+        assert.equal(detectFileType(zip("notes.txt")), null);
+    });
+
+    it("ignores the extension: a renamed file is detected by its content", () => {
+        // e.g., a PDF uploaded as "cover.png"
+        const detected = detectFileType(FIXTURES["application/pdf"]);
+
+        assert.equal(detected.mime, "application/pdf");
+        assert.equal(detected.extensions.includes(".png"), false);
+    });
+});
+
+describe("detectFileTypeFromPath", () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "filetype-"));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it("reads the header of a file on disk", async () => {
+        const file = path.join(dir, "image.png");
+        await fs.writeFile(file, FIXTURES["image/png"]);
+
+        assert.equal((await detectFileTypeFromPath(file)).mime, "image/png");
+    });
+
+    it("finds DOCX entries stored past the header", async () => {
+        const file = path.join(dir, "book.docx");
+        await fs.writeFile(file, Buffer.concat([
+            zip("[Content_Types].xml"),
+            Buffer.alloc(20 * 1024),
+            zip("word/document.xml"),
+        ]));
+
+        assert.equal(
+            (await detectFileTypeFromPath(file)).mime,
+            "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+        );
+    });
+});
+
+describe("extensionsOf", () => {
+    it("lists the extensions of the given types", () => {
+        assert.deepEqual(extensionsOf(["image/jpeg", "image/png"]), [".jpg", ".jpeg", ".png"]);
+    });
+});